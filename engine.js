@@ -0,0 +1,4926 @@
+/**
+ * ============================================
+ * Scientific Calculator - Engine
+ * Everything the calculator computes, without the page around it
+ * ============================================
+ *
+ * This module holds the safe expression parser, the math, statistics and
+ * finance functions, units, complex numbers, matrices and fractions, plus
+ * stores for the settings and history. It never touches the DOM, so it can
+ * be used by other pages and tools as well as by script.js, the calculator
+ * UI:
+ *
+ *     import { evaluate, registerConstant } from './engine.js';
+ *
+ *     evaluate('2 + 3 * 4').value;                       // 14
+ *     evaluate('sin(30)', { angleMode: 'DEG' }).value;   // 0.5
+ *     evaluate('1/3 + 1/6', { numericMode: 'fraction' }).value.toString();  // "1/2"
+ *     evaluate('5 km + 300 m').value.toString();         // "5.3 km"
+ *     evaluate('2 +').error.message;                     // "Expression is incomplete"
+ *
+ *     registerConstant('g', 9.80665);
+ *     evaluate('2 g').value;                             // 19.6133
+ *
+ * PUBLIC API:
+ * - evaluate(expr, options): evaluate one expression, see ExpressionParser.evaluate()
+ *   for the options (angle mode, numeric mode, variables, ...) and the result
+ * - evaluateWorksheet(text, options): evaluate a worksheet, one result per line
+ * - registerFunction(name, minArgs, maxArgs, { fn, ... }) and
+ *   registerConstant(name, value): add functions and constants for expressions
+ * - functionRegistry, constantRegistry, unitRegistry: what expressions can use
+ * - SettingsStore: checked settings (angle mode, numeric mode, precision, ...)
+ *   with evaluationOptions() to pass them to evaluate()
+ * - HistoryStore: calculation history with pinned entries and notes
+ * - EventEmitter: on(type, listener), off() and emit(); both stores emit
+ *   'change' so any number of views can stay up to date
+ * - ENGINE_CONFIG: limits such as decimal places and evaluation steps
+ *
+ * The other exports (number types, backends, formatting helpers) are the
+ * building blocks the calculator UI needs for its own panels.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const ENGINE_CONFIG = {
+    decimalPrecision: 10,          // Decimal places for results
+    defaultPrecision: 32,          // Decimal places in exact decimal mode (user adjustable)
+    maxPrecision: 1000,            // Upper limit for the exact decimal precision setting
+    maxExactFactorial: 10000,      // Largest n for n! in exact decimal and fraction modes
+    maxRecursionDepth: 100,        // Deepest chain of user function calls
+    maxEvaluationSteps: 100000,    // Most AST nodes one evaluation may visit
+    solverSamples: 2000,           // Points sampled when looking for roots in a range
+    maxHistoryItems: 50,           // Maximum history items to store (pinned items are always kept)
+    maxHistoryNoteLength: 120,     // Maximum length of a note on a history item
+    maxHistoryExpressionLength: 1000  // Longest expression a history entry may hold
+};
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * Small event emitter: the stores below use it to tell their users
+ * that something changed, whoever made the change
+ */
+class EventEmitter {
+    constructor() {
+        this.listeners = new Map();  // Event type -> Set of listeners
+    }
+
+    /**
+     * Call a listener every time an event is emitted
+     * @param {string} type - Event type, such as 'change'
+     * @param {Function} listener - Called with the event details
+     * @returns {Function} Call it to remove the listener again
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Stop calling a listener
+     * @param {string} type - Event type
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    /**
+     * Call every listener of an event type, in the order they were added
+     * @param {string} type - Event type
+     * @param {*} [details] - Passed to each listener
+     */
+    emit(type, details) {
+        const listeners = this.listeners.get(type);
+        if (listeners) {
+            [...listeners].forEach(listener => listener(details));
+        }
+    }
+}
+
+// ============================================
+// MATH FUNCTIONS
+// ============================================
+
+/**
+ * Custom math functions that aren't built into JavaScript
+ */
+const mathFunctions = {
+    /**
+     * Calculate factorial of a number
+     * @param {number} n - Non-negative integer
+     * @returns {number} Factorial of n
+     */
+    factorial(n) {
+        if (n < 0 || !Number.isInteger(n)) return NaN;
+        if (n === 0 || n === 1) return 1;
+        if (n > 170) return Infinity; // JavaScript max safe integer
+        let result = 1;
+        for (let i = 2; i <= n; i++) {
+            result *= i;
+        }
+        return result;
+    },
+
+    /**
+     * Calculate square root
+     * @param {number} x - Number to square root
+     * @returns {number} Square root of x
+     */
+    sqrt(x) {
+        return x < 0 ? NaN : Math.sqrt(x);
+    },
+
+    /**
+     * Calculate power (x^y)
+     * @param {number} base - Base number
+     * @param {number} exp - Exponent
+     * @returns {number} Base raised to exponent
+     */
+    pow(base, exp) {
+        return Math.pow(base, exp !== undefined ? exp : 2);
+    },
+
+    /**
+     * Calculate absolute value
+     * @param {number} x - Number
+     * @returns {number} Absolute value
+     */
+    abs(x) {
+        return Math.abs(x);
+    },
+
+    /**
+     * Convert degrees to radians
+     * @param {number} degrees - Angle in degrees
+     * @returns {number} Angle in radians
+     */
+    deg(degrees) {
+        return degrees * (Math.PI / 180);
+    },
+
+    /**
+     * Calculate sine (uses radians)
+     * @param {number} x - Angle in radians
+     * @returns {number} Sine of x
+     */
+    sin(x) {
+        return Math.sin(x);
+    },
+
+    /**
+     * Calculate cosine (uses radians)
+     * @param {number} x - Angle in radians
+     * @returns {number} Cosine of x
+     */
+    cos(x) {
+        return Math.cos(x);
+    },
+
+    /**
+     * Calculate tangent (uses radians)
+     * @param {number} x - Angle in radians
+     * @returns {number} Tangent of x (NaN where it is undefined, e.g. 90°)
+     */
+    tan(x) {
+        if (Math.abs(Math.cos(x)) < 1e-15) return NaN;
+        return Math.tan(x);
+    },
+
+    /**
+     * Calculate inverse sine (returns radians)
+     * @param {number} x - Value between -1 and 1
+     * @returns {number} Angle in radians
+     */
+    asin(x) {
+        return Math.asin(x);
+    },
+
+    /**
+     * Calculate inverse cosine (returns radians)
+     * @param {number} x - Value between -1 and 1
+     * @returns {number} Angle in radians
+     */
+    acos(x) {
+        return Math.acos(x);
+    },
+
+    /**
+     * Calculate inverse tangent (returns radians)
+     * @param {number} x - Number
+     * @returns {number} Angle in radians
+     */
+    atan(x) {
+        return Math.atan(x);
+    },
+
+    /**
+     * Calculate the angle of the point (x, y) (returns radians)
+     * @param {number} y - Y coordinate
+     * @param {number} x - X coordinate
+     * @returns {number} Angle in radians
+     */
+    atan2(y, x) {
+        return Math.atan2(y, x);
+    },
+
+    /**
+     * Calculate logarithm base 10
+     * @param {number} x - Number
+     * @returns {number} Log base 10 of x
+     */
+    log(x) {
+        return x <= 0 ? NaN : Math.log10(x);
+    },
+
+    /**
+     * Calculate natural logarithm
+     * @param {number} x - Number
+     * @returns {number} Natural log of x
+     */
+    ln(x) {
+        return x <= 0 ? NaN : Math.log(x);
+    },
+
+    /**
+     * Real part (a real number is its own real part)
+     * @param {number} x - Number
+     * @returns {number} x
+     */
+    re(x) {
+        return x;
+    },
+
+    /**
+     * Imaginary part of a real number
+     * @param {number} x - Number
+     * @returns {number} 0
+     */
+    im(x) {
+        return 0;
+    },
+
+    /**
+     * Argument (angle from the positive real axis) of a real number
+     * @param {number} x - Number
+     * @returns {number} π for negative numbers, otherwise 0 (radians)
+     */
+    arg(x) {
+        return x < 0 ? Math.PI : 0;
+    },
+
+    /**
+     * Complex conjugate of a real number
+     * @param {number} x - Number
+     * @returns {number} x
+     */
+    conj(x) {
+        return x;
+    },
+
+    /**
+     * Add up a list of numbers
+     * @param {...number} values - Numbers
+     * @returns {number} Total
+     */
+    sum(...values) {
+        return values.reduce((total, value) => total + value, 0);
+    },
+
+    /**
+     * Arithmetic mean (average)
+     * @param {...number} values - Numbers
+     * @returns {number} Mean
+     */
+    mean(...values) {
+        return this.sum(...values) / values.length;
+    },
+
+    /**
+     * Middle value of a list
+     * @param {...number} values - Numbers
+     * @returns {number} Median
+     */
+    median(...values) {
+        return quantile(sortNumbers(values), 0.5);
+    },
+
+    /**
+     * Most frequent value (the smallest one if there is a tie)
+     * @param {...number} values - Numbers
+     * @returns {number} Mode, or NaN if no value appears more than once
+     */
+    mode(...values) {
+        const modes = findModes(values);
+        return modes.length > 0 ? modes[0] : NaN;
+    },
+
+    /**
+     * Sample variance (divides by n - 1)
+     * @param {...number} values - At least two numbers
+     * @returns {number} Variance
+     */
+    variance(...values) {
+        return values.length < 2 ? NaN : sumOfSquares(values) / (values.length - 1);
+    },
+
+    /**
+     * Population variance (divides by n)
+     * @param {...number} values - Numbers
+     * @returns {number} Variance
+     */
+    pvariance(...values) {
+        return sumOfSquares(values) / values.length;
+    },
+
+    /**
+     * Sample standard deviation
+     * @param {...number} values - At least two numbers
+     * @returns {number} Standard deviation
+     */
+    stdev(...values) {
+        return Math.sqrt(this.variance(...values));
+    },
+
+    /**
+     * Population standard deviation
+     * @param {...number} values - Numbers
+     * @returns {number} Standard deviation
+     */
+    pstdev(...values) {
+        return Math.sqrt(this.pvariance(...values));
+    },
+
+    /**
+     * Smallest of a list of numbers
+     * @param {...number} values - Numbers
+     * @returns {number} Minimum
+     */
+    min(...values) {
+        return Math.min(...values);
+    },
+
+    /**
+     * Largest of a list of numbers
+     * @param {...number} values - Numbers
+     * @returns {number} Maximum
+     */
+    max(...values) {
+        return Math.max(...values);
+    },
+
+    /**
+     * Percent change from one value to another: pctchange(80, 100) is 25
+     * @param {number} from - Starting value (not 0)
+     * @param {number} to - New value
+     * @returns {number} Change in percent
+     */
+    pctchange(from, to) {
+        return from === 0 ? NaN : (to - from) / Math.abs(from) * 100;
+    },
+
+    /**
+     * Markup: profit as a percent of the cost, markup(80, 100) is 25
+     * @param {number} cost - Cost (not 0)
+     * @param {number} price - Selling price
+     * @returns {number} Markup in percent
+     */
+    markup(cost, price) {
+        return cost === 0 ? NaN : (price - cost) / cost * 100;
+    },
+
+    /**
+     * Margin: profit as a percent of the price, margin(80, 100) is 20
+     * @param {number} cost - Cost
+     * @param {number} price - Selling price (not 0)
+     * @returns {number} Margin in percent
+     */
+    margin(cost, price) {
+        return price === 0 ? NaN : (price - cost) / price * 100;
+    },
+
+    /**
+     * Present value of a series of payments (see FINANCE for signs)
+     * @param {number} rate - Interest rate per period
+     * @param {number} nper - Number of periods
+     * @param {number} pmt - Payment every period
+     * @param {number} [fv] - Value left after the last payment
+     * @param {number} [type] - 0 for payments at the end of each period, 1 for the start
+     * @returns {number} Present value
+     */
+    pv(rate, nper, pmt, fv = 0, type = 0) {
+        if (rate <= -1) return NaN;
+        return -(fv + pmt * annuityFactor(rate, nper, type)) / growthFactor(rate, nper);
+    },
+
+    /**
+     * Future value of a present value and a series of payments
+     * @param {number} rate - Interest rate per period
+     * @param {number} nper - Number of periods
+     * @param {number} pmt - Payment every period
+     * @param {number} [pv] - Value at the start
+     * @param {number} [type] - 0 for payments at the end of each period, 1 for the start
+     * @returns {number} Future value
+     */
+    fv(rate, nper, pmt, pv = 0, type = 0) {
+        if (rate <= -1) return NaN;
+        return -(pv * growthFactor(rate, nper) + pmt * annuityFactor(rate, nper, type));
+    },
+
+    /**
+     * Payment every period that turns a present value into a future value
+     * @param {number} rate - Interest rate per period
+     * @param {number} nper - Number of periods (not 0)
+     * @param {number} pv - Value at the start
+     * @param {number} [fv] - Value left after the last payment
+     * @param {number} [type] - 0 for payments at the end of each period, 1 for the start
+     * @returns {number} Payment
+     */
+    pmt(rate, nper, pv, fv = 0, type = 0) {
+        if (rate <= -1 || nper === 0) return NaN;
+        return -(fv + pv * growthFactor(rate, nper)) / annuityFactor(rate, nper, type);
+    },
+
+    /**
+     * Number of periods needed to turn a present value into a future value
+     * @param {number} rate - Interest rate per period
+     * @param {number} pmt - Payment every period
+     * @param {number} pv - Value at the start
+     * @param {number} [fv] - Value left after the last payment
+     * @param {number} [type] - 0 for payments at the end of each period, 1 for the start
+     * @returns {number} Number of periods (NaN if the target is never reached)
+     */
+    nper(rate, pmt, pv, fv = 0, type = 0) {
+        if (rate <= -1) return NaN;
+        if (rate === 0) {
+            return pmt === 0 ? NaN : -(pv + fv) / pmt;
+        }
+        const payment = pmt * (1 + rate * (type ? 1 : 0)) / rate;
+        return Math.log((payment - fv) / (payment + pv)) / Math.log1p(rate);
+    },
+
+    /**
+     * Interest rate per period that turns a present value and payments into a future value
+     * @param {number} nper - Number of periods
+     * @param {number} pmt - Payment every period
+     * @param {number} pv - Value at the start
+     * @param {number} [fv] - Value left after the last payment
+     * @param {number} [type] - 0 for payments at the end of each period, 1 for the start
+     * @param {number} [guess] - Rate to start searching from
+     * @returns {number} Rate per period (NaN if none was found)
+     */
+    rate(nper, pmt, pv, fv = 0, type = 0, guess = 0.1) {
+        return findRate(rate => pv * growthFactor(rate, nper) + pmt * annuityFactor(rate, nper, type) + fv, guess);
+    },
+
+    /**
+     * Net present value of cash flows at the end of periods 1, 2, 3...
+     * @param {number} rate - Discount rate per period
+     * @param {...number} values - Cash flows
+     * @returns {number} Net present value
+     */
+    npv(rate, ...values) {
+        if (rate <= -1 || values.length === 0) return NaN;
+        return values.reduce((total, value, i) => total + value / growthFactor(rate, i + 1), 0);
+    },
+
+    /**
+     * Internal rate of return: the rate where the net present value of
+     * cash flows at periods 0, 1, 2... is zero
+     * @param {...number} values - Cash flows, with at least one of each sign
+     * @returns {number} Rate per period (NaN if none was found)
+     */
+    irr(...values) {
+        if (!values.some(value => value > 0) || !values.some(value => value < 0)) return NaN;
+        return findRate(rate => values.reduce((total, value, i) => total + value / growthFactor(rate, i), 0), 0.1);
+    }
+};
+
+// ============================================
+// STATISTICS
+// ============================================
+
+/**
+ * Copy of a list of numbers in increasing order
+ * @param {Array<number>} values - Numbers
+ * @returns {Array<number>} Sorted copy
+ */
+function sortNumbers(values) {
+    return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Value below which a fraction of sorted data lies, interpolating
+ * linearly between data points (the method of Excel's QUARTILE.INC)
+ * @param {Array<number>} sorted - Numbers in increasing order
+ * @param {number} fraction - Between 0 and 1 (0.25 for the first quartile)
+ * @returns {number} Quantile
+ */
+function quantile(sorted, fraction) {
+    const position = (sorted.length - 1) * fraction;
+    const below = Math.floor(position);
+    const above = Math.ceil(position);
+    return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+/**
+ * Values that appear most often, when some value appears more than once
+ * @param {Array<number>} values - Numbers
+ * @returns {Array<number>} Modes in increasing order (empty if all values differ)
+ */
+function findModes(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    const highest = Math.max(...counts.values());
+    if (highest < 2) return [];
+    return sortNumbers([...counts].filter(([, count]) => count === highest).map(([value]) => value));
+}
+
+/**
+ * Sum of squared differences from the mean
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Sum of squares
+ */
+function sumOfSquares(values) {
+    const mean = mathFunctions.mean(...values);
+    return values.reduce((total, value) => total + (value - mean) ** 2, 0);
+}
+
+/**
+ * Descriptive statistics of a data list
+ * @param {Array<number>} values - At least one number
+ * @returns {Object} count, sum, mean, median, modes, variances, standard
+ *                   deviations (sample ones are NaN for a single value),
+ *                   quartiles q1 and q3, min and max
+ */
+function describeData(values) {
+    const sorted = sortNumbers(values);
+    return {
+        count: values.length,
+        sum: mathFunctions.sum(...values),
+        mean: mathFunctions.mean(...values),
+        median: quantile(sorted, 0.5),
+        modes: findModes(values),
+        sampleVariance: mathFunctions.variance(...values),
+        populationVariance: mathFunctions.pvariance(...values),
+        sampleStdev: mathFunctions.stdev(...values),
+        populationStdev: mathFunctions.pstdev(...values),
+        q1: quantile(sorted, 0.25),
+        q3: quantile(sorted, 0.75),
+        min: sorted[0],
+        max: sorted[sorted.length - 1]
+    };
+}
+
+/**
+ * Least-squares straight line through points
+ * @param {Array<number>} xs - X values
+ * @param {Array<number>} ys - Y values (same length)
+ * @returns {Object|null} { slope, intercept, r2 }, or null if every x is the same
+ */
+function linearFit(xs, ys) {
+    const meanX = mathFunctions.mean(...xs);
+    const meanY = mathFunctions.mean(...ys);
+    let sxx = 0;
+    let sxy = 0;
+    xs.forEach((x, i) => {
+        sxx += (x - meanX) ** 2;
+        sxy += (x - meanX) * (ys[i] - meanY);
+    });
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+    const total = sumOfSquares(ys);
+    const residual = ys.reduce((sum, y, i) => sum + (y - (intercept + slope * xs[i])) ** 2, 0);
+    // All y values equal: the horizontal line fits perfectly
+    const r2 = total === 0 ? 1 : 1 - residual / total;
+    return { slope, intercept, r2 };
+}
+
+/**
+ * Fit linear, exponential and power models to paired data.
+ * Exponential and power fits are straight lines through ln(y) (and ln(x)),
+ * so their r² describes that straight line, as on most calculators.
+ * @param {Array<number>} xs - X values
+ * @param {Array<number>} ys - Y values (same length, at least two points)
+ * @returns {Array<Object>} { name, formula, a, b, r2 } per model,
+ *                          or { name, formula, error } when it cannot be fitted
+ */
+function fitRegressions(xs, ys) {
+    const models = [
+        {
+            name: 'Linear', formula: 'y = a + b·x',
+            usable: () => true,
+            fit: () => linearFit(xs, ys),
+            coefficients: line => [line.intercept, line.slope]
+        },
+        {
+            name: 'Exponential', formula: 'y = a·e^(b·x)',
+            usable: () => ys.every(y => y > 0),
+            error: 'needs every y above 0',
+            fit: () => linearFit(xs, ys.map(Math.log)),
+            coefficients: line => [Math.exp(line.intercept), line.slope]
+        },
+        {
+            name: 'Power', formula: 'y = a·x^b',
+            usable: () => xs.every(x => x > 0) && ys.every(y => y > 0),
+            error: 'needs every x and y above 0',
+            fit: () => linearFit(xs.map(Math.log), ys.map(Math.log)),
+            coefficients: line => [Math.exp(line.intercept), line.slope]
+        }
+    ];
+
+    return models.map(model => {
+        const { name, formula } = model;
+        if (!model.usable()) {
+            return { name, formula, error: model.error };
+        }
+        const line = model.fit();
+        if (!line) {
+            return { name, formula, error: 'needs at least two different x values' };
+        }
+        const [a, b] = model.coefficients(line);
+        return { name, formula, a, b, r2: line.r2 };
+    });
+}
+
+// ============================================
+// FINANCE
+// ============================================
+
+/**
+ * Time value of money uses spreadsheet sign conventions: money received
+ * is positive and money paid out is negative, so a 200,000 loan (pv) has
+ * a negative payment (pmt). Rates are per period, and type is 0 when
+ * payments are made at the end of each period or 1 at the start.
+ */
+
+/**
+ * Growth of one unit of money over some periods: (1 + rate)^nper
+ * @param {number} rate - Interest rate per period
+ * @param {number} nper - Number of periods
+ * @returns {number} Growth factor
+ */
+function growthFactor(rate, nper) {
+    return Math.exp(nper * Math.log1p(rate));
+}
+
+/**
+ * Value at the end of the last period of a payment of 1 every period
+ * @param {number} rate - Interest rate per period
+ * @param {number} nper - Number of periods
+ * @param {number} type - 0 for payments at the end of each period, 1 for the start
+ * @returns {number} Annuity factor
+ */
+function annuityFactor(rate, nper, type) {
+    if (rate === 0) return nper;
+    // expm1 keeps ((1 + rate)^nper - 1) accurate for tiny rates
+    return (1 + rate * (type ? 1 : 0)) * Math.expm1(nper * Math.log1p(rate)) / rate;
+}
+
+/**
+ * Find the interest rate where a cash flow function is zero
+ * @param {Function} fn - Function of the rate per period
+ * @param {number} guess - Starting rate
+ * @returns {number} Rate above -100%, or NaN if none was found
+ */
+function findRate(fn, guess) {
+    const { roots } = findRoots(fn, { guess });
+    return roots.length > 0 && roots[0] > -1 ? roots[0] : NaN;
+}
+
+/**
+ * Payment-by-payment schedule of a loan or savings plan. Interest and
+ * principal have the sign of the payment; the balance is what is left
+ * after each payment (for a loan, it falls to -fv).
+ * @param {number} rate - Interest rate per period
+ * @param {number} nper - Whole number of periods
+ * @param {number} pv - Present value
+ * @param {number} pmt - Payment every period
+ * @param {number} type - 0 for payments at the end of each period, 1 for the start
+ * @returns {Array<Object>} { period, payment, interest, principal, balance } for each period
+ */
+function amortizationSchedule(rate, nper, pv, pmt, type) {
+    const rows = [];
+    let balance = pv;
+    for (let period = 1; period <= nper; period++) {
+        // A payment at the start of the first period comes before any interest
+        const interest = type && period === 1 ? 0 : -balance * rate;
+        const principal = pmt - interest;
+        balance += principal;
+        rows.push({ period, payment: pmt, interest, principal, balance });
+    }
+    return rows;
+}
+
+// ============================================
+// ERRORS
+// ============================================
+
+/**
+ * Error codes reported by the expression parser
+ */
+const ERROR_CODES = Object.freeze({
+    INVALID_CHARACTER: 'INVALID_CHARACTER',
+    INVALID_NUMBER: 'INVALID_NUMBER',
+    UNEXPECTED_TOKEN: 'UNEXPECTED_TOKEN',
+    UNEXPECTED_END: 'UNEXPECTED_END',
+    UNBALANCED_PAREN: 'UNBALANCED_PAREN',
+    UNKNOWN_FUNCTION: 'UNKNOWN_FUNCTION',
+    UNKNOWN_NAME: 'UNKNOWN_NAME',
+    WRONG_ARGUMENT_COUNT: 'WRONG_ARGUMENT_COUNT',
+    DOMAIN_ERROR: 'DOMAIN_ERROR',
+    DIVISION_BY_ZERO: 'DIVISION_BY_ZERO',
+    OVERFLOW: 'OVERFLOW',
+    RESERVED_NAME: 'RESERVED_NAME',
+    INVALID_DEFINITION: 'INVALID_DEFINITION',
+    RECURSION_LIMIT: 'RECURSION_LIMIT',
+    STEP_LIMIT: 'STEP_LIMIT',
+    INCOMPATIBLE_UNITS: 'INCOMPATIBLE_UNITS',
+    DIMENSION_MISMATCH: 'DIMENSION_MISMATCH'
+});
+
+/**
+ * An error in an expression, pointing at the part of the text that caused it
+ */
+class CalculatorError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message - Human readable message
+     * @param {number} start - Offset of the first offending character
+     * @param {number} end - Offset just after the last offending character
+     */
+    constructor(code, message, start, end) {
+        super(message);
+        this.name = 'CalculatorError';
+        this.code = code;
+        this.start = start;
+        this.end = end;
+    }
+}
+
+// ============================================
+// ARBITRARY-PRECISION DECIMALS
+// ============================================
+
+/**
+ * Exact decimal number stored as a BigInt coefficient and a scale:
+ * the value is coefficient / 10^scale, so 1.25 is (125n, 2).
+ *
+ * Addition, subtraction and multiplication are always exact.
+ * Division and square roots are rounded (half away from zero)
+ * to the number of decimal places passed in.
+ */
+class BigDecimal {
+    /**
+     * @param {bigint} coefficient - All digits of the number
+     * @param {number} scale - How many of those digits are after the decimal point
+     */
+    constructor(coefficient, scale = 0) {
+        this.coefficient = coefficient;
+        this.scale = scale;
+    }
+
+    /**
+     * Parse a decimal string such as "-12.5" or "1e-3"
+     * @param {string} text - Number text
+     * @returns {BigDecimal} Parsed value
+     */
+    static parse(text) {
+        const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(text.trim());
+        if (!match || (match[2] + (match[3] || '')) === '') {
+            throw new CalculatorError(ERROR_CODES.INVALID_NUMBER, 'Invalid number');
+        }
+
+        const [, sign, whole, fraction = '', exponent = '0'] = match;
+        let scale = fraction.length - parseInt(exponent, 10);
+        // Refuse exponents that would need an unreasonable number of digits (1e999999999)
+        if (Math.abs(scale) > BigDecimal.MAX_DIGITS) {
+            throw new CalculatorError(ERROR_CODES.OVERFLOW, 'Number has too many digits');
+        }
+        let coefficient = BigInt(whole + fraction || '0');
+        if (scale < 0) {
+            coefficient *= 10n ** BigInt(-scale);
+            scale = 0;
+        }
+        if (sign === '-') {
+            coefficient = -coefficient;
+        }
+        return new BigDecimal(coefficient, scale).normalize();
+    }
+
+    /**
+     * Convert a JavaScript number (uses its shortest decimal representation)
+     * @param {number} value - Finite number
+     * @returns {BigDecimal} Converted value
+     */
+    static fromNumber(value) {
+        if (!isFinite(value)) {
+            throw new CalculatorError(isNaN(value) ? ERROR_CODES.DOMAIN_ERROR : ERROR_CODES.OVERFLOW,
+                isNaN(value) ? 'Math error' : 'Result is too large');
+        }
+        return BigDecimal.parse(String(value));
+    }
+
+    /**
+     * Remove trailing zeros after the decimal point (1.500 -> 1.5)
+     * @returns {BigDecimal} Equal value with the smallest scale
+     */
+    normalize() {
+        let { coefficient, scale } = this;
+        while (scale > 0 && coefficient % 10n === 0n) {
+            coefficient /= 10n;
+            scale--;
+        }
+        return new BigDecimal(coefficient, scale);
+    }
+
+    /**
+     * Coefficient rewritten for a larger scale
+     * @param {number} scale - Target scale (>= this.scale)
+     * @returns {bigint} Scaled coefficient
+     */
+    scaledTo(scale) {
+        return this.coefficient * 10n ** BigInt(scale - this.scale);
+    }
+
+    add(other) {
+        const scale = Math.max(this.scale, other.scale);
+        return new BigDecimal(this.scaledTo(scale) + other.scaledTo(scale), scale).normalize();
+    }
+
+    subtract(other) {
+        return this.add(other.negate());
+    }
+
+    multiply(other) {
+        return new BigDecimal(this.coefficient * other.coefficient, this.scale + other.scale).normalize();
+    }
+
+    /**
+     * Divide, rounding to a number of decimal places
+     * @param {BigDecimal} other - Divisor (must not be zero)
+     * @param {number} places - Decimal places to keep
+     * @returns {BigDecimal} Quotient
+     */
+    divide(other, places) {
+        // (a / 10^sa) / (b / 10^sb) = a * 10^(places + sb - sa) / b, at scale "places"
+        const shift = places + other.scale - this.scale;
+        let numerator = this.coefficient;
+        let denominator = other.coefficient;
+        if (shift >= 0) {
+            numerator *= 10n ** BigInt(shift);
+        } else {
+            denominator *= 10n ** BigInt(-shift);
+        }
+        return new BigDecimal(divideRounded(numerator, denominator), places).normalize();
+    }
+
+    /**
+     * Remainder with the sign of the dividend, like JavaScript's %
+     * @param {BigDecimal} other - Divisor (must not be zero)
+     * @returns {BigDecimal} Remainder
+     */
+    modulo(other) {
+        const scale = Math.max(this.scale, other.scale);
+        return new BigDecimal(this.scaledTo(scale) % other.scaledTo(scale), scale).normalize();
+    }
+
+    /**
+     * Raise to an integer power
+     * @param {bigint} exponent - Integer exponent
+     * @param {number} places - Decimal places kept for negative exponents
+     * @returns {BigDecimal} Result
+     */
+    pow(exponent, places) {
+        if (exponent < 0n) {
+            return BigDecimal.ONE.divide(this.pow(-exponent, places), places);
+        }
+        if (exponent === 0n || this.isZero()) {
+            return exponent === 0n ? BigDecimal.ONE : this;
+        }
+
+        // Refuse results with an unreasonable number of digits before the decimal point
+        const magnitude = this.log10() * Number(exponent);
+        if (magnitude > BigDecimal.MAX_DIGITS) {
+            throw new CalculatorError(ERROR_CODES.OVERFLOW, 'Result is too large');
+        }
+
+        // Exact while all the digits fit
+        if (this.coefficient.toString().length * Number(exponent) <= BigDecimal.MAX_DIGITS) {
+            return new BigDecimal(this.coefficient ** exponent, this.scale * Number(exponent)).normalize();
+        }
+
+        // Otherwise square and multiply, rounding every step: 1.0000001^1000000
+        // has millions of decimals but is about 1.105. The extra places keep
+        // the rounding errors, which grow with the result, below its last place.
+        const working = places + Math.max(0, Math.ceil(magnitude)) + 5;
+        let result = BigDecimal.ONE;
+        let square = this;
+        for (let rest = exponent; rest > 0n; rest >>= 1n) {
+            if (rest & 1n) result = result.multiply(square).round(working);
+            if (rest > 1n) square = square.multiply(square).round(working);
+        }
+        return result;
+    }
+
+    /**
+     * Square root rounded to a number of decimal places
+     * @param {number} places - Decimal places to keep
+     * @returns {BigDecimal|null} Root, or null for negative numbers
+     */
+    sqrt(places) {
+        if (this.coefficient < 0n) return null;
+
+        // sqrt(c / 10^s) = sqrt(c * 10^(2p - s)) / 10^p, with one guard digit for rounding
+        const resultScale = Math.max(places, Math.ceil(this.scale / 2)) + 1;
+        const radicand = this.coefficient * 10n ** BigInt(2 * resultScale - this.scale);
+        return new BigDecimal(integerSqrt(radicand), resultScale).round(places);
+    }
+
+    /**
+     * Round half away from zero to a number of decimal places
+     * @param {number} places - Decimal places to keep
+     * @returns {BigDecimal} Rounded value
+     */
+    round(places) {
+        if (this.scale <= places) return this;
+        const divisor = 10n ** BigInt(this.scale - places);
+        return new BigDecimal(divideRounded(this.coefficient, divisor), places).normalize();
+    }
+
+    negate() {
+        return new BigDecimal(-this.coefficient, this.scale);
+    }
+
+    abs() {
+        return this.coefficient < 0n ? this.negate() : this;
+    }
+
+    isZero() {
+        return this.coefficient === 0n;
+    }
+
+    isInteger() {
+        return this.normalize().scale === 0;
+    }
+
+    /**
+     * Base 10 logarithm of the absolute value, read from the leading digits
+     * so that it also works beyond the range of doubles
+     * @returns {number} Logarithm (-Infinity for zero)
+     */
+    log10() {
+        const digits = (this.coefficient < 0n ? -this.coefficient : this.coefficient).toString();
+        return Math.log10(Number(`0.${digits.slice(0, 17)}`)) + digits.length - this.scale;
+    }
+
+    /**
+     * Integer value (only meaningful when isInteger() is true)
+     * @returns {bigint} Whole part of the number
+     */
+    toBigInt() {
+        return this.coefficient / 10n ** BigInt(this.scale);
+    }
+
+    toNumber() {
+        return Number(this.toString());
+    }
+
+    /**
+     * Plain decimal notation, never exponential
+     * @returns {string} e.g. "-0.0012"
+     */
+    toString() {
+        const negative = this.coefficient < 0n;
+        let digits = (negative ? -this.coefficient : this.coefficient).toString();
+        if (this.scale > 0) {
+            digits = digits.padStart(this.scale + 1, '0');
+            digits = `${digits.slice(0, -this.scale)}.${digits.slice(-this.scale)}`;
+        }
+        return (negative ? '-' : '') + digits;
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+}
+
+BigDecimal.ONE = new BigDecimal(1n, 0);
+BigDecimal.MAX_DIGITS = 100000;
+
+/**
+ * Integer division rounded half away from zero
+ * @param {bigint} numerator - Dividend
+ * @param {bigint} denominator - Divisor (non-zero)
+ * @returns {bigint} Rounded quotient
+ */
+function divideRounded(numerator, denominator) {
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    const absRemainder = remainder < 0n ? -remainder : remainder;
+    const absDenominator = denominator < 0n ? -denominator : denominator;
+    if (absRemainder * 2n >= absDenominator) {
+        return quotient + ((numerator < 0n) !== (denominator < 0n) ? -1n : 1n);
+    }
+    return quotient;
+}
+
+/**
+ * Largest integer whose square is <= n (Newton's method)
+ * @param {bigint} n - Non-negative integer
+ * @returns {bigint} Integer square root
+ */
+function integerSqrt(n) {
+    if (n < 2n) return n;
+    // Start above the root (2^ceil(bits/2)) so the iteration decreases monotonically
+    let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2));
+    while (true) {
+        const next = (x + n / x) / 2n;
+        if (next >= x) return x;
+        x = next;
+    }
+}
+
+// ============================================
+// EXACT FRACTIONS
+// ============================================
+
+/**
+ * Exact rational number: numerator / denominator as BigInts, always in
+ * lowest terms with a positive denominator, so 2/-4 is stored as (-1n, 2n).
+ * Text is always the improper form ("7/2", "-1/3", "5"), which reads back
+ * as the same value in every arithmetic mode; formatResult() shows it as
+ * a mixed number or a decimal when the user asks for that.
+ */
+class Fraction {
+    /**
+     * @param {bigint} numerator - Top of the fraction
+     * @param {bigint} [denominator] - Bottom of the fraction (non-zero)
+     */
+    constructor(numerator, denominator = 1n) {
+        if (denominator < 0n) {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+        const divisor = greatestCommonDivisor(numerator, denominator);
+        this.numerator = divisor > 1n ? numerator / divisor : numerator;
+        this.denominator = divisor > 1n ? denominator / divisor : denominator;
+    }
+
+    /**
+     * Parse "7/2", "-1/3" or decimal text such as "0.125" and "1e-3"
+     * @param {string} text - Number text
+     * @returns {Fraction} Exact value
+     */
+    static parse(text) {
+        const match = /^([+-]?\d+)\/(\d+)$/.exec(text.trim());
+        if (match) {
+            if (/^0+$/.test(match[2])) {
+                throw new CalculatorError(ERROR_CODES.DIVISION_BY_ZERO, 'Cannot divide by zero');
+            }
+            return new Fraction(BigInt(match[1]), BigInt(match[2]));
+        }
+        return Fraction.fromDecimal(BigDecimal.parse(text));
+    }
+
+    /**
+     * Exact value of a decimal: 1.25 is 125/100 = 5/4
+     * @param {BigDecimal} value - Decimal
+     * @returns {Fraction} Equal fraction
+     */
+    static fromDecimal(value) {
+        return new Fraction(value.coefficient, 10n ** BigInt(value.scale));
+    }
+
+    add(other) {
+        return new Fraction(this.numerator * other.denominator + other.numerator * this.denominator,
+            this.denominator * other.denominator);
+    }
+
+    subtract(other) {
+        return this.add(other.negate());
+    }
+
+    multiply(other) {
+        return new Fraction(this.numerator * other.numerator, this.denominator * other.denominator);
+    }
+
+    divide(other) {
+        return new Fraction(this.numerator * other.denominator, this.denominator * other.numerator);
+    }
+
+    /**
+     * Remainder with the sign of the dividend, like JavaScript's %
+     * @param {Fraction} other - Divisor (must not be zero)
+     * @returns {Fraction} Remainder
+     */
+    modulo(other) {
+        const denominator = this.denominator * other.denominator;
+        return new Fraction((this.numerator * other.denominator) % (other.numerator * this.denominator), denominator);
+    }
+
+    /**
+     * Raise to an integer power
+     * @param {bigint} exponent - Integer exponent
+     * @returns {Fraction} Result
+     */
+    pow(exponent) {
+        if (exponent < 0n) {
+            return new Fraction(this.denominator, this.numerator).pow(-exponent);
+        }
+
+        // Refuse results with an unreasonable number of digits
+        const length = (this.numerator < 0n ? -this.numerator : this.numerator).toString().length +
+            this.denominator.toString().length;
+        if (length * Number(exponent) > BigDecimal.MAX_DIGITS) {
+            throw new CalculatorError(ERROR_CODES.OVERFLOW, 'Result is too large');
+        }
+        return new Fraction(this.numerator ** exponent, this.denominator ** exponent);
+    }
+
+    /**
+     * Exact square root when the numerator and denominator are both squares
+     * @returns {Fraction|null} Root, or null if it is irrational or the value is negative
+     */
+    sqrt() {
+        if (this.numerator < 0n) return null;
+        const top = integerSqrt(this.numerator);
+        const bottom = integerSqrt(this.denominator);
+        return top * top === this.numerator && bottom * bottom === this.denominator ? new Fraction(top, bottom) : null;
+    }
+
+    negate() {
+        return new Fraction(-this.numerator, this.denominator);
+    }
+
+    abs() {
+        return this.numerator < 0n ? this.negate() : this;
+    }
+
+    isZero() {
+        return this.numerator === 0n;
+    }
+
+    isInteger() {
+        return this.denominator === 1n;
+    }
+
+    /**
+     * Order two fractions, like a sort comparator
+     * @param {Fraction} other - Value to compare with
+     * @returns {number} -1, 0 or 1
+     */
+    compare(other) {
+        const difference = this.numerator * other.denominator - other.numerator * this.denominator;
+        return difference < 0n ? -1 : difference > 0n ? 1 : 0;
+    }
+
+    toNumber() {
+        const value = Number(this.numerator) / Number(this.denominator);
+        if (!isNaN(value)) return value;
+        // Both parts beyond the range of doubles: divide exactly first
+        const places = this.denominator.toString().length + 20;
+        return new BigDecimal(this.numerator, 0).divide(new BigDecimal(this.denominator, 0), places).toNumber();
+    }
+
+    /**
+     * Decimal text rounded to a number of places, e.g. "0.3333333333"
+     * @param {number} places - Decimal places to keep
+     * @returns {string} Decimal notation
+     */
+    toDecimal(places) {
+        return new BigDecimal(this.numerator, 0).divide(new BigDecimal(this.denominator, 0), places).toString();
+    }
+
+    /**
+     * Improper fraction text such as "7/2" (whole numbers have no "/1")
+     * @returns {string} Fraction text
+     */
+    toString() {
+        return this.isInteger() ? this.numerator.toString() : `${this.numerator}/${this.denominator}`;
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+}
+
+/**
+ * Greatest common divisor (Euclid's algorithm)
+ * @param {bigint} a - Integer
+ * @param {bigint} b - Integer
+ * @returns {bigint} Non-negative divisor
+ */
+function greatestCommonDivisor(a, b) {
+    a = a < 0n ? -a : a;
+    b = b < 0n ? -b : b;
+    while (b !== 0n) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * Check whether a stored value is a fraction: a Fraction or text such as "7/2"
+ * @param {*} value - Value from ans, a variable or a memory register
+ * @returns {boolean} True for fractions
+ */
+function isFraction(value) {
+    return value instanceof Fraction || (typeof value === 'string' && /^-?\d+\/\d+$/.test(value.trim()));
+}
+
+/**
+ * Closest simple fraction to a double, from the convergents of its
+ * continued fraction, e.g. 0.3333333333 -> 1/3 and 3.14159 -> 314159/100000.
+ * Exact decimals and numbers beyond the safe integer range are converted
+ * with BigInt instead.
+ * @param {number|BigDecimal} value - Finite number
+ * @param {number} maxDenominator - Largest denominator allowed
+ * @returns {Fraction|null} Fraction within display precision, or null if there is none
+ */
+function approximateFraction(value, maxDenominator) {
+    if (value instanceof BigDecimal) {
+        const exact = Fraction.fromDecimal(value);
+        if (exact.denominator <= BigInt(maxDenominator)) return exact;
+        value = value.toNumber();
+    }
+    // Doubles this large are whole numbers, and their shortest text ("1e+300") is exact
+    if (Math.abs(value) > Number.MAX_SAFE_INTEGER) {
+        return Fraction.parse(String(value));
+    }
+
+    // Match every displayed digit, or as many as a double holds for large values
+    const tolerance = Math.max(Math.pow(10, -ENGINE_CONFIG.decimalPrecision), Math.abs(value) * 1e-15);
+    const target = Math.abs(value);
+
+    // Convergents h/k: h(n) = a(n)·h(n-1) + h(n-2), likewise for k
+    let [h0, h1, k0, k1] = [0, 1, 1, 0];
+    let rest = target;
+    while (true) {
+        const term = Math.floor(rest);
+        const h = term * h1 + h0;
+        const k = term * k1 + k0;
+        if (k > maxDenominator || !Number.isSafeInteger(h)) return null;
+        [h0, h1, k0, k1] = [h1, h, k1, k];
+
+        if (Math.abs(target - h / k) <= tolerance) {
+            return new Fraction(BigInt(value < 0 ? -h : h), BigInt(k));
+        }
+        rest = 1 / (rest - term);
+        if (!isFinite(rest)) return null;
+    }
+}
+
+/**
+ * Display forms for fraction results
+ */
+const FRACTION_FORMATS = ['improper', 'mixed', 'decimal'];
+
+/**
+ * Show fraction text in one of FRACTION_FORMATS
+ * @param {string} text - Improper fraction such as "-7/2"
+ * @param {string} format - 'improper' ("-7/2"), 'mixed' ("-3 1/2") or 'decimal' ("-3.5")
+ * @returns {string} Fraction in the requested form
+ */
+function formatFraction(text, format) {
+    const value = Fraction.parse(text);
+    if (format === 'decimal') {
+        return value.toDecimal(ENGINE_CONFIG.decimalPrecision);
+    }
+    const whole = value.numerator / value.denominator;   // Rounds toward zero
+    if (format !== 'mixed' || whole === 0n || value.isInteger()) {
+        return value.toString();
+    }
+    const rest = value.numerator % value.denominator;
+    return `${whole} ${rest < 0n ? -rest : rest}/${value.denominator}`;
+}
+
+// ============================================
+// NUMERIC BACKENDS
+// ============================================
+
+/**
+ * A numeric backend does the arithmetic for the interpreter, so the same
+ * AST can be evaluated with doubles, exact decimals or exact fractions.
+ *
+ * Every backend has:
+ * - fromLiteral(text) / fromNumber(n) / toNumber(value) conversions
+ * - coerce(value): accept a stored value (number, BigDecimal, Fraction or numeric string)
+ * - isZero(value), negate(value), factorial(value)
+ * - add, subtract, multiply, divide, modulo, power (two values each)
+ * - functions: exact versions of registry functions; any function not
+ *   listed here is computed with doubles and converted back
+ * - finalize(value): final checks and rounding before display
+ * - bitwise (programmer backend only): and, or, xor, not, shiftLeft, shiftRight
+ *
+ * factorial() and the functions return null when the input is outside
+ * their domain, and throw a CalculatorError (without a position) on overflow.
+ */
+const floatBackend = {
+    name: 'float',
+    fromLiteral: text => Number(text),   // Number() also reads 0x, 0o and 0b literals
+    fromNumber: value => value,
+    toNumber: value => value,
+    coerce(value) {
+        if (typeof value === 'number') return value;
+        return isFraction(value) ? Fraction.parse(String(value)).toNumber() : parseFloat(String(value));
+    },
+    isZero: value => value === 0,
+    negate: value => -value,
+    factorial(value) {
+        const result = mathFunctions.factorial(value);
+        return isNaN(result) ? null : result;
+    },
+    add: (a, b) => a + b,
+    subtract: (a, b) => a - b,
+    multiply: (a, b) => a * b,
+    divide: (a, b) => a / b,
+    modulo: (a, b) => a % b,
+    power: (a, b) => Math.pow(a, b),
+    functions: {},
+
+    /**
+     * Check the result and round away floating point noise (0.1+0.2 -> 0.3)
+     * @param {number} value - Raw result
+     * @returns {number} Rounded result
+     */
+    finalize(value) {
+        if (isNaN(value)) {
+            throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, 'Math error');
+        }
+        if (!isFinite(value)) {
+            throw new CalculatorError(ERROR_CODES.OVERFLOW, 'Result is too large');
+        }
+
+        // Values this large have no digits after the decimal point to round,
+        // and scaling them up would overflow to Infinity
+        const scale = Math.pow(10, ENGINE_CONFIG.decimalPrecision);
+        if (Math.abs(value) * scale >= Number.MAX_SAFE_INTEGER) {
+            return value;
+        }
+        return Math.round(value * scale) / scale;
+    }
+};
+
+/**
+ * Pick the backend for a set of evaluation options
+ * @param {Object} options - Options as passed to ExpressionParser.evaluate()
+ * @returns {Object} Numeric backend
+ */
+function createBackend(options) {
+    if (options.numericMode === 'programmer') {
+        const bits = WORD_SIZES.includes(options.wordSize) ? options.wordSize : 64;
+        return createProgrammerBackend(bits, options.signed !== false);
+    }
+    if (options.numericMode === 'decimal') {
+        return createDecimalBackend(options.precision || ENGINE_CONFIG.defaultPrecision);
+    }
+    if (options.numericMode === 'fraction') {
+        return fractionBackend;
+    }
+    return floatBackend;
+}
+
+/**
+ * Create an exact decimal backend. Only +, −, ×, ÷, mod, whole-number
+ * powers, square roots and factorials are exact. Fractional powers and the
+ * other functions (sin, ln, ...) are computed with doubles, so their
+ * results carry about 16 significant digits whatever the precision.
+ * @param {number} places - Decimal places kept by division, roots and results
+ * @returns {Object} Backend working on BigDecimal values
+ */
+function createDecimalBackend(places) {
+    const backend = {
+        name: 'decimal',
+        places: places,
+        fromLiteral: text => (/^0[xob]/i.test(text) ? new BigDecimal(BigInt(text), 0) : BigDecimal.parse(text)),
+        fromNumber: value => BigDecimal.fromNumber(value),
+        toNumber: value => value.toNumber(),
+        coerce(value) {
+            if (value instanceof BigDecimal) return value;
+            if (isFraction(value)) {
+                const fraction = Fraction.parse(String(value));
+                return new BigDecimal(fraction.numerator, 0).divide(new BigDecimal(fraction.denominator, 0), places);
+            }
+            return BigDecimal.parse(String(value));
+        },
+        isZero: value => value.isZero(),
+        negate: value => value.negate(),
+
+        factorial(value) {
+            if (!value.isInteger() || value.coefficient < 0n) return null;
+            const n = value.toBigInt();
+            if (n > BigInt(ENGINE_CONFIG.maxExactFactorial)) {
+                throw new CalculatorError(ERROR_CODES.OVERFLOW, 'Result is too large');
+            }
+            let result = 1n;
+            for (let i = 2n; i <= n; i++) {
+                result *= i;
+            }
+            return new BigDecimal(result, 0);
+        },
+
+        add: (a, b) => a.add(b),
+        subtract: (a, b) => a.subtract(b),
+        multiply: (a, b) => a.multiply(b),
+        divide: (a, b) => a.divide(b, places),
+        modulo: (a, b) => a.modulo(b),
+
+        power(base, exponent) {
+            if (exponent.isInteger()) {
+                if (base.isZero() && exponent.coefficient < 0n) {
+                    throw new CalculatorError(ERROR_CODES.DIVISION_BY_ZERO, 'Cannot divide by zero');
+                }
+                return base.pow(exponent.toBigInt(), places);
+            }
+            // Fractional exponents are irrational in general: use doubles
+            const result = Math.pow(base.toNumber(), exponent.toNumber());
+            return BigDecimal.fromNumber(result);
+        },
+
+        functions: {
+            abs: value => value.abs(),
+            sqrt: value => value.sqrt(places),
+            pow: (base, exponent) => backend.power(base, exponent || new BigDecimal(2n, 0)),
+            factorial: value => backend.factorial(value)
+        },
+
+        finalize: value => value.round(places)
+    };
+    return backend;
+}
+
+/**
+ * List functions on Fractions, for fraction mode. Like the backend
+ * functions they return null outside their domain.
+ */
+const exactListFunctions = {
+    sum: values => values.reduce((total, value) => total.add(value)),
+    mean: values => exactListFunctions.sum(values).divide(new Fraction(BigInt(values.length))),
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a.compare(b));
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1 ? sorted[middle] : sorted[middle - 1].add(sorted[middle]).divide(new Fraction(2n));
+    },
+
+    mode(values) {
+        const counts = new Map();
+        values.forEach(value => counts.set(value.toString(), (counts.get(value.toString()) || 0) + 1));
+        const highest = Math.max(...counts.values());
+        if (highest < 2) return null;
+        return values.filter(value => counts.get(value.toString()) === highest).sort((a, b) => a.compare(b))[0];
+    },
+
+    variance: values => (values.length < 2 ? null : exactSumOfSquares(values).divide(new Fraction(BigInt(values.length - 1)))),
+    pvariance: values => exactSumOfSquares(values).divide(new Fraction(BigInt(values.length))),
+
+    // Square roots are exact for squares such as 1/4 and doubles otherwise
+    stdev(values) {
+        const variance = exactListFunctions.variance(values);
+        return variance === null ? null : fractionBackend.functions.sqrt(variance);
+    },
+    pstdev: values => fractionBackend.functions.sqrt(exactListFunctions.pvariance(values)),
+
+    min: values => values.reduce((least, value) => (value.compare(least) < 0 ? value : least)),
+    max: values => values.reduce((most, value) => (value.compare(most) > 0 ? value : most))
+};
+
+/**
+ * Sum of squared differences from the mean, exactly
+ * @param {Array<Fraction>} values - Fractions
+ * @returns {Fraction} Sum of squares
+ */
+function exactSumOfSquares(values) {
+    const mean = exactListFunctions.mean(values);
+    return exactListFunctions.sum(values.map(value => value.subtract(mean).pow(2n)));
+}
+
+/**
+ * Call a list function in fraction mode: exactly while every value is a
+ * Fraction, with doubles once one of them is a double
+ * @param {string} name - Function name (a key of exactListFunctions)
+ * @param {Array<Fraction|number>} values - Arguments
+ * @returns {Fraction|number|null} Result, or null outside the function's domain
+ */
+function fractionListFunction(name, values) {
+    if (values.every(value => value instanceof Fraction)) {
+        return exactListFunctions[name](values);
+    }
+    const result = mathFunctions[name](...values.map(fractionBackend.toNumber));
+    return isNaN(result) ? null : fractionBackend.fromNumber(result);
+}
+
+/**
+ * Exact fraction backend. Values are Fractions while every step is
+ * rational; an irrational step (sqrt(2), sin, π, 2^0.5) gives a double,
+ * and anything computed from a double stays a double, so those results
+ * fall back to decimals.
+ */
+const fractionBackend = {
+    name: 'fraction',
+
+    fromLiteral: text => (/^0[xob]/i.test(text) ? new Fraction(BigInt(text)) : Fraction.parse(text)),
+
+    // Whole numbers coming back from doubles (sqrt(16), log(1000)) stay exact
+    fromNumber: value => (Number.isSafeInteger(value) ? new Fraction(BigInt(value)) : value),
+    toNumber: value => (value instanceof Fraction ? value.toNumber() : value),
+
+    // Stored doubles are read as the decimals they show: 0.1 is 1/10
+    coerce: value => (value instanceof Fraction ? value : Fraction.parse(String(value))),
+
+    isZero: value => (value instanceof Fraction ? value.isZero() : value === 0),
+    negate: value => (value instanceof Fraction ? value.negate() : -value),
+
+    factorial(value) {
+        if (!(value instanceof Fraction)) {
+            return fractionBackend.fromNumber(floatBackend.factorial(value));
+        }
+        if (!value.isInteger() || value.numerator < 0n) return null;
+        if (value.numerator > BigInt(ENGINE_CONFIG.maxExactFactorial)) {
+            throw new CalculatorError(ERROR_CODES.OVERFLOW, 'Result is too large');
+        }
+        let result = 1n;
+        for (let i = 2n; i <= value.numerator; i++) {
+            result *= i;
+        }
+        return new Fraction(result);
+    },
+
+    add: (a, b) => exactOrFloat(a, b, 'add'),
+    subtract: (a, b) => exactOrFloat(a, b, 'subtract'),
+    multiply: (a, b) => exactOrFloat(a, b, 'multiply'),
+    divide: (a, b) => exactOrFloat(a, b, 'divide'),
+    modulo: (a, b) => exactOrFloat(a, b, 'modulo'),
+
+    power(base, exponent) {
+        if (base instanceof Fraction && exponent instanceof Fraction && exponent.isInteger()) {
+            if (base.isZero() && exponent.numerator < 0n) {
+                throw new CalculatorError(ERROR_CODES.DIVISION_BY_ZERO, 'Cannot divide by zero');
+            }
+            return base.pow(exponent.numerator);
+        }
+        // Fractional exponents are irrational in general: use doubles
+        return fractionBackend.fromNumber(Math.pow(fractionBackend.toNumber(base), fractionBackend.toNumber(exponent)));
+    },
+
+    functions: {
+        abs: value => (value instanceof Fraction ? value.abs() : Math.abs(value)),
+        sqrt(value) {
+            if (!(value instanceof Fraction)) return value < 0 ? null : Math.sqrt(value);
+            return value.numerator < 0n ? null : value.sqrt() || Math.sqrt(value.toNumber());
+        },
+        pow: (base, exponent) => fractionBackend.power(base, exponent === undefined ? new Fraction(2n) : exponent),
+        factorial: value => fractionBackend.factorial(value),
+
+        sum: (...values) => fractionListFunction('sum', values),
+        mean: (...values) => fractionListFunction('mean', values),
+        median: (...values) => fractionListFunction('median', values),
+        mode: (...values) => fractionListFunction('mode', values),
+        variance: (...values) => fractionListFunction('variance', values),
+        pvariance: (...values) => fractionListFunction('pvariance', values),
+        stdev: (...values) => fractionListFunction('stdev', values),
+        pstdev: (...values) => fractionListFunction('pstdev', values),
+        min: (...values) => fractionListFunction('min', values),
+        max: (...values) => fractionListFunction('max', values)
+    },
+
+    finalize: value => (value instanceof Fraction ? value : floatBackend.finalize(value))
+};
+
+/**
+ * Apply an arithmetic operation exactly when both operands are
+ * Fractions, or with doubles when either one is already a double
+ * @param {Fraction|number} a - Left operand
+ * @param {Fraction|number} b - Right operand
+ * @param {string} operation - Fraction method: 'add', 'subtract', 'multiply', 'divide' or 'modulo'
+ * @returns {Fraction|number} Result
+ */
+function exactOrFloat(a, b, operation) {
+    if (a instanceof Fraction && b instanceof Fraction) {
+        return a[operation](b);
+    }
+    return floatBackend[operation](fractionBackend.toNumber(a), fractionBackend.toNumber(b));
+}
+
+/**
+ * Word sizes offered in programmer mode
+ */
+const WORD_SIZES = [8, 16, 32, 64];
+
+/**
+ * Create a programmer backend: whole numbers of a fixed word size that
+ * wrap around on overflow like machine integers
+ * @param {number} bits - Word size (one of WORD_SIZES)
+ * @param {boolean} signed - Two's complement signed (true) or unsigned
+ * @returns {Object} Backend working on BigInt values
+ */
+function createProgrammerBackend(bits, signed) {
+    const size = BigInt(bits);
+    const mask = (1n << size) - 1n;
+
+    // Keep the low bits, then read them back as signed or unsigned
+    const wrap = value => {
+        const unsigned = value & mask;
+        return signed && (unsigned >> (size - 1n)) ? unsigned - (1n << size) : unsigned;
+    };
+
+    const wholeNumberError = () => new CalculatorError(ERROR_CODES.INVALID_NUMBER, 'Programmer mode only uses whole numbers');
+
+    // Function results such as sin(1) are refused like the literal 1.5, not truncated
+    const fromNumber = value => {
+        if (!isFinite(value)) {
+            throw new CalculatorError(isNaN(value) ? ERROR_CODES.DOMAIN_ERROR : ERROR_CODES.OVERFLOW,
+                isNaN(value) ? 'Math error' : 'Result is too large');
+        }
+        if (!Number.isInteger(value)) {
+            throw wholeNumberError();
+        }
+        return wrap(BigInt(value));
+    };
+
+    const checkShift = amount => {
+        if (amount < 0n) {
+            throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, 'Shift amount cannot be negative');
+        }
+    };
+
+    const backend = {
+        name: 'programmer',
+        bits: bits,
+        signed: signed,
+
+        fromLiteral(text) {
+            // BigInt() understands 0x, 0o and 0b prefixes
+            if (/^(0[xob][0-9a-f]+|\d+)$/i.test(text)) {
+                return wrap(BigInt(text));
+            }
+            const value = Number(text);
+            if (!Number.isInteger(value)) {
+                throw wholeNumberError();
+            }
+            return wrap(BigInt(value));
+        },
+
+        fromNumber: fromNumber,
+        toNumber: value => Number(value),
+
+        coerce(value) {
+            if (typeof value === 'bigint') return wrap(value);
+            const text = String(value).trim();
+            if (/^-?\d+$/.test(text)) return wrap(BigInt(text));
+            if (isFraction(text)) {
+                const fraction = Fraction.parse(text);
+                return wrap(fraction.numerator / fraction.denominator);
+            }
+            // Results from the other modes lose their fraction
+            return fromNumber(Math.trunc(parseFloat(text)));
+        },
+
+        isZero: value => value === 0n,
+        negate: value => wrap(-value),
+
+        factorial(value) {
+            if (value < 0n) return null;
+            // Once the product is a multiple of 2^bits it stays 0, so big n ends early
+            let result = 1n;
+            for (let i = 2n; i <= value && result !== 0n; i++) {
+                result = wrap(result * i);
+            }
+            return result;
+        },
+
+        add: (a, b) => wrap(a + b),
+        subtract: (a, b) => wrap(a - b),
+        multiply: (a, b) => wrap(a * b),
+        divide: (a, b) => wrap(a / b),    // Rounds toward zero like C
+        modulo: (a, b) => wrap(a % b),
+
+        power(base, exponent) {
+            if (exponent < 0n) {
+                throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, 'Programmer mode has no negative exponents');
+            }
+            // Square and multiply, wrapping at each step so huge exponents stay fast
+            let result = 1n;
+            let square = base;
+            for (let rest = exponent; rest > 0n; rest >>= 1n) {
+                if (rest & 1n) result = wrap(result * square);
+                square = wrap(square * square);
+            }
+            return result;
+        },
+
+        bitwise: {
+            and: (a, b) => wrap(a & b),
+            or: (a, b) => wrap(a | b),
+            xor: (a, b) => wrap(a ^ b),
+            not: value => wrap(~value),
+            shiftLeft(value, amount) {
+                checkShift(amount);
+                return amount >= size ? 0n : wrap(value << amount);
+            },
+            shiftRight(value, amount) {
+                checkShift(amount);
+                // Arithmetic shift: negative (signed) values keep their sign
+                if (amount >= size) return value < 0n ? -1n : 0n;
+                return wrap(value >> amount);
+            }
+        },
+
+        functions: {
+            abs: value => wrap(value < 0n ? -value : value),
+            pow: (base, exponent) => backend.power(base, exponent === undefined ? 2n : exponent),
+            factorial: value => backend.factorial(value)
+        },
+
+        finalize: value => wrap(value)
+    };
+    return backend;
+}
+
+// ============================================
+// FUNCTION & CONSTANT REGISTRY
+// ============================================
+
+/**
+ * Whitelist of functions that expressions are allowed to call.
+ * Only names registered here can be called, so an expression can never
+ * reach any other JavaScript code.
+ */
+const functionRegistry = new Map();
+
+/**
+ * Register a function from mathFunctions so expressions can call it
+ * @param {string} name - Function name (must exist in mathFunctions unless options.fn
+ *                        is given, or in matrixFunctions for matrix functions)
+ * @param {number} minArgs - Minimum number of arguments
+ * @param {number} [maxArgs] - Maximum number of arguments (defaults to minArgs)
+ * @param {Object} [options] - Extra details
+ * @param {Function} [options.fn] - Implementation, called with numbers, for functions
+ *                                  that are not in mathFunctions
+ * @param {string} [options.domain] - Message shown when the function returns NaN
+ * @param {string} [options.angle] - 'input' if the argument is an angle,
+ *                                   'output' if the result is an angle
+ * @param {boolean} [options.matrix] - True for matrix functions (see matrixFunctions)
+ * @param {boolean} [options.allowVariable] - True if a variable may use the same name:
+ *                                            "rate = 0.075" is a variable, "rate(...)" the function
+ */
+function registerFunction(name, minArgs, maxArgs = minArgs, options = {}) {
+    functionRegistry.set(name, {
+        name: name,
+        fn: options.fn || mathFunctions[name],
+        minArgs: minArgs,
+        maxArgs: maxArgs,
+        domain: options.domain || `${name} is not defined for this value`,
+        angle: options.angle || null,
+        matrix: options.matrix || false,
+        allowVariable: options.allowVariable || false
+    });
+}
+
+registerFunction('sin', 1, 1, { angle: 'input' });
+registerFunction('cos', 1, 1, { angle: 'input' });
+registerFunction('tan', 1, 1, { angle: 'input', domain: 'tan is undefined at this angle' });
+registerFunction('asin', 1, 1, { angle: 'output', domain: 'asin needs a value between -1 and 1' });
+registerFunction('acos', 1, 1, { angle: 'output', domain: 'acos needs a value between -1 and 1' });
+registerFunction('atan', 1, 1, { angle: 'output' });
+registerFunction('atan2', 2, 2, { angle: 'output' });
+registerFunction('log', 1, 1, { domain: 'log needs a positive number' });
+registerFunction('ln', 1, 1, { domain: 'ln needs a positive number' });
+registerFunction('sqrt', 1, 1, { domain: 'sqrt needs a non-negative number' });
+registerFunction('pow', 1, 2);   // pow(x) squares x, pow(x, y) raises x to y
+registerFunction('abs', 1);
+registerFunction('factorial', 1, 1, { domain: 'Factorial needs a non-negative integer' });
+registerFunction('deg', 1, 1, { angle: 'output' });   // Degrees in the current angle mode: sin(deg(30)) = 0.5
+
+// Parts of complex numbers (also accept real numbers)
+registerFunction('re', 1);
+registerFunction('im', 1);
+registerFunction('arg', 1, 1, { angle: 'output' });
+registerFunction('conj', 1);
+
+// Matrix and vector functions
+registerFunction('transpose', 1, 1, { matrix: true });
+registerFunction('det', 1, 1, { matrix: true });
+registerFunction('inv', 1, 1, { matrix: true });
+registerFunction('rank', 1, 1, { matrix: true });
+registerFunction('dot', 2, 2, { matrix: true });
+registerFunction('cross', 2, 2, { matrix: true });
+
+// List functions take any number of arguments: mean(1, 2, 3)
+registerFunction('sum', 1, Infinity);
+registerFunction('mean', 1, Infinity);
+registerFunction('median', 1, Infinity);
+registerFunction('mode', 1, Infinity, { domain: 'mode needs a value that appears more than once' });
+registerFunction('variance', 1, Infinity, { domain: 'variance needs at least two values' });
+registerFunction('pvariance', 1, Infinity);
+registerFunction('stdev', 1, Infinity, { domain: 'stdev needs at least two values' });
+registerFunction('pstdev', 1, Infinity);
+registerFunction('min', 1, Infinity);
+registerFunction('max', 1, Infinity);
+
+// Percent helpers (results are in percent: pctchange(80, 100) is 25)
+registerFunction('pctchange', 2, 2, { domain: 'pctchange needs a starting value other than 0' });
+registerFunction('markup', 2, 2, { allowVariable: true, domain: 'markup needs a cost other than 0' });
+registerFunction('margin', 2, 2, { allowVariable: true, domain: 'margin needs a price other than 0' });
+
+// Financial functions, with spreadsheet argument order and sign conventions
+registerFunction('pv', 3, 5, { allowVariable: true, domain: 'pv needs a rate above -1' });
+registerFunction('fv', 3, 5, { allowVariable: true, domain: 'fv needs a rate above -1' });
+registerFunction('pmt', 3, 5, { allowVariable: true, domain: 'pmt needs a rate above -1 and at least one period' });
+registerFunction('nper', 3, 5, { allowVariable: true, domain: 'nper: these payments never reach the future value' });
+registerFunction('rate', 3, 6, { allowVariable: true, domain: 'rate found no interest rate; try another guess' });
+registerFunction('npv', 2, Infinity, { allowVariable: true, domain: 'npv needs a rate above -1 and some cash flows' });
+registerFunction('irr', 1, Infinity, { allowVariable: true, domain: 'irr needs positive and negative cash flows with a rate of return' });
+
+/**
+ * Size of one angle unit in radians
+ */
+const ANGLE_UNITS = {
+    DEG: Math.PI / 180,
+    RAD: 1,
+    GRAD: Math.PI / 200
+};
+
+/**
+ * Named constants that can be used in expressions
+ */
+const constantRegistry = new Map([
+    ['PI', Math.PI],
+    ['π', Math.PI],
+    ['E', Math.E],
+    ['e', Math.E]
+]);
+
+/**
+ * Add a named constant that expressions can use: registerConstant('g', 9.80665)
+ * @param {string} name - Identifier that is not already a built-in name
+ * @param {number} value - Value of the constant
+ * @throws {Error} If the name cannot be used or the value is not a finite number
+ */
+function registerConstant(name, value) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) || isReservedName(name)) {
+        throw new Error(`"${name}" cannot be used as a constant name`);
+    }
+    if (typeof value !== 'number' || !isFinite(value)) {
+        throw new Error(`The constant "${name}" needs a finite number`);
+    }
+    constantRegistry.set(name, value);
+}
+
+// ============================================
+// UNITS
+// ============================================
+
+/**
+ * Base dimensions, in the order used by dimension vectors.
+ * Data sizes get their own dimension so bytes never mix with plain numbers.
+ */
+const BASE_DIMENSIONS = ['m', 'kg', 's', 'A', 'K', 'mol', 'cd', 'bit'];
+
+const NO_DIMENSIONS = BASE_DIMENSIONS.map(() => 0);
+
+/**
+ * Build a dimension vector
+ * @param {Object} powers - Exponent per base dimension, e.g. { m: 1, s: -1 }
+ * @returns {Array<number>} Exponents in BASE_DIMENSIONS order
+ */
+function dimensionVector(powers) {
+    return BASE_DIMENSIONS.map(name => powers[name] || 0);
+}
+
+function sameDimensions(a, b) {
+    return a.every((power, i) => power === b[i]);
+}
+
+function isDimensionless(dimensions) {
+    return dimensions.every(power => power === 0);
+}
+
+const SI_PREFIXES = {
+    n: '1e-9', u: '1e-6', 'µ': '1e-6', m: '1e-3', c: '1e-2', h: '1e2',
+    k: '1e3', M: '1e6', G: '1e9', T: '1e12'
+};
+
+/**
+ * Units that can be used in expressions, by symbol.
+ * factor is the size of the unit in SI base units, written as exact
+ * decimal text or "a/b". offset is only set for temperature scales
+ * that do not start at absolute zero: kelvin = (value + offset) * factor.
+ */
+const unitRegistry = new Map();
+
+/**
+ * Add a unit to the registry
+ * @param {string|Array<string>} symbols - Symbol, or symbol and aliases
+ * @param {string} factor - Size in SI base units
+ * @param {Object} dimensions - Exponent per base dimension
+ * @param {string} [offset] - Zero point offset (temperatures only)
+ */
+function registerUnit(symbols, factor, dimensions, offset = null) {
+    const vector = dimensionVector(dimensions);
+    [].concat(symbols).forEach(symbol => {
+        unitRegistry.set(symbol, { symbol, factor, dimensions: vector, offset });
+    });
+}
+
+/**
+ * Add a unit together with SI-prefixed versions of it
+ * @param {string} symbol - Unit symbol
+ * @param {string} factor - Size in SI base units
+ * @param {Object} dimensions - Exponent per base dimension
+ * @param {string} prefixes - Space-separated keys of SI_PREFIXES
+ */
+function registerPrefixedUnit(symbol, factor, dimensions, prefixes) {
+    registerUnit(symbol, factor, dimensions);
+    prefixes.split(' ').forEach(prefix => {
+        const scaled = BigDecimal.parse(SI_PREFIXES[prefix]).multiply(BigDecimal.parse(factor));
+        registerUnit(prefix + symbol, scaled.toString(), dimensions);
+    });
+}
+
+const FORCE = { kg: 1, m: 1, s: -2 };
+const ENERGY = { kg: 1, m: 2, s: -2 };
+const POWER = { kg: 1, m: 2, s: -3 };
+const PRESSURE = { kg: 1, m: -1, s: -2 };
+
+// Length, area and volume
+registerPrefixedUnit('m', '1', { m: 1 }, 'n u µ m c k');
+registerUnit('in', '0.0254', { m: 1 });
+registerUnit('ft', '0.3048', { m: 1 });
+registerUnit('yd', '0.9144', { m: 1 });
+registerUnit('mi', '1609.344', { m: 1 });
+registerUnit('nmi', '1852', { m: 1 });
+registerUnit('ha', '10000', { m: 2 });
+registerUnit('acre', '4046.8564224', { m: 2 });
+registerPrefixedUnit('L', '0.001', { m: 3 }, 'm c');
+registerUnit('gal', '0.003785411784', { m: 3 });
+registerUnit('floz', '0.0000295735295625', { m: 3 });
+
+// Mass
+registerPrefixedUnit('g', '0.001', { kg: 1 }, 'u µ m k');
+registerUnit('tonne', '1000', { kg: 1 });
+registerUnit('lb', '0.45359237', { kg: 1 });
+registerUnit('oz', '0.028349523125', { kg: 1 });
+
+// Time and speed
+registerPrefixedUnit('s', '1', { s: 1 }, 'n u µ m');
+registerUnit('min', '60', { s: 1 });
+registerUnit('h', '3600', { s: 1 });
+registerUnit('day', '86400', { s: 1 });
+registerUnit('week', '604800', { s: 1 });
+registerUnit('yr', '31557600', { s: 1 });    // Julian year, 365.25 days
+registerUnit('mph', '0.44704', { m: 1, s: -1 });
+registerUnit('knot', '1852/3600', { m: 1, s: -1 });
+
+// Force, energy, power and pressure
+registerPrefixedUnit('N', '1', FORCE, 'k');
+registerUnit('lbf', '4.4482216152605', FORCE);
+registerPrefixedUnit('J', '1', ENERGY, 'k M');
+registerUnit('cal', '4.184', ENERGY);
+registerUnit('kcal', '4184', ENERGY);
+registerPrefixedUnit('Wh', '3600', ENERGY, 'k M G');
+registerUnit('eV', '1.602176634e-19', ENERGY);
+registerPrefixedUnit('W', '1', POWER, 'm k M G');
+registerUnit('hp', '745.69987158227022', POWER);
+registerPrefixedUnit('Pa', '1', PRESSURE, 'h k M');
+registerUnit('bar', '100000', PRESSURE);
+registerUnit('atm', '101325', PRESSURE);
+registerUnit('psi', '4.4482216152605/0.00064516', PRESSURE);
+
+// Frequency, electricity and amount of substance
+registerPrefixedUnit('Hz', '1', { s: -1 }, 'k M G');
+registerPrefixedUnit('A', '1', { A: 1 }, 'm');
+registerPrefixedUnit('V', '1', { kg: 1, m: 2, s: -3, A: -1 }, 'm k');
+registerUnit('mol', '1', { mol: 1 });
+
+// Temperature
+registerUnit('K', '1', { K: 1 });
+registerUnit(['°C', 'degC'], '1', { K: 1 }, '273.15');
+registerUnit(['°F', 'degF'], '5/9', { K: 1 }, '459.67');
+
+// Data sizes: decimal (kB = 1000 B) and binary (KiB = 1024 B) multiples
+registerUnit('bit', '1', { bit: 1 });
+registerUnit('B', '8', { bit: 1 });
+['k', 'M', 'G', 'T'].forEach((prefix, i) => {
+    const decimal = 1000n ** BigInt(i + 1);
+    const binary = 1024n ** BigInt(i + 1);
+    registerUnit(prefix + 'bit', decimal.toString(), { bit: 1 });
+    registerUnit(prefix + 'B', (decimal * 8n).toString(), { bit: 1 });
+    registerUnit(prefix.toUpperCase() + 'iB', (binary * 8n).toString(), { bit: 1 });
+});
+
+/**
+ * Named units that replace a combination of units when a result is
+ * shown, e.g. kWh/h is shown in W and kg·m/s^2 in N
+ */
+const DERIVED_UNITS = ['N', 'J', 'W', 'Pa', 'V'];
+
+/**
+ * A number with a unit.
+ * value is the magnitude in SI base units (in the representation of the
+ * active backend), so arithmetic never needs to convert. units records the
+ * units the user wrote (symbol -> exponent) and decides how the result is shown.
+ */
+class Quantity {
+    /**
+     * @param {*} value - Magnitude in SI base units
+     * @param {Array<number>} dimensions - Dimension vector
+     * @param {Map<string, number>} units - Units to show the value in
+     * @param {Object} [options]
+     * @param {boolean} [options.explicit] - Units were chosen with "to"
+     * @param {Object} [options.bareUnit] - Registry entry when this is a unit name on its own
+     * @param {Object} [options.display] - { magnitude, label } once finalized
+     */
+    constructor(value, dimensions, units, options = {}) {
+        this.value = value;
+        this.dimensions = dimensions;
+        this.units = units;
+        this.explicit = options.explicit || false;
+        this.bareUnit = options.bareUnit || null;
+        this.display = options.display || null;
+    }
+
+    /**
+     * Text such as "5.3 km" (only for finalized quantities)
+     * @returns {string} Magnitude and unit
+     */
+    toString() {
+        return `${this.display.magnitude} ${this.display.label}`;
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+}
+
+/**
+ * Check whether a stored value carries a unit. Quantities are stored as
+ * text such as "5.3 km", and plain numbers never contain a space.
+ * @param {*} value - Value from ans, a variable or a memory register
+ * @returns {boolean} True if the value has a unit
+ */
+function hasUnits(value) {
+    return value instanceof Quantity || (typeof value === 'string' && value.trim().includes(' '));
+}
+
+/**
+ * Convert a unit factor ("0.3048" or "5/9") to backend values.
+ * Factors are kept as a fraction so that exact decimal mode only
+ * rounds once, when dividing by the denominator.
+ * @param {string} factor - Factor text
+ * @param {Object} backend - Numeric backend
+ * @returns {Object} { numerator, denominator }
+ */
+function unitFactor(factor, backend) {
+    const [numerator, denominator = '1'] = factor.split('/');
+    return { numerator: backend.fromLiteral(numerator), denominator: backend.fromLiteral(denominator) };
+}
+
+/**
+ * Size of a combination of units in SI base units
+ * @param {Map<string, number>} units - Symbol -> exponent
+ * @param {Object} backend - Numeric backend
+ * @returns {Object} { numerator, denominator }
+ */
+function unitsFactor(units, backend) {
+    let numerator = backend.fromNumber(1);
+    let denominator = backend.fromNumber(1);
+    units.forEach((power, symbol) => {
+        const factor = unitFactor(unitRegistry.get(symbol).factor, backend);
+        const exponent = backend.fromNumber(Math.abs(power));
+        const top = backend.power(power > 0 ? factor.numerator : factor.denominator, exponent);
+        const bottom = backend.power(power > 0 ? factor.denominator : factor.numerator, exponent);
+        numerator = backend.multiply(numerator, top);
+        denominator = backend.multiply(denominator, bottom);
+    });
+    return { numerator, denominator };
+}
+
+/**
+ * Multiply a value by a factor from unitFactor() or unitsFactor()
+ * @param {*} value - Value
+ * @param {Object} factor - { numerator, denominator }
+ * @param {Object} backend - Numeric backend
+ * @returns {*} value * factor
+ */
+function applyFactor(value, factor, backend) {
+    return backend.divide(backend.multiply(value, factor.numerator), factor.denominator);
+}
+
+/**
+ * Multiply (sign 1) or divide (sign -1) two unit combinations.
+ * Units of the same kind are merged into the first one, so km·m is km^2
+ * and km/m cancels out.
+ * @param {Map<string, number>} left - Left units
+ * @param {Map<string, number>} right - Right units
+ * @param {number} sign - 1 or -1
+ * @returns {Map<string, number>} Combined units
+ */
+function combineUnits(left, right, sign) {
+    const result = new Map(left);
+    right.forEach((power, symbol) => {
+        const dimensions = unitRegistry.get(symbol).dimensions;
+        const match = [...result.keys()].find(key => sameDimensions(unitRegistry.get(key).dimensions, dimensions)) || symbol;
+        const combined = (result.get(match) || 0) + power * sign;
+        if (combined === 0) {
+            result.delete(match);
+        } else {
+            result.set(match, combined);
+        }
+    });
+    return result;
+}
+
+/**
+ * Label for a combination of units, e.g. "kg·m^2/s^3".
+ * Labels can be parsed back as expressions.
+ * @param {Map<string, number>} units - Symbol -> exponent
+ * @returns {string} Label
+ */
+function describeUnits(units) {
+    const entries = [...units];
+    const format = (symbol, power) => (power === 1 ? symbol : `${symbol}^${power}`);
+    const numerator = entries.filter(([, power]) => power > 0).map(([symbol, power]) => format(symbol, power));
+    const denominator = entries.filter(([, power]) => power < 0).map(([symbol, power]) => format(symbol, -power));
+
+    if (numerator.length === 0) {
+        return entries.map(([symbol, power]) => format(symbol, power)).join('·');
+    }
+    if (denominator.length === 0) {
+        return numerator.join('·');
+    }
+    const below = denominator.length > 1 ? `(${denominator.join('·')})` : denominator[0];
+    return `${numerator.join('·')}/${below}`;
+}
+
+/**
+ * Treat a plain value as a quantity without dimensions
+ * @param {*} value - Quantity or plain backend value
+ * @returns {Quantity} Quantity
+ */
+function asQuantity(value) {
+    return value instanceof Quantity ? value : new Quantity(value, NO_DIMENSIONS, new Map());
+}
+
+/**
+ * Build the result of an operation, dropping the units when they cancel out
+ * @param {*} value - Magnitude in SI base units
+ * @param {Array<number>} dimensions - Dimension vector
+ * @param {Map<string, number>} units - Units
+ * @returns {Quantity|*} Quantity, or a plain value for dimensionless results
+ */
+function makeQuantity(value, dimensions, units) {
+    return isDimensionless(dimensions) ? value : new Quantity(value, dimensions, units);
+}
+
+/**
+ * Quantity for a unit name on its own, such as "km" in "5 km"
+ * @param {Object} entry - unitRegistry entry
+ * @param {Object} backend - Numeric backend
+ * @returns {Quantity} One of the unit
+ */
+function unitQuantity(entry, backend) {
+    let value = backend.fromNumber(1);
+    if (entry.offset) {
+        value = backend.add(value, backend.fromLiteral(entry.offset));
+    }
+    value = applyFactor(value, unitFactor(entry.factor, backend), backend);
+    return new Quantity(value, entry.dimensions, new Map([[entry.symbol, 1]]), { bareUnit: entry });
+}
+
+/**
+ * Whether a quantity is a temperature on a scale whose zero is not
+ * absolute zero, such as 20 °C. Those are points on the scale rather than
+ * amounts: two of them can be subtracted, and one can be moved by a
+ * difference in K, but they cannot be added to each other or scaled.
+ * @param {Quantity} quantity - Quantity
+ * @returns {boolean} True for °C and °F temperatures
+ */
+function isOffsetTemperature(quantity) {
+    if (quantity.units.size !== 1) return false;
+    const [[symbol, power]] = quantity.units;
+    const entry = unitRegistry.get(symbol);
+    return power === 1 && Boolean(entry && entry.offset);
+}
+
+/**
+ * Apply a binary operator when at least one side has a unit
+ * @param {string} operator - One of + - * / % ^
+ * @param {*} left - Left operand
+ * @param {*} right - Right operand
+ * @param {Object} backend - Numeric backend
+ * @returns {Quantity|*} Result
+ */
+function quantityOperation(operator, left, right, backend) {
+    const a = asQuantity(left);
+    const b = asQuantity(right);
+    const describe = q => (q.units.size > 0 ? describeUnits(q.units) : 'a plain number');
+
+    switch (operator) {
+        case '+':
+        case '-':
+        case 'mod': {
+            if (!sameDimensions(a.dimensions, b.dimensions)) {
+                const verb = operator === '+' ? 'add' : operator === '-' ? 'subtract' : 'take the remainder of';
+                throw new CalculatorError(ERROR_CODES.INCOMPATIBLE_UNITS, `Cannot ${verb} ${describe(a)} and ${describe(b)}`);
+            }
+            if (operator === 'mod') {
+                checkScalable(a, b, 'take the remainder of');
+            } else if (isOffsetTemperature(a) && isOffsetTemperature(b)) {
+                // 20 °C - 10 °C is a difference of 10 K, not a temperature of 10 °C
+                if (operator === '-') {
+                    return new Quantity(backend.subtract(a.value, b.value), a.dimensions, new Map([['K', 1]]));
+                }
+                throw new CalculatorError(ERROR_CODES.INCOMPATIBLE_UNITS,
+                    `Cannot add temperatures in ${describe(a)} and ${describe(b)}; add a difference in K instead`);
+            }
+            const operation = operator === '+' ? backend.add : operator === '-' ? backend.subtract : backend.modulo;
+            return makeQuantity(operation(a.value, b.value), a.dimensions, a.units.size > 0 ? a.units : b.units);
+        }
+
+        case '*': {
+            // A number times a temperature scale is a temperature: 100 °F
+            const scale = b.bareUnit && b.bareUnit.offset && isDimensionless(a.dimensions) ? b
+                : a.bareUnit && a.bareUnit.offset && isDimensionless(b.dimensions) ? a : null;
+            if (scale) {
+                const amount = scale === a ? b.value : a.value;
+                const kelvin = applyFactor(
+                    backend.add(amount, backend.fromLiteral(scale.bareUnit.offset)),
+                    unitFactor(scale.bareUnit.factor, backend),
+                    backend
+                );
+                return new Quantity(kelvin, scale.dimensions, scale.units);
+            }
+            checkScalable(a, b, 'multiply');
+            const dimensions = a.dimensions.map((power, i) => power + b.dimensions[i]);
+            return makeQuantity(backend.multiply(a.value, b.value), dimensions, combineUnits(a.units, b.units, 1));
+        }
+
+        case '/': {
+            if (backend.isZero(b.value)) {
+                throw new CalculatorError(ERROR_CODES.DIVISION_BY_ZERO, 'Cannot divide by zero');
+            }
+            checkScalable(a, b, 'divide');
+            const dimensions = a.dimensions.map((power, i) => power - b.dimensions[i]);
+            return makeQuantity(backend.divide(a.value, b.value), dimensions, combineUnits(a.units, b.units, -1));
+        }
+
+        case '^': {
+            if (!isDimensionless(b.dimensions)) {
+                throw new CalculatorError(ERROR_CODES.INCOMPATIBLE_UNITS, 'Exponents cannot have units');
+            }
+            checkScalable(a, b, 'raise');
+            const exponent = backend.toNumber(b.value);
+            const dimensions = a.dimensions.map(power => power * exponent);
+            if (!dimensions.every(Number.isInteger)) {
+                throw new CalculatorError(ERROR_CODES.INCOMPATIBLE_UNITS, `Cannot raise ${describe(a)} to this power`);
+            }
+            const units = new Map([...a.units].map(([symbol, power]) => [symbol, power * exponent]));
+            return makeQuantity(backend.power(a.value, b.value), dimensions, units);
+        }
+
+        default:
+            throw new CalculatorError(ERROR_CODES.UNEXPECTED_TOKEN, `Unknown operator "${operator}"`);
+    }
+}
+
+/**
+ * Refuse to scale a °C or °F temperature: 20 °C * 2 has no meaning on a
+ * scale that does not start at zero
+ * @param {Quantity} a - Left operand
+ * @param {Quantity} b - Right operand
+ * @param {string} verb - Operation for the message
+ */
+function checkScalable(a, b, verb) {
+    const temperature = [a, b].find(isOffsetTemperature);
+    if (temperature) {
+        throw new CalculatorError(ERROR_CODES.INCOMPATIBLE_UNITS,
+            `Cannot ${verb} a temperature in ${describeUnits(temperature.units)}; convert it to K first`);
+    }
+}
+
+/**
+ * Call a built-in function with an argument that has a unit.
+ * Only abs, sqrt and pow make sense for quantities.
+ * @param {string} name - Function name
+ * @param {Array<*>} values - Argument values
+ * @param {Object} backend - Numeric backend
+ * @returns {Quantity|*} Result
+ */
+function quantityFunction(name, values, backend) {
+    const [value, exponent] = values;
+
+    if (name === 'abs' && values.length === 1) {
+        const negative = backend.toNumber(value.value) < 0;
+        return new Quantity(negative ? backend.negate(value.value) : value.value, value.dimensions, value.units);
+    }
+    if (name === 'sqrt' && values.length === 1) {
+        return quantityOperation('^', value, backend.fromLiteral('0.5'), backend);
+    }
+    if (name === 'pow' && value instanceof Quantity) {
+        return quantityOperation('^', value, exponent === undefined ? backend.fromNumber(2) : exponent, backend);
+    }
+    throw new CalculatorError(ERROR_CODES.INCOMPATIBLE_UNITS, `${name} needs a number without units`);
+}
+
+/**
+ * Convert a quantity to the units of another one ("60 mph to km/h")
+ * @param {*} value - Value to convert
+ * @param {*} target - Quantity written after "to"
+ * @returns {Quantity} Value shown in the target units
+ */
+function convertQuantity(value, target) {
+    const from = asQuantity(value);
+    if (!(target instanceof Quantity)) {
+        throw new CalculatorError(ERROR_CODES.INCOMPATIBLE_UNITS, 'Convert to a unit, such as km/h');
+    }
+    if (!sameDimensions(from.dimensions, target.dimensions)) {
+        const source = from.units.size > 0 ? describeUnits(from.units) : 'a plain number';
+        throw new CalculatorError(ERROR_CODES.INCOMPATIBLE_UNITS,
+            `Cannot convert ${source} to ${describeUnits(target.units)}`);
+    }
+    return new Quantity(from.value, from.dimensions, target.units, { explicit: true });
+}
+
+/**
+ * Work out the magnitude and label a quantity is shown with
+ * @param {Quantity} quantity - Quantity to show
+ * @param {Object} backend - Numeric backend
+ * @returns {Quantity} Copy with display set
+ */
+function finalizeQuantity(quantity, backend) {
+    let units = quantity.units;
+
+    // Combinations such as kWh/h are shown in a named unit (W), unless
+    // the user asked for these units with "to" or wrote a single unit
+    const single = units.size === 1 && [...units.values()][0] === 1;
+    if (!quantity.explicit && !single) {
+        const derived = DERIVED_UNITS.find(symbol => sameDimensions(unitRegistry.get(symbol).dimensions, quantity.dimensions));
+        if (derived) {
+            units = new Map([[derived, 1]]);
+        }
+    }
+
+    const factor = unitsFactor(units, backend);
+    let magnitude = applyFactor(quantity.value, { numerator: factor.denominator, denominator: factor.numerator }, backend);
+    const entry = units.size === 1 ? unitRegistry.get([...units.keys()][0]) : null;
+    if (entry && entry.offset && units.get(entry.symbol) === 1) {
+        magnitude = backend.subtract(magnitude, backend.fromLiteral(entry.offset));
+    }
+
+    // Fractions are shown as decimals, the form saved quantities are read back in
+    let shown = backend.finalize(magnitude);
+    if (shown instanceof Fraction) {
+        shown = shown.toDecimal(ENGINE_CONFIG.decimalPrecision);
+    }
+    return new Quantity(quantity.value, quantity.dimensions, units, {
+        explicit: quantity.explicit,
+        display: { magnitude: shown, label: describeUnits(units) }
+    });
+}
+
+/**
+ * Check that the text after "to" only names units: km/h, m^2, N·m
+ * @param {Object} node - AST node
+ * @returns {boolean} True for unit expressions
+ */
+function isUnitExpression(node) {
+    switch (node.type) {
+        case 'identifier':
+            return unitRegistry.has(node.name);
+        case 'binary':
+            if (node.operator === '^') {
+                return isUnitExpression(node.left) && (node.right.type === 'number' ||
+                    (node.right.type === 'unary' && node.right.operand.type === 'number'));
+            }
+            return (node.operator === '*' || node.operator === '/') &&
+                isUnitExpression(node.left) && isUnitExpression(node.right);
+        default:
+            return false;
+    }
+}
+
+// ============================================
+// COMPLEX NUMBERS
+// ============================================
+
+/**
+ * Ways of showing complex results: off keeps the calculator real-only
+ */
+const COMPLEX_FORMATS = ['off', 'rectangular', 'polar'];
+
+/**
+ * Symbol written after the angle of a polar result
+ */
+const POLAR_ANGLE_SYMBOLS = { DEG: '°', RAD: '', GRAD: 'ᵍ' };
+
+/**
+ * A complex number re + im·i. Complex arithmetic always uses doubles,
+ * whatever the numeric mode.
+ */
+class Complex {
+    /**
+     * @param {number} re - Real part
+     * @param {number} im - Imaginary part
+     * @param {Object} [polar] - { magnitude, angle, symbol } to show the number
+     *                           in polar form (set by finalizeComplex)
+     */
+    constructor(re, im, polar = null) {
+        this.re = re;
+        this.im = im;
+        this.polar = polar;
+    }
+
+    /**
+     * Text shown on the display: "3 + 4i" or "5 ∠ 53.1301023542°"
+     * @returns {string} Display text
+     */
+    toString() {
+        if (this.polar) {
+            return `${this.polar.magnitude} ∠ ${this.polar.angle}${this.polar.symbol}`;
+        }
+        const imaginary = `${Math.abs(this.im) === 1 ? '' : Math.abs(this.im)}i`;
+        if (this.re === 0) {
+            return (this.im < 0 ? '-' : '') + imaginary;
+        }
+        return `${this.re} ${this.im < 0 ? '-' : '+'} ${imaginary}`;
+    }
+
+    /**
+     * Saved form ("3+4i"), which can be parsed again
+     * @returns {string} Rectangular text without spaces
+     */
+    toJSON() {
+        return new Complex(this.re, this.im).toString().replace(/ /g, '');
+    }
+}
+
+/**
+ * Check whether a stored value is a complex number (or its saved text)
+ * @param {*} value - Stored value
+ * @returns {boolean} True for Complex values and text such as "3+4i"
+ */
+function isComplex(value) {
+    return value instanceof Complex || (typeof value === 'string' && /^\S*i$/.test(value.trim()));
+}
+
+/**
+ * Read any number as a complex number
+ * @param {*} value - Complex or backend value
+ * @param {Object} backend - Numeric backend
+ * @returns {Complex} Complex value
+ */
+function toComplex(value, backend) {
+    if (value instanceof Complex) return value;
+    if (value instanceof Quantity) {
+        throw new CalculatorError(ERROR_CODES.INCOMPATIBLE_UNITS, 'Complex numbers cannot have units');
+    }
+    return new Complex(backend.toNumber(value), 0);
+}
+
+/**
+ * Build a result, going back to a real number when there is no imaginary part
+ * @param {number} re - Real part
+ * @param {number} im - Imaginary part
+ * @param {Object} backend - Numeric backend
+ * @returns {Complex|*} Complex value, or a backend value when im is 0
+ */
+function makeComplex(re, im, backend) {
+    return im === 0 ? backend.fromNumber(re) : new Complex(re, im);
+}
+
+/**
+ * Principal natural logarithm
+ * @param {Complex} z - Non-zero complex number
+ * @returns {Complex} ln|z| + arg(z)·i
+ */
+function complexLog(z) {
+    if (z.re === 0 && z.im === 0) {
+        throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, 'ln needs a number other than 0');
+    }
+    return new Complex(Math.log(Math.hypot(z.re, z.im)), Math.atan2(z.im, z.re));
+}
+
+/**
+ * e raised to a complex power
+ * @param {Complex} z - Exponent
+ * @returns {Complex} e^z
+ */
+function complexExp(z) {
+    const scale = Math.exp(z.re);
+    return new Complex(scale * Math.cos(z.im), scale * Math.sin(z.im));
+}
+
+/**
+ * Product of two complex numbers
+ * @param {Complex} a - Left factor
+ * @param {Complex} b - Right factor
+ * @returns {Complex} a·b
+ */
+function complexMultiply(a, b) {
+    return new Complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+}
+
+/**
+ * Principal value of a complex power. Whole exponents are computed by
+ * repeated multiplication, so i^2 is exactly -1.
+ * @param {Complex} base - Base
+ * @param {Complex} exponent - Exponent
+ * @returns {Complex} base^exponent
+ */
+function complexPower(base, exponent) {
+    if (base.re === 0 && base.im === 0) {
+        if (exponent.re > 0) return new Complex(0, 0);
+        throw new CalculatorError(ERROR_CODES.DIVISION_BY_ZERO, 'Cannot divide by zero');
+    }
+    if (exponent.im === 0 && Number.isInteger(exponent.re) && Math.abs(exponent.re) <= 1024) {
+        let result = new Complex(1, 0);
+        let square = base;
+        for (let n = Math.abs(exponent.re); n > 0; n = Math.floor(n / 2)) {
+            if (n % 2 === 1) result = complexMultiply(result, square);
+            square = complexMultiply(square, square);
+        }
+        return exponent.re < 0 ? complexOperation('/', new Complex(1, 0), result) : result;
+    }
+    return complexExp(complexMultiply(exponent, complexLog(base)));
+}
+
+/**
+ * Apply an arithmetic operator to complex numbers
+ * @param {string} operator - One of + - * / ^
+ * @param {Complex} a - Left operand
+ * @param {Complex} b - Right operand
+ * @returns {Complex} Result (may have a zero imaginary part)
+ */
+function complexOperation(operator, a, b) {
+    switch (operator) {
+        case '+':
+            return new Complex(a.re + b.re, a.im + b.im);
+        case '-':
+            return new Complex(a.re - b.re, a.im - b.im);
+        case '*':
+            return complexMultiply(a, b);
+        case '/': {
+            const denominator = b.re * b.re + b.im * b.im;
+            if (denominator === 0) {
+                throw new CalculatorError(ERROR_CODES.DIVISION_BY_ZERO, 'Cannot divide by zero');
+            }
+            return new Complex((a.re * b.re + a.im * b.im) / denominator, (a.im * b.re - a.re * b.im) / denominator);
+        }
+        case '^':
+            return complexPower(a, b);
+        default:
+            throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, `"${operator}" needs real numbers`);
+    }
+}
+
+/**
+ * Complex versions of registry functions. Angles are scaled by the
+ * angle mode in the same way as for real numbers.
+ */
+const complexFunctions = {
+    sqrt: z => {
+        const modulus = Math.hypot(z.re, z.im);
+        const im = Math.sqrt((modulus - z.re) / 2);
+        return new Complex(Math.sqrt((modulus + z.re) / 2), z.im < 0 ? -im : im);
+    },
+    ln: z => complexLog(z),
+    log: z => complexOperation('/', complexLog(z), new Complex(Math.LN10, 0)),
+    pow: (z, exponent = new Complex(2, 0)) => complexPower(z, exponent),
+    sin: z => new Complex(Math.sin(z.re) * Math.cosh(z.im), Math.cos(z.re) * Math.sinh(z.im)),
+    cos: z => new Complex(Math.cos(z.re) * Math.cosh(z.im), -Math.sin(z.re) * Math.sinh(z.im)),
+    tan: z => complexOperation('/', complexFunctions.sin(z), complexFunctions.cos(z)),
+    abs: z => new Complex(Math.hypot(z.re, z.im), 0),
+    re: z => new Complex(z.re, 0),
+    im: z => new Complex(z.im, 0),
+    arg: z => new Complex(Math.atan2(z.im, z.re), 0),
+    conj: z => new Complex(z.re, -z.im)
+};
+
+/**
+ * Functions that give complex results for real inputs outside their real
+ * domain, such as sqrt(-4) or ln(-1), when complex numbers are on
+ */
+const COMPLEX_DOMAIN_FUNCTIONS = ['sqrt', 'ln', 'log', 'pow'];
+
+/**
+ * Call the complex version of a registry function
+ * @param {Object} entry - Function registry entry
+ * @param {Array} values - Arguments (complex or backend values)
+ * @param {Object} context - Evaluation settings
+ * @returns {Complex|*} Result, real when it has no imaginary part
+ */
+function callComplexFunction(entry, values, context) {
+    const fn = complexFunctions[entry.name];
+    if (!fn) {
+        throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, `${entry.name} does not accept complex numbers`);
+    }
+
+    const backend = context.backend;
+    const angleUnit = ANGLE_UNITS[context.angleMode];
+    let args = values.map(value => toComplex(value, backend));
+    if (entry.angle === 'input') {
+        args = args.map(z => new Complex(z.re * angleUnit, z.im * angleUnit));
+    }
+
+    let result = fn(...args);
+    if (entry.angle === 'output') {
+        result = new Complex(result.re / angleUnit, result.im / angleUnit);
+    }
+    return makeComplex(result.re, result.im, backend);
+}
+
+/**
+ * Round a complex result and prepare it for display. A result whose
+ * imaginary part rounds away (i^2 + 1e-17i) becomes real.
+ * @param {Complex} value - Raw result
+ * @param {Object} context - Evaluation settings
+ * @returns {Complex|*} Displayable complex value, or a real backend value
+ */
+function finalizeComplex(value, context) {
+    const round = part => floatBackend.finalize(part) + 0;  // + 0 turns -0 into 0
+    const re = round(value.re);
+    const im = round(value.im);
+    if (im === 0) {
+        return context.backend.finalize(context.backend.fromNumber(re));
+    }
+    if (context.complex !== 'polar') {
+        return new Complex(re, im);
+    }
+
+    const angle = Math.atan2(value.im, value.re) / ANGLE_UNITS[context.angleMode];
+    return new Complex(re, im, {
+        magnitude: round(Math.hypot(value.re, value.im)),
+        angle: round(angle),
+        symbol: POLAR_ANGLE_SYMBOLS[context.angleMode]
+    });
+}
+
+// ============================================
+// MATRICES
+// ============================================
+
+/**
+ * A matrix stored as rows. A list such as [1, 2, 3] is a column vector
+ * (3×1); [[1, 2, 3]] is a row vector (1×3).
+ *
+ * Entries are doubles, except in fraction mode, where they are exact
+ * Fractions as long as every one of them is. A single double entry, such
+ * as sqrt(2), turns them all into doubles.
+ */
+class Matrix {
+    /**
+     * @param {Array<Array<number|Fraction>>} rows - Rows of equal length
+     */
+    constructor(rows) {
+        const exact = rows.every(row => row.every(value => value instanceof Fraction));
+        this.rows = exact ? rows : rows.map(row => row.map(value => entryArithmetic.toNumber(value)));
+    }
+
+    /**
+     * @returns {boolean} True when the entries are Fractions
+     */
+    get exact() {
+        return this.rows[0][0] instanceof Fraction;
+    }
+
+    get rowCount() {
+        return this.rows.length;
+    }
+
+    get columnCount() {
+        return this.rows[0].length;
+    }
+
+    /**
+     * Size as shown in error messages
+     * @returns {string} e.g. "2×3"
+     */
+    describeSize() {
+        return `${this.rowCount}×${this.columnCount}`;
+    }
+
+    /**
+     * Check for a row or column vector
+     * @returns {boolean} True if one of the dimensions is 1
+     */
+    isVector() {
+        return this.rowCount === 1 || this.columnCount === 1;
+    }
+
+    /**
+     * Entries of a vector, in order
+     * @returns {Array<number|Fraction>} Entries
+     */
+    entries() {
+        return this.rows.flat();
+    }
+
+    /**
+     * Matrix literal text, which can be parsed again: "[[1, 2], [3, 4]]"
+     * @returns {string} Text
+     */
+    toString() {
+        return `[${this.rows.map(row => `[${row.join(', ')}]`).join(', ')}]`;
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+}
+
+/**
+ * Check whether a stored value is a matrix (or its saved text)
+ * @param {*} value - Stored value
+ * @returns {boolean} True for Matrix values and text such as "[[1, 2]]"
+ */
+function isMatrix(value) {
+    return value instanceof Matrix || (typeof value === 'string' && value.trim().startsWith('['));
+}
+
+/**
+ * Arithmetic on matrix entries. The fraction backend already works the
+ * way matrices need: exact for two Fractions, doubles as soon as a double
+ * is involved, so it serves every numeric mode here.
+ */
+const entryArithmetic = fractionBackend;
+
+/**
+ * Identity matrix
+ * @param {number} size - Number of rows and columns
+ * @param {boolean} [exact] - Fraction entries instead of doubles
+ * @returns {Matrix} Identity
+ */
+function identityMatrix(size, exact = false) {
+    const one = exact ? new Fraction(1n) : 1;
+    const zero = exact ? new Fraction(0n) : 0;
+    return new Matrix(Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => (i === j ? one : zero))));
+}
+
+/**
+ * Swap rows and columns
+ * @param {Matrix} matrix - Matrix
+ * @returns {Matrix} Transpose
+ */
+function transposeMatrix(matrix) {
+    return new Matrix(matrix.rows[0].map((_, j) => matrix.rows.map(row => row[j])));
+}
+
+/**
+ * Matrix product
+ * @param {Matrix} a - Left matrix
+ * @param {Matrix} b - Right matrix
+ * @returns {Matrix} a·b
+ */
+function multiplyMatrices(a, b) {
+    if (a.columnCount !== b.rowCount) {
+        throw new CalculatorError(ERROR_CODES.DIMENSION_MISMATCH,
+            `Cannot multiply ${a.describeSize()} by ${b.describeSize()}: the first needs as many columns as the second has rows`);
+    }
+    return new Matrix(a.rows.map(row => b.rows[0].map((_, j) => row
+        .map((value, k) => entryArithmetic.multiply(value, b.rows[k][j]))
+        .reduce(entryArithmetic.add))));
+}
+
+/**
+ * Gauss-Jordan elimination with partial pivoting on the first columns
+ * of a matrix (the others are carried along, as in [A | B])
+ * @param {Array<Array<number>>} rows - Rows (not modified)
+ * @param {number} pivotColumns - How many columns to eliminate
+ * @returns {Object} { rows: reduced rows, rank, determinant } (the
+ *                   determinant is only meaningful for square matrices)
+ */
+function rowReduce(rows, pivotColumns) {
+    const reduced = rows.map(row => [...row]);
+    const size = value => Math.abs(entryArithmetic.toNumber(value));
+    const largest = Math.max(...reduced.map(row => Math.max(...row.slice(0, pivotColumns).map(size))));
+    // Double entries this small compared to the largest one are rounding noise
+    const tolerance = largest * 1e-12;
+    const isNegligible = value => (value instanceof Fraction ? value.isZero() : size(value) <= tolerance);
+    const exact = reduced.every(row => row.slice(0, pivotColumns).every(value => value instanceof Fraction));
+
+    let rank = 0;
+    let determinant = exact ? new Fraction(1n) : 1;
+    for (let column = 0; column < pivotColumns && rank < reduced.length; column++) {
+        let best = rank;
+        for (let r = rank + 1; r < reduced.length; r++) {
+            if (size(reduced[r][column]) > size(reduced[best][column])) best = r;
+        }
+        if (isNegligible(reduced[best][column])) continue;
+
+        if (best !== rank) {
+            [reduced[best], reduced[rank]] = [reduced[rank], reduced[best]];
+            determinant = entryArithmetic.negate(determinant);
+        }
+        const pivot = reduced[rank][column];
+        determinant = entryArithmetic.multiply(determinant, pivot);
+        reduced[rank] = reduced[rank].map(value => entryArithmetic.divide(value, pivot));
+        reduced.forEach((row, r) => {
+            const factor = row[column];
+            if (r !== rank && !entryArithmetic.isZero(factor)) {
+                reduced[r] = row.map((value, j) => entryArithmetic.subtract(value, entryArithmetic.multiply(factor, reduced[rank][j])));
+            }
+        });
+        rank++;
+    }
+    if (rank < pivotColumns) {
+        determinant = exact ? new Fraction(0n) : 0;
+    }
+    return { rows: reduced, rank, determinant };
+}
+
+/**
+ * Make sure a matrix is square
+ * @param {Matrix} matrix - Matrix
+ * @param {string} operation - What needs a square matrix, for the message
+ */
+function requireSquare(matrix, operation) {
+    if (matrix.rowCount !== matrix.columnCount) {
+        throw new CalculatorError(ERROR_CODES.DIMENSION_MISMATCH, `${operation} needs a square matrix, not ${matrix.describeSize()}`);
+    }
+}
+
+/**
+ * Solve a·x = b (the "\" operator); inv(a) is a \ identity
+ * @param {Matrix} a - Square matrix of coefficients
+ * @param {Matrix} b - Right-hand side with as many rows as a
+ * @returns {Matrix} Solution x
+ */
+function solveLinearSystem(a, b) {
+    requireSquare(a, 'Solving a linear system');
+    if (b.rowCount !== a.rowCount) {
+        throw new CalculatorError(ERROR_CODES.DIMENSION_MISMATCH,
+            `Cannot solve ${a.describeSize()} \\ ${b.describeSize()}: both need the same number of rows`);
+    }
+    const size = a.rowCount;
+    const { rows, rank } = rowReduce(a.rows.map((row, i) => [...row, ...b.rows[i]]), size);
+    if (rank < size) {
+        throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, 'Matrix is singular (its determinant is 0)');
+    }
+    return new Matrix(rows.map(row => row.slice(size)));
+}
+
+/**
+ * Read a vector argument of dot() or cross()
+ * @param {*} value - Function argument
+ * @param {string} name - Function name, for the message
+ * @returns {Array<number>} Entries
+ */
+function vectorEntries(value, name) {
+    if (!(value instanceof Matrix) || !value.isVector()) {
+        throw new CalculatorError(ERROR_CODES.DIMENSION_MISMATCH, `${name} needs vectors such as [1, 2, 3]`);
+    }
+    return value.entries();
+}
+
+/**
+ * Matrix functions from the function registry
+ */
+const matrixFunctions = {
+    transpose: matrix => transposeMatrix(matrix),
+    det: matrix => {
+        requireSquare(matrix, 'det');
+        return rowReduce(matrix.rows, matrix.columnCount).determinant;
+    },
+    inv: matrix => solveLinearSystem(matrix, identityMatrix(matrix.rowCount, matrix.exact)),
+    rank: matrix => rowReduce(matrix.rows, matrix.columnCount).rank,
+    dot: (u, v) => {
+        const a = vectorEntries(u, 'dot');
+        const b = vectorEntries(v, 'dot');
+        if (a.length !== b.length) {
+            throw new CalculatorError(ERROR_CODES.DIMENSION_MISMATCH,
+                `dot needs vectors of the same length, not ${a.length} and ${b.length}`);
+        }
+        return a.map((value, i) => entryArithmetic.multiply(value, b[i])).reduce(entryArithmetic.add);
+    },
+    cross: (u, v) => {
+        const a = vectorEntries(u, 'cross');
+        const b = vectorEntries(v, 'cross');
+        if (a.length !== 3 || b.length !== 3) {
+            throw new CalculatorError(ERROR_CODES.DIMENSION_MISMATCH, 'cross needs two vectors with 3 entries');
+        }
+        const { multiply, subtract } = entryArithmetic;
+        const component = (i, j) => subtract(multiply(a[i], b[j]), multiply(a[j], b[i]));
+        return new Matrix([[component(1, 2)], [component(2, 0)], [component(0, 1)]]);
+    }
+};
+
+/**
+ * Read a value for use inside a matrix: Fractions stay exact, anything
+ * else becomes a double
+ * @param {*} value - Backend value
+ * @param {Object} backend - Numeric backend
+ * @returns {number|Fraction} Entry
+ */
+function matrixEntry(value, backend) {
+    if (value instanceof Quantity || value instanceof Complex) {
+        throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, 'Matrix entries must be plain numbers');
+    }
+    return value instanceof Fraction ? value : backend.toNumber(value);
+}
+
+/**
+ * Apply an arithmetic operator when at least one operand is a matrix
+ * @param {string} operator - One of + - * / ^ \
+ * @param {*} left - Left operand
+ * @param {*} right - Right operand
+ * @param {Object} backend - Numeric backend
+ * @returns {Matrix|*} Result
+ */
+function matrixOperation(operator, left, right, backend) {
+    const leftMatrix = left instanceof Matrix;
+    const rightMatrix = right instanceof Matrix;
+    const describe = value => (value instanceof Matrix ? `a ${value.describeSize()} matrix` : 'a number');
+
+    switch (operator) {
+        case '+':
+        case '-': {
+            if (!leftMatrix || !rightMatrix || left.describeSize() !== right.describeSize()) {
+                throw new CalculatorError(ERROR_CODES.DIMENSION_MISMATCH,
+                    `Cannot ${operator === '+' ? 'add' : 'subtract'} ${describe(left)} and ${describe(right)}`);
+            }
+            const operation = operator === '+' ? entryArithmetic.add : entryArithmetic.subtract;
+            return new Matrix(left.rows.map((row, i) => row.map((value, j) => operation(value, right.rows[i][j]))));
+        }
+        case '*':
+            if (leftMatrix && rightMatrix) return multiplyMatrices(left, right);
+            return scaleMatrix(leftMatrix ? left : right, matrixEntry(leftMatrix ? right : left, backend));
+        case '/':
+            if (rightMatrix) {
+                throw new CalculatorError(ERROR_CODES.DIMENSION_MISMATCH, 'Cannot divide by a matrix: use inv(A) or A\\b');
+            }
+            const divisor = matrixEntry(right, backend);
+            if (entryArithmetic.isZero(divisor)) {
+                throw new CalculatorError(ERROR_CODES.DIVISION_BY_ZERO, 'Cannot divide by zero');
+            }
+            return new Matrix(left.rows.map(row => row.map(value => entryArithmetic.divide(value, divisor))));
+        case '\\':
+            if (!leftMatrix || !rightMatrix) {
+                throw new CalculatorError(ERROR_CODES.DIMENSION_MISMATCH, 'A\\b needs a matrix A and a vector or matrix b');
+            }
+            return solveLinearSystem(left, right);
+        case '^': {
+            const exponent = rightMatrix ? NaN : entryArithmetic.toNumber(matrixEntry(right, backend));
+            if (!leftMatrix || !Number.isInteger(exponent)) {
+                throw new CalculatorError(ERROR_CODES.DIMENSION_MISMATCH, 'Matrices can only be raised to whole powers');
+            }
+            requireSquare(left, 'A power');
+            let result = identityMatrix(left.rowCount, left.exact);
+            let square = exponent < 0 ? matrixFunctions.inv(left) : left;
+            for (let n = Math.abs(exponent); n > 0; n = Math.floor(n / 2)) {
+                if (n % 2 === 1) result = multiplyMatrices(result, square);
+                square = multiplyMatrices(square, square);
+            }
+            return result;
+        }
+        default:
+            throw new CalculatorError(ERROR_CODES.DIMENSION_MISMATCH, `"${operator}" does not work with matrices`);
+    }
+}
+
+/**
+ * Multiply every entry by a number
+ * @param {Matrix} matrix - Matrix
+ * @param {number|Fraction} factor - Number
+ * @returns {Matrix} Scaled matrix
+ */
+function scaleMatrix(matrix, factor) {
+    return new Matrix(matrix.rows.map(row => row.map(value => entryArithmetic.multiply(value, factor))));
+}
+
+/**
+ * Change the sign of every entry
+ * @param {Matrix} matrix - Matrix
+ * @returns {Matrix} -matrix
+ */
+function negateMatrix(matrix) {
+    return new Matrix(matrix.rows.map(row => row.map(value => entryArithmetic.negate(value))));
+}
+
+/**
+ * Call a registry function with matrix arguments. List functions such
+ * as mean() use the entries of the matrix as their arguments.
+ * @param {Object} entry - Function registry entry
+ * @param {Array} values - Arguments
+ * @param {Object} backend - Numeric backend
+ * @returns {Matrix|*} Result
+ */
+function callMatrixFunction(entry, values, backend) {
+    if (entry.maxArgs === Infinity) {
+        const args = values.flatMap(value => (value instanceof Matrix ? value.entries() : [matrixEntry(value, backend)]));
+        // Fraction mode has exact versions of the list functions
+        const exact = backend.functions[entry.name];
+        const result = exact ? exact(...args) : entry.fn.apply(mathFunctions, args);
+        if (result === null || Number.isNaN(result)) {
+            throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, entry.domain);
+        }
+        return exact ? result : backend.fromNumber(result);
+    }
+
+    const fn = matrixFunctions[entry.name];
+    if (!fn) {
+        throw new CalculatorError(ERROR_CODES.DIMENSION_MISMATCH, `${entry.name} does not accept matrices`);
+    }
+    // A plain number counts as a 1×1 matrix: det(5) is 5
+    const args = values.map(value => (value instanceof Matrix ? value : new Matrix([[matrixEntry(value, backend)]])));
+    const result = fn(...args);
+    return result instanceof Matrix ? result : backend.fromNumber(result);
+}
+
+/**
+ * Round every double entry of a matrix result (Fractions are exact)
+ * @param {Matrix} matrix - Raw result
+ * @returns {Matrix} Rounded matrix
+ */
+function finalizeMatrix(matrix) {
+    return new Matrix(matrix.rows.map(row => row.map(value => (value instanceof Fraction ? value : floatBackend.finalize(value) + 0))));
+}
+
+// ============================================
+// SAFE EXPRESSION PARSER
+// ============================================
+
+/**
+ * Binary operators with their precedence (higher binds tighter)
+ * and associativity. Implicit multiplication such as "2π" or "3(4+1)"
+ * uses the same precedence as "*".
+ */
+const BINARY_OPERATORS = {
+    '+': { precedence: 10, rightAssociative: false },
+    '-': { precedence: 10, rightAssociative: false },
+    '*': { precedence: 20, rightAssociative: false },
+    '/': { precedence: 20, rightAssociative: false },
+    // Remainder is spelled out: % is percent (see parseExpression)
+    'mod': { precedence: 20, rightAssociative: false },
+    '^': { precedence: 40, rightAssociative: true },
+    // Left division: A\b solves A·x = b
+    '\\': { precedence: 20, rightAssociative: false },
+    // Bitwise operators (programmer mode), looser than arithmetic as in C
+    '|': { precedence: 6, rightAssociative: false },
+    'xor': { precedence: 7, rightAssociative: false },
+    '&': { precedence: 8, rightAssociative: false },
+    '<<': { precedence: 9, rightAssociative: false },
+    '>>': { precedence: 9, rightAssociative: false }
+};
+
+const BITWISE_OPERATORS = {
+    '&': 'and',
+    '|': 'or',
+    'xor': 'xor',
+    '<<': 'shiftLeft',
+    '>>': 'shiftRight'
+};
+
+const CONVERSION_PRECEDENCE = 5;  // "to" binds loosest: 1 km + 1 m to m
+const UNARY_PRECEDENCE = 30;     // -2^2 is -(2^2), but -2*3 is (-2)*3
+const POSTFIX_PRECEDENCE = 50;   // 2^3! is 2^(3!), and 2^10% is 2^(10%)
+
+/**
+ * Display symbols that are accepted as operators
+ */
+const OPERATOR_ALIASES = {
+    '×': '*',
+    '÷': '/',
+    '−': '-',
+    '·': '*'
+};
+
+const RADIX_NUMBER_PATTERN = /0[xX][0-9a-fA-F]+|0[oO][0-7]+|0[bB][01]+/y;
+const NUMBER_PATTERN = /(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/y;
+const IDENTIFIER_PATTERN = /[A-Za-z_][A-Za-z0-9_]*|π|[°µ][A-Za-z]+|\$\d+/y;
+
+/**
+ * Turns a list of tokens into an abstract syntax tree (AST)
+ * using precedence climbing (a simple form of Pratt parsing).
+ *
+ * Every node keeps the start/end offsets of the source text it came from.
+ */
+class PrattParser {
+    /**
+     * @param {Array<Object>} tokens - Tokens from ExpressionParser.tokenize()
+     */
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+    }
+
+    /**
+     * Look at the current token without consuming it
+     * @returns {Object} Current token
+     */
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    /**
+     * Consume and return the current token
+     * @returns {Object} The consumed token
+     */
+    next() {
+        const token = this.tokens[this.index];
+        if (token.type !== 'eof') {
+            this.index++;
+        }
+        return token;
+    }
+
+    /**
+     * Parse a whole expression and make sure nothing is left over
+     * @returns {Object} Root AST node
+     */
+    parseProgram() {
+        // Function definition: f(x, y) = expression
+        const paramCount = this.countDefinitionParams();
+        if (paramCount >= 0) {
+            const nameToken = this.next();
+            const params = [];
+            this.next(); // "("
+            for (let i = 0; i < paramCount; i++) {
+                if (i > 0) this.next(); // ","
+                params.push(this.next());
+            }
+            this.next(); // ")"
+            const equals = this.next(); // "="
+            const body = this.parseExpression(0);
+            this.expectEnd();
+            return {
+                type: 'definition', name: nameToken.value, params, body,
+                bodyStart: equals.end, start: nameToken.start, end: body.end
+            };
+        }
+
+        // Assignment: name = expression
+        if (this.peek().type === 'identifier' && this.tokens[this.index + 1].type === 'equals') {
+            const nameToken = this.next();
+            this.next(); // "="
+            const value = this.parseExpression(0);
+            this.expectEnd();
+            return { type: 'assignment', name: nameToken.value, value, start: nameToken.start, end: value.end };
+        }
+
+        const ast = this.parseExpression(0);
+        this.expectEnd();
+        return ast;
+    }
+
+    /**
+     * Parse "left = right" (or a single expression, meaning "= 0")
+     * @returns {Object} { left, right } AST nodes; right is null without "="
+     */
+    parseEquation() {
+        const left = this.parseExpression(0);
+        let right = null;
+        if (this.peek().type === 'equals') {
+            this.next();
+            right = this.parseExpression(0);
+        }
+        this.expectEnd();
+        return { left, right };
+    }
+
+    /**
+     * Check whether the tokens start with a function head like "f(x, y) ="
+     * @returns {number} Number of parameters, or -1 if this is not a definition
+     */
+    countDefinitionParams() {
+        const tokens = this.tokens;
+        if (tokens[0].type !== 'identifier' || tokens[1].type !== 'lparen') return -1;
+
+        let i = 2;
+        let count = 0;
+        if (tokens[i].type !== 'rparen') {
+            while (true) {
+                if (tokens[i].type !== 'identifier') return -1;
+                count++;
+                i++;
+                if (tokens[i].type !== 'comma') break;
+                i++;
+            }
+        }
+        if (tokens[i].type !== 'rparen' || tokens[i + 1].type !== 'equals') return -1;
+        return count;
+    }
+
+    /**
+     * Make sure all tokens have been used
+     */
+    expectEnd() {
+        const token = this.peek();
+        if (token.type === 'rparen') {
+            throw new CalculatorError(ERROR_CODES.UNBALANCED_PAREN, 'Unmatched closing parenthesis', token.start, token.end);
+        }
+        if (token.type === 'rbracket') {
+            throw new CalculatorError(ERROR_CODES.UNBALANCED_PAREN, 'Unmatched closing bracket', token.start, token.end);
+        }
+        if (token.type !== 'eof') {
+            throw this.unexpected(token);
+        }
+    }
+
+    /**
+     * Parse an expression whose operators bind at least as tightly as minPrecedence
+     * @param {number} minPrecedence - Lowest precedence allowed at this level
+     * @returns {Object} AST node
+     */
+    parseExpression(minPrecedence) {
+        let left = this.parsePrefix();
+
+        while (true) {
+            const token = this.peek();
+
+            // Postfix factorial and percent: 5!, 10%
+            if (token.type === 'operator' && (token.value === '!' || token.value === '%')) {
+                if (POSTFIX_PRECEDENCE < minPrecedence) break;
+                this.next();
+                // "50 % 3" used to be a remainder; do not read it as 50% × 3
+                const after = this.peek();
+                if (token.value === '%' && (after.type === 'number' || this.startsImplicitMultiplication(after))) {
+                    throw new CalculatorError(ERROR_CODES.UNEXPECTED_TOKEN, '% is percent: use "mod" for the remainder',
+                        token.start, token.end);
+                }
+                left = { type: 'postfix', operator: token.value, operand: left, start: left.start, end: token.end };
+                continue;
+            }
+
+            // Unit conversion: 60 mph to km/h
+            if (token.type === 'identifier' && token.value === 'to') {
+                if (CONVERSION_PRECEDENCE < minPrecedence) break;
+                this.next();
+                const unit = this.parseExpression(CONVERSION_PRECEDENCE + 1);
+                if (!isUnitExpression(unit)) {
+                    throw new CalculatorError(ERROR_CODES.INCOMPATIBLE_UNITS, 'Convert to a unit, such as km/h', unit.start, unit.end);
+                }
+                left = { type: 'conversion', value: left, unit, start: left.start, end: unit.end };
+                continue;
+            }
+
+            // Regular binary operators
+            if (token.type === 'operator' && BINARY_OPERATORS[token.value]) {
+                const { precedence, rightAssociative } = BINARY_OPERATORS[token.value];
+                if (precedence < minPrecedence) break;
+                this.next();
+                const right = this.parseExpression(rightAssociative ? precedence : precedence + 1);
+                left = { type: 'binary', operator: token.value, left, right, start: left.start, end: right.end };
+                continue;
+            }
+
+            // Implicit multiplication: 2π, 3(4+1), (1+2)(3+4), (2)3
+            if (this.startsImplicitMultiplication(token)) {
+                const precedence = BINARY_OPERATORS['*'].precedence;
+                if (precedence < minPrecedence) break;
+                const right = this.parseExpression(precedence + 1);
+                left = { type: 'binary', operator: '*', left, right, start: left.start, end: right.end };
+                continue;
+            }
+
+            break;
+        }
+
+        return left;
+    }
+
+    /**
+     * Check whether the token can start an implicitly multiplied operand
+     * @param {Object} token - Token following a complete operand
+     * @returns {boolean} True if "a b" should be read as "a * b"
+     */
+    startsImplicitMultiplication(token) {
+        if (token.type === 'identifier' || token.type === 'lparen') {
+            return true;
+        }
+        // A number may follow a closing parenthesis: (2)3
+        const previous = this.tokens[this.index - 1];
+        return token.type === 'number' && previous !== undefined && previous.type === 'rparen';
+    }
+
+    /**
+     * Check whether the token at an index is a unit name rather than a call
+     * @param {number} index - Token index
+     * @returns {boolean} True for e.g. the "h" in "2 h", not the "min" in "2 min(1, 3)"
+     */
+    isUnitAt(index) {
+        const token = this.tokens[index];
+        return token.type === 'identifier' && unitRegistry.has(token.value) && this.tokens[index + 1].type !== 'lparen';
+    }
+
+    /**
+     * Parse a prefix expression: unary sign, number, name, call, group or matrix
+     * @returns {Object} AST node
+     */
+    parsePrefix() {
+        const token = this.next();
+
+        switch (token.type) {
+            case 'number': {
+                const literal = ({ value, start, end }) => ({ type: 'number', value: Number(value), raw: value, start, end });
+                let number = literal(token);
+                // A fraction written without spaces is the magnitude of a
+                // unit after it: "1/2 h" is half an hour, "1 / 2 h" is 1/(2 h).
+                // Not after ^ or /, where "2^1/2 h" stays (2^1)/(2 h).
+                const previous = this.tokens[this.index - 2];
+                const [slash, divisor] = this.tokens.slice(this.index, this.index + 2);
+                const inOperand = previous && previous.type === 'operator' && (previous.value === '^' || previous.value === '/');
+                if (!inOperand && slash.type === 'operator' && slash.value === '/' && slash.start === token.end &&
+                    divisor.type === 'number' && divisor.start === slash.end && this.isUnitAt(this.index + 2)) {
+                    this.index += 2;
+                    number = { type: 'binary', operator: '/', left: number, right: literal(divisor), start: token.start, end: divisor.end };
+                }
+                // A number directly followed by a unit is one operand, so
+                // "2 kWh / 3 h" divides by 3 h and "3 m^2" squares only the unit
+                if (this.isUnitAt(this.index)) {
+                    const unit = this.parseExpression(BINARY_OPERATORS['^'].precedence);
+                    return { type: 'binary', operator: '*', left: number, right: unit, unitLiteral: true, start: number.start, end: unit.end };
+                }
+                return number;
+            }
+
+            case 'identifier':
+                // A name followed by "(" is a function call, unless it is a constant (π(2) means π*2)
+                if (this.peek().type === 'lparen' && !constantRegistry.has(token.value)) {
+                    return this.parseCall(token);
+                }
+                return { type: 'identifier', name: token.value, start: token.start, end: token.end };
+
+            case 'lparen': {
+                const inner = this.parseExpression(0);
+                this.expectClosingParen(token);
+                return inner;
+            }
+
+            case 'lbracket':
+                return this.parseMatrix(token);
+
+            case 'operator':
+                if (token.value === '-' || token.value === '+') {
+                    const operand = this.parseExpression(UNARY_PRECEDENCE);
+                    // The sign belongs to the number: -40 °C is (-40) °C, not -(40 °C)
+                    if (operand.unitLiteral) {
+                        const number = { type: 'unary', operator: token.value, operand: operand.left, start: token.start, end: operand.left.end };
+                        return { ...operand, left: number, start: token.start };
+                    }
+                    return { type: 'unary', operator: token.value, operand, start: token.start, end: operand.end };
+                }
+                if (token.value === '~') {
+                    const operand = this.parseExpression(UNARY_PRECEDENCE);
+                    return { type: 'unary', operator: '~', operand, start: token.start, end: operand.end };
+                }
+                throw this.unexpected(token);
+
+            default:
+                throw this.unexpected(token);
+        }
+    }
+
+    /**
+     * Build the error for a token that cannot appear where it was found
+     * @param {Object} token - The offending token
+     * @returns {CalculatorError} Error pointing at the token
+     */
+    unexpected(token) {
+        if (token.type === 'eof') {
+            // Point at whatever came last, e.g. the dangling "+" in "2+"
+            const previous = this.tokens[this.tokens.length - 2] || token;
+            return new CalculatorError(ERROR_CODES.UNEXPECTED_END, 'Expression is incomplete', previous.start, previous.end);
+        }
+        return new CalculatorError(ERROR_CODES.UNEXPECTED_TOKEN, `Unexpected "${token.value}"`, token.start, token.end);
+    }
+
+    /**
+     * Parse the argument list of a function call
+     * @param {Object} nameToken - The identifier token holding the function name
+     * @returns {Object} Call AST node
+     */
+    parseCall(nameToken) {
+        const open = this.next(); // "("
+        const args = [];
+
+        if (this.peek().type !== 'rparen') {
+            args.push(this.parseExpression(0));
+            while (this.peek().type === 'comma') {
+                this.next();
+                args.push(this.parseExpression(0));
+            }
+        }
+
+        const close = this.expectClosingParen(open);
+        return { type: 'call', name: nameToken.value, args, start: nameToken.start, end: close.end };
+    }
+
+    /**
+     * Parse a matrix or vector literal: [1, 2] or [[1, 2], [3, 4]]
+     * @param {Object} open - The "[" token
+     * @returns {Object} Matrix AST node with one item per entry or row
+     */
+    parseMatrix(open) {
+        const items = [this.parseExpression(0)];
+        while (this.peek().type === 'comma') {
+            this.next();
+            items.push(this.parseExpression(0));
+        }
+
+        const close = this.peek();
+        if (close.type !== 'rbracket') {
+            if (close.type === 'eof') {
+                throw new CalculatorError(ERROR_CODES.UNBALANCED_PAREN, 'Missing closing bracket', open.start, open.end);
+            }
+            throw this.unexpected(close);
+        }
+        this.next();
+        return { type: 'matrix', items, start: open.start, end: close.end };
+    }
+
+    /**
+     * Consume a ")" or fail with a helpful message
+     * @param {Object} open - The matching "(" token
+     * @returns {Object} The ")" token
+     */
+    expectClosingParen(open) {
+        const token = this.peek();
+        if (token.type !== 'rparen') {
+            if (token.type === 'eof') {
+                throw new CalculatorError(ERROR_CODES.UNBALANCED_PAREN, 'Missing closing parenthesis', open.start, open.end);
+            }
+            throw this.unexpected(token);
+        }
+        return this.next();
+    }
+}
+
+/**
+ * Safely parse and evaluate mathematical expressions
+ * Does NOT use eval() or new Function(): the expression is tokenized,
+ * parsed into an AST and then walked by a small interpreter that can
+ * only call functions from functionRegistry.
+ */
+class ExpressionParser {
+    constructor() {
+        this.astCache = new Map();
+    }
+
+    /**
+     * Split an expression into tokens
+     * @param {string} expr - Raw expression
+     * @returns {Array<Object>} Tokens with type, value, start and end
+     */
+    tokenize(expr) {
+        const tokens = [];
+        let pos = 0;
+
+        while (pos < expr.length) {
+            const char = expr[pos];
+
+            // Skip whitespace
+            if (/\s/.test(char)) {
+                pos++;
+                continue;
+            }
+
+            // Hexadecimal, octal and binary literals: 0xFF, 0o17, 0b1010
+            RADIX_NUMBER_PATTERN.lastIndex = pos;
+            const radixMatch = RADIX_NUMBER_PATTERN.exec(expr);
+            if (radixMatch) {
+                let end = pos + radixMatch[0].length;
+                if (/[\w.]/.test(expr[end] || '')) {
+                    // A digit that does not belong to the base, e.g. 0b102 or 0x1G
+                    while (/[\w.]/.test(expr[end] || '')) end++;
+                    throw new CalculatorError(ERROR_CODES.INVALID_NUMBER, 'Invalid number', pos, end);
+                }
+                tokens.push({ type: 'number', value: radixMatch[0], start: pos, end });
+                pos = end;
+                continue;
+            }
+
+            // Numbers: 42, 3.14, .5, 1e-3. Only a lowercase e starts an exponent so
+            // the E button stays Euler's number after a digit: 2E+1 is 2·e + 1
+            NUMBER_PATTERN.lastIndex = pos;
+            const numberMatch = NUMBER_PATTERN.exec(expr);
+            if (numberMatch) {
+                const end = pos + numberMatch[0].length;
+                if (expr[end] === '.') {
+                    throw new CalculatorError(ERROR_CODES.INVALID_NUMBER, 'Invalid number', pos, end + 1);
+                }
+                tokens.push({ type: 'number', value: numberMatch[0], start: pos, end });
+                pos = end;
+                continue;
+            }
+
+            // Names: functions and constants
+            IDENTIFIER_PATTERN.lastIndex = pos;
+            const identifierMatch = IDENTIFIER_PATTERN.exec(expr);
+            if (identifierMatch) {
+                const end = pos + identifierMatch[0].length;
+                // "xor" is spelled out because ^ already means power, "mod" because % means percent
+                const type = identifierMatch[0] === 'xor' || identifierMatch[0] === 'mod' ? 'operator' : 'identifier';
+                tokens.push({ type, value: identifierMatch[0], start: pos, end });
+                pos = end;
+                continue;
+            }
+
+            // Shifts are the only two-character operators
+            const pair = expr.slice(pos, pos + 2);
+            if (pair === '<<' || pair === '>>') {
+                tokens.push({ type: 'operator', value: pair, start: pos, end: pos + 2 });
+                pos += 2;
+                continue;
+            }
+
+            // Single character tokens
+            const operator = OPERATOR_ALIASES[char] || char;
+            if ('+-*/^%!&|~\\'.includes(operator)) {
+                tokens.push({ type: 'operator', value: operator, start: pos, end: pos + 1 });
+            } else if (char === '(') {
+                tokens.push({ type: 'lparen', value: char, start: pos, end: pos + 1 });
+            } else if (char === ')') {
+                tokens.push({ type: 'rparen', value: char, start: pos, end: pos + 1 });
+            } else if (char === '[') {
+                tokens.push({ type: 'lbracket', value: char, start: pos, end: pos + 1 });
+            } else if (char === ']') {
+                tokens.push({ type: 'rbracket', value: char, start: pos, end: pos + 1 });
+            } else if (char === ',') {
+                tokens.push({ type: 'comma', value: char, start: pos, end: pos + 1 });
+            } else if (char === '=') {
+                tokens.push({ type: 'equals', value: char, start: pos, end: pos + 1 });
+            } else {
+                throw new CalculatorError(ERROR_CODES.INVALID_CHARACTER, `Invalid character "${char}"`, pos, pos + 1);
+            }
+            pos++;
+        }
+
+        tokens.push({ type: 'eof', value: '', start: expr.length, end: expr.length });
+        return tokens;
+    }
+
+    /**
+     * Parse an expression into an AST
+     * @param {string} expr - Raw expression
+     * @returns {Object} Root AST node
+     */
+    parse(expr) {
+        return new PrattParser(this.tokenize(expr)).parseProgram();
+    }
+
+    /**
+     * Walk an AST node and compute its value
+     * @param {Object} node - AST node
+     * @param {Object} context - Evaluation settings (see evaluate())
+     * @returns {*} Value of the node, in the representation of context.backend
+     */
+    evaluateNode(node, context) {
+        const backend = context.backend;
+
+        // Guard against runaway user functions freezing the page
+        if (++context.budget.steps > ENGINE_CONFIG.maxEvaluationSteps) {
+            throw new CalculatorError(ERROR_CODES.STEP_LIMIT, 'Calculation is too long', node.start, node.end);
+        }
+
+        switch (node.type) {
+            case 'number':
+                return withPosition(node, () => backend.fromLiteral(node.raw));
+
+            case 'identifier':
+                return this.resolveName(node, context);
+
+            case 'unary': {
+                const operand = this.evaluateNode(node.operand, context);
+                if (node.operator === '+') return operand;
+                if (node.operator === '~') {
+                    if (!backend.bitwise || operand instanceof Quantity) {
+                        throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, 'Bitwise operators need programmer mode', node.start, node.end);
+                    }
+                    return backend.bitwise.not(operand);
+                }
+                if (operand instanceof Quantity) {
+                    return new Quantity(backend.negate(operand.value), operand.dimensions, operand.units);
+                }
+                if (operand instanceof Complex) {
+                    return new Complex(-operand.re, -operand.im);
+                }
+                if (operand instanceof Matrix) {
+                    return negateMatrix(operand);
+                }
+                return backend.negate(operand);
+            }
+
+            case 'postfix': {
+                const operand = this.evaluateNode(node.operand, context);
+                if (node.operator === '%') {
+                    if (backend.bitwise) {
+                        throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, 'Programmer mode has no percent: use "mod" for the remainder',
+                            node.start, node.end);
+                    }
+                    return this.applyBinary({ ...node, type: 'binary', operator: '/' }, operand, backend.fromNumber(100), context);
+                }
+                if (operand instanceof Quantity) {
+                    throw new CalculatorError(ERROR_CODES.INCOMPATIBLE_UNITS, 'Factorial needs a number without units', node.start, node.end);
+                }
+                const result = operand instanceof Complex || operand instanceof Matrix
+                    ? null
+                    : withPosition(node, () => backend.factorial(operand));
+                if (result === null) {
+                    throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, 'Factorial needs a non-negative integer', node.start, node.end);
+                }
+                return result;
+            }
+
+            case 'binary': {
+                const left = this.evaluateNode(node.left, context);
+                const right = this.evaluateNode(node.right, context);
+                // Adding or subtracting a percent works on a share of the left side:
+                // 200 + 10% is 220 and 200 - 10% is 180, while 200 * 10% is 20
+                if ((node.operator === '+' || node.operator === '-') && node.right.type === 'postfix' && node.right.operator === '%') {
+                    return this.applyBinary(node, left, this.applyBinary({ ...node, operator: '*' }, left, right, context), context);
+                }
+                return this.applyBinary(node, left, right, context);
+            }
+
+            case 'call':
+                return this.callFunction(node, context);
+
+            case 'matrix':
+                return this.buildMatrix(node, context);
+
+            case 'conversion': {
+                const value = this.evaluateNode(node.value, context);
+                if (value instanceof Complex || value instanceof Matrix) {
+                    const what = value instanceof Complex ? 'Complex numbers' : 'Matrices';
+                    throw new CalculatorError(ERROR_CODES.INCOMPATIBLE_UNITS, `${what} cannot have units`, node.start, node.end);
+                }
+                // Names after "to" are always units, even if a variable has the same name
+                const unit = this.evaluateNode(node.unit, { ...context, locals: new Map(), variables: new Map() });
+                return withPosition(node, () => convertQuantity(value, unit));
+            }
+
+            default:
+                throw new CalculatorError(ERROR_CODES.UNEXPECTED_TOKEN, 'Invalid expression', node.start, node.end);
+        }
+    }
+
+    /**
+     * Evaluate a matrix literal. Items that are vectors become rows;
+     * plain numbers make a column vector.
+     * @param {Object} node - Matrix AST node
+     * @param {Object} context - Evaluation settings
+     * @returns {Matrix} Matrix
+     */
+    buildMatrix(node, context) {
+        const backend = context.backend;
+        if (backend.bitwise) {
+            throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, 'Matrices are not available in programmer mode', node.start, node.end);
+        }
+
+        const values = node.items.map(item => this.evaluateNode(item, context));
+        if (values.every(value => !(value instanceof Matrix))) {
+            return new Matrix(values.map((value, i) => [withPosition(node.items[i], () => matrixEntry(value, backend))]));
+        }
+
+        const rows = values.map((value, i) => {
+            if (!(value instanceof Matrix) || !value.isVector()) {
+                const item = node.items[i];
+                throw new CalculatorError(ERROR_CODES.DIMENSION_MISMATCH,
+                    'Every row of a matrix must be a list of numbers: [[1, 2], [3, 4]]', item.start, item.end);
+            }
+            return value.entries();
+        });
+        if (rows.some(row => row.length !== rows[0].length)) {
+            throw new CalculatorError(ERROR_CODES.DIMENSION_MISMATCH, 'Every row of a matrix needs the same number of entries', node.start, node.end);
+        }
+        return new Matrix(rows);
+    }
+
+    /**
+     * Look up the value of a name: function parameters, ans, then user
+     * variables, then i (in complex mode), then constants, then units
+     * @param {Object} node - Identifier AST node
+     * @param {Object} context - Evaluation settings
+     * @returns {*} Value in the representation of context.backend
+     */
+    resolveName(node, context) {
+        const backend = context.backend;
+
+        if (context.locals.has(node.name)) {
+            return context.locals.get(node.name);
+        }
+        if (node.name === 'ans') {
+            if (context.ans === null || context.ans === undefined) {
+                throw new CalculatorError(ERROR_CODES.UNKNOWN_NAME, 'There is no previous result yet', node.start, node.end);
+            }
+            return withPosition(node, () => this.readStoredValue(context.ans, context));
+        }
+        if (context.variables.has(node.name)) {
+            return withPosition(node, () => this.readStoredValue(context.variables.get(node.name), context));
+        }
+        // "i" is only a constant when complex numbers are on, so it can still be a variable
+        if (node.name === 'i' && context.complex) {
+            return new Complex(0, 1);
+        }
+        if (constantRegistry.has(node.name)) {
+            return backend.fromNumber(constantRegistry.get(node.name));
+        }
+        // Units make no sense for machine words
+        if (unitRegistry.has(node.name) && !backend.bitwise) {
+            return unitQuantity(unitRegistry.get(node.name), backend);
+        }
+        // Worksheet line references ($3) only exist for lines above that have a result
+        if (node.name.startsWith('$')) {
+            throw new CalculatorError(ERROR_CODES.UNKNOWN_NAME, `Line ${node.name.slice(1)} has no result above`, node.start, node.end);
+        }
+        throw new CalculatorError(ERROR_CODES.UNKNOWN_NAME, `Unknown name "${node.name}"`, node.start, node.end);
+    }
+
+    /**
+     * Convert a stored value (ans or a variable) for the active backend.
+     * Quantities, complex numbers and matrices saved as text, such as
+     * "5.3 km", "3+4i" or "[[1, 2], [3, 4]]", are parsed again.
+     * @param {*} value - Stored value
+     * @param {Object} context - Evaluation settings
+     * @returns {*} Value in the representation of context.backend
+     */
+    readStoredValue(value, context) {
+        if (value instanceof Complex || value instanceof Matrix) {
+            return value;
+        }
+        if (isMatrix(value)) {
+            const ast = this.parseCached(String(value).trim());
+            return this.evaluateNode(ast, { ...context, locals: new Map(), variables: new Map() });
+        }
+        if (isComplex(value)) {
+            // A saved complex number stays complex even with complex numbers off
+            const ast = this.parseCached(String(value).trim());
+            return this.evaluateNode(ast, { ...context, complex: 'rectangular', locals: new Map(), variables: new Map() });
+        }
+        if (value instanceof Quantity) {
+            return new Quantity(context.backend.coerce(value.value), value.dimensions, value.units);
+        }
+        if (hasUnits(value)) {
+            const ast = this.parseCached(String(value).trim());
+            return this.evaluateNode(ast, { ...context, locals: new Map(), variables: new Map() });
+        }
+        return context.backend.coerce(value);
+    }
+
+    /**
+     * Apply a binary operator to two values
+     * @param {Object} node - Binary AST node (arithmetic or bitwise operator)
+     * @param {*} left - Left operand
+     * @param {*} right - Right operand
+     * @param {Object} context - Evaluation settings
+     * @returns {*} Result
+     */
+    applyBinary(node, left, right, context) {
+        const backend = context.backend;
+
+        const bitwise = BITWISE_OPERATORS[node.operator];
+        if (bitwise) {
+            if (!backend.bitwise || left instanceof Quantity || right instanceof Quantity) {
+                throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, 'Bitwise operators need programmer mode', node.start, node.end);
+            }
+            return withPosition(node, () => backend.bitwise[bitwise](left, right));
+        }
+
+        if (left instanceof Matrix || right instanceof Matrix) {
+            return withPosition(node, () => matrixOperation(node.operator, left, right, backend));
+        }
+        if (node.operator === '\\') {
+            throw new CalculatorError(ERROR_CODES.DIMENSION_MISMATCH, 'A\\b needs a matrix A and a vector or matrix b', node.start, node.end);
+        }
+
+        // A negative number to a fractional power, such as (-8)^(1/3), is complex
+        const negativeRoot = context.complex && node.operator === '^' && !(left instanceof Quantity)
+            && !(right instanceof Quantity) && !(left instanceof Complex) && !(right instanceof Complex)
+            && backend.toNumber(left) < 0 && !Number.isInteger(backend.toNumber(right));
+        if (left instanceof Complex || right instanceof Complex || negativeRoot) {
+            return withPosition(node, () => {
+                const result = complexOperation(node.operator, toComplex(left, backend), toComplex(right, backend));
+                return makeComplex(result.re, result.im, backend);
+            });
+        }
+
+        if (left instanceof Quantity || right instanceof Quantity) {
+            if (node.operator === '/' && backend.isZero(asQuantity(right).value)) {
+                throw new CalculatorError(ERROR_CODES.DIVISION_BY_ZERO, 'Cannot divide by zero', node.right.start, node.right.end);
+            }
+            return withPosition(node, () => quantityOperation(node.operator, left, right, backend));
+        }
+
+        if ((node.operator === '/' || node.operator === 'mod') && backend.isZero(right)) {
+            throw new CalculatorError(ERROR_CODES.DIVISION_BY_ZERO, 'Cannot divide by zero', node.right.start, node.right.end);
+        }
+
+        return withPosition(node, () => {
+            switch (node.operator) {
+                case '+': return backend.add(left, right);
+                case '-': return backend.subtract(left, right);
+                case '*': return backend.multiply(left, right);
+                case '/': return backend.divide(left, right);
+                case 'mod': return backend.modulo(left, right);
+                case '^': return backend.power(left, right);
+                default:
+                    throw new CalculatorError(ERROR_CODES.UNEXPECTED_TOKEN, `Unknown operator "${node.operator}"`);
+            }
+        });
+    }
+
+    /**
+     * Call a whitelisted function
+     * @param {Object} node - Call AST node
+     * @param {Object} context - Evaluation settings
+     * @returns {*} Function result
+     */
+    callFunction(node, context) {
+        const entry = functionRegistry.get(node.name);
+        if (!entry && context.userFunctions.has(node.name)) {
+            return this.callUserFunction(node, context);
+        }
+        if (!entry) {
+            // Only underline the name, not the arguments
+            const nameEnd = node.start + node.name.length;
+            throw new CalculatorError(ERROR_CODES.UNKNOWN_FUNCTION, `Unknown function "${node.name}"`, node.start, nameEnd);
+        }
+        if (node.args.length < entry.minArgs || node.args.length > entry.maxArgs) {
+            throw new CalculatorError(ERROR_CODES.WRONG_ARGUMENT_COUNT, `Wrong number of arguments for ${node.name}`, node.start, node.end);
+        }
+
+        const backend = context.backend;
+        const values = node.args.map(arg => this.evaluateNode(arg, context));
+
+        if (entry.matrix || values.some(value => value instanceof Matrix)) {
+            return withPosition(node, () => callMatrixFunction(entry, values, backend));
+        }
+        if (values.some(value => value instanceof Complex)) {
+            return withPosition(node, () => callComplexFunction(entry, values, context));
+        }
+        // sqrt(-4), ln(-1): complex results instead of errors when complex numbers are on
+        const complexResult = () => {
+            if (!context.complex || !COMPLEX_DOMAIN_FUNCTIONS.includes(entry.name)) return null;
+            return withPosition(node, () => callComplexFunction(entry, values, context));
+        };
+
+        if (values.some(value => value instanceof Quantity)) {
+            return withPosition(node, () => quantityFunction(node.name, values, backend));
+        }
+
+        // Exact implementation provided by the backend
+        const exact = backend.functions[node.name];
+        if (exact) {
+            const result = withPosition(node, () => exact(...values));
+            if (result === null) {
+                const complex = complexResult();
+                if (complex !== null) return complex;
+                throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, entry.domain, node.start, node.end);
+            }
+            return result;
+        }
+
+        // Otherwise compute with doubles
+        const angleUnit = ANGLE_UNITS[context.angleMode];
+        let args = values.map(value => backend.toNumber(value));
+        if (entry.angle === 'input') {
+            args = args.map(arg => arg * angleUnit);
+        }
+
+        let result = entry.fn.apply(mathFunctions, args);
+        if (isNaN(result) && !args.some(isNaN)) {
+            const complex = complexResult();
+            if (complex !== null) return complex;
+            throw new CalculatorError(ERROR_CODES.DOMAIN_ERROR, entry.domain, node.start, node.end);
+        }
+        if (entry.angle === 'output') {
+            result = result / angleUnit;
+        }
+        return withPosition(node, () => backend.fromNumber(result));
+    }
+
+    /**
+     * Call a function defined with "f(x) = ..."
+     * @param {Object} node - Call AST node
+     * @param {Object} context - Evaluation settings
+     * @returns {*} Function result
+     */
+    callUserFunction(node, context) {
+        const definition = context.userFunctions.get(node.name);
+        if (node.args.length !== definition.params.length) {
+            throw new CalculatorError(ERROR_CODES.WRONG_ARGUMENT_COUNT,
+                `${node.name} needs ${definition.params.length} argument(s)`, node.start, node.end);
+        }
+        if (context.depth >= ENGINE_CONFIG.maxRecursionDepth) {
+            throw new CalculatorError(ERROR_CODES.RECURSION_LIMIT, `${node.name} calls itself too many times`, node.start, node.end);
+        }
+
+        const locals = new Map();
+        definition.params.forEach((param, i) => {
+            locals.set(param, this.evaluateNode(node.args[i], context));
+        });
+
+        try {
+            const body = this.parseCached(definition.body);
+            return this.evaluateNode(body, { ...context, locals, depth: context.depth + 1 });
+        } catch (error) {
+            if (!(error instanceof CalculatorError)) throw error;
+            // Positions inside the body mean nothing in this expression: point at the call
+            if (error.code === ERROR_CODES.RECURSION_LIMIT || error.code === ERROR_CODES.STEP_LIMIT) {
+                throw new CalculatorError(error.code, error.message, node.start, node.end);
+            }
+            throw new CalculatorError(error.code, `In ${node.name}: ${error.message}`, node.start, node.end);
+        }
+    }
+
+    /**
+     * Parse an expression, reusing the AST if it was parsed before
+     * (user function bodies are evaluated many times)
+     * @param {string} expr - Expression
+     * @returns {Object} Root AST node
+     */
+    parseCached(expr) {
+        if (!this.astCache.has(expr)) {
+            if (this.astCache.size >= 200) {
+                this.astCache.clear();
+            }
+            this.astCache.set(expr, this.parse(expr));
+        }
+        return this.astCache.get(expr);
+    }
+
+    /**
+     * Validate a parsed "f(x) = ..." definition
+     * @param {Object} ast - Definition AST node
+     * @param {string} expr - Source text
+     * @returns {Object} { name, params, body } ready to be stored
+     */
+    checkDefinition(ast, expr) {
+        if (isReservedName(ast.name)) {
+            throw new CalculatorError(ERROR_CODES.RESERVED_NAME, `"${ast.name}" is a built-in name`,
+                ast.start, ast.start + ast.name.length);
+        }
+
+        const seen = new Set();
+        ast.params.forEach(param => {
+            if (isReservedName(param.value) || seen.has(param.value)) {
+                throw new CalculatorError(ERROR_CODES.INVALID_DEFINITION,
+                    `"${param.value}" cannot be used as a parameter here`, param.start, param.end);
+            }
+            seen.add(param.value);
+        });
+
+        return {
+            name: ast.name,
+            params: ast.params.map(param => param.value),
+            body: expr.slice(ast.bodyStart).trim()
+        };
+    }
+
+    /**
+     * Build the context that evaluateNode() threads through the AST
+     * @param {Object} options - Evaluation settings (see evaluate())
+     * @returns {Object} Fresh evaluation context
+     */
+    createContext(options) {
+        const backend = createBackend(options);
+        return {
+            angleMode: ANGLE_UNITS[options.angleMode] ? options.angleMode : 'RAD',
+            backend: backend,
+            variables: new Map(Object.entries(options.variables || {})),
+            userFunctions: new Map(Object.entries(options.userFunctions || {})),
+            ans: options.ans,
+            // Complex numbers make no sense for machine words
+            complex: COMPLEX_FORMATS.includes(options.complex) && options.complex !== 'off' && !backend.bitwise
+                ? options.complex
+                : null,
+            locals: new Map(),
+            depth: 0,
+            budget: { steps: 0 }
+        };
+    }
+
+    /**
+     * Turn a single-variable expression such as "sin(x)*x^2" into a
+     * JavaScript function, for plotting. The expression is parsed once and
+     * each call walks the AST with the variable bound, using doubles.
+     * @param {string} expr - Expression
+     * @param {string} variable - Name of the variable, usually "x"
+     * @param {Object} [options] - Evaluation settings (see evaluate()); numericMode is ignored
+     * @returns {Object} { fn } where fn(x) returns a number (NaN where the
+     *                   expression is undefined), or { error } if the expression
+     *                   cannot be plotted
+     */
+    compile(expr, variable, options = {}) {
+        let ast;
+        try {
+            ast = this.parseCached(expr);
+            if (ast.type === 'assignment' || ast.type === 'definition') {
+                throw new CalculatorError(ERROR_CODES.UNEXPECTED_TOKEN, 'Only expressions can be plotted', ast.start, ast.end);
+            }
+        } catch (error) {
+            if (!(error instanceof CalculatorError)) throw error;
+            return { error };
+        }
+        return this.compileNode(ast, variable, options);
+    }
+
+    /**
+     * Turn an equation such as "1000*(1+r)^5 = 1500" into a function whose
+     * roots are its solutions (left side minus right side). Without "="
+     * the expression itself is solved for zero.
+     * @param {string} expr - Equation
+     * @param {string} [variable] - Unknown; found automatically when omitted
+     * @param {Object} [options] - Evaluation settings (see evaluate())
+     * @returns {Object} { fn, unknown } or { error }
+     */
+    compileEquation(expr, variable, options = {}) {
+        let node;
+        let unknown = variable;
+        try {
+            const { left, right } = new PrattParser(this.tokenize(expr)).parseEquation();
+            node = right ? { type: 'binary', operator: '-', left, right, start: left.start, end: right.end } : left;
+            if (!unknown) {
+                unknown = findUnknown(node, options);
+            }
+        } catch (error) {
+            if (!(error instanceof CalculatorError)) throw error;
+            return { error };
+        }
+
+        const compiled = this.compileNode(node, unknown, options);
+        return compiled.error ? compiled : { fn: compiled.fn, unknown };
+    }
+
+    /**
+     * Compile an AST for compile() and compileEquation()
+     * @param {Object} ast - Root AST node
+     * @param {string} variable - Name bound to the function's argument
+     * @param {Object} options - Evaluation settings
+     * @returns {Object} { fn } or { error }
+     */
+    compileNode(ast, variable, options) {
+        const base = this.createContext({ ...options, numericMode: 'float' });
+
+        const fn = x => {
+            const context = { ...base, locals: new Map([[variable, x]]), budget: { steps: 0 } };
+            const value = this.evaluateNode(ast, context);
+            return typeof value === 'number' && isFinite(value) ? value : NaN;
+        };
+
+        try {
+            // Mistakes such as unknown names fail for every x, so report them now.
+            // Errors that depend on x (ln of a negative number) just leave gaps.
+            fn(1);
+        } catch (error) {
+            if (!(error instanceof CalculatorError)) throw error;
+            const mistakes = [ERROR_CODES.UNEXPECTED_TOKEN, ERROR_CODES.UNKNOWN_NAME, ERROR_CODES.UNKNOWN_FUNCTION,
+                ERROR_CODES.WRONG_ARGUMENT_COUNT, ERROR_CODES.INCOMPATIBLE_UNITS];
+            if (mistakes.includes(error.code)) {
+                return { error };
+            }
+        }
+
+        return {
+            fn: x => {
+                try {
+                    return fn(x);
+                } catch (error) {
+                    if (error instanceof CalculatorError) return NaN;
+                    throw error;
+                }
+            }
+        };
+    }
+
+    /**
+     * Evaluate the expression safely
+     * @param {string} expr - Expression to evaluate
+     * @param {Object} [options] - Evaluation settings
+     * @param {string} [options.angleMode] - 'DEG', 'RAD' (default) or 'GRAD'
+     * @param {string} [options.numericMode] - 'float' (default), 'decimal' for exact decimals
+     *                                         (arithmetic only, see createDecimalBackend()),
+     *                                         'fraction' for exact fractions
+     *                                         or 'programmer' for fixed-size whole numbers
+     * @param {number} [options.precision] - Decimal places kept in 'decimal' mode
+     * @param {number} [options.wordSize] - Bits per word in 'programmer' mode (8, 16, 32 or 64)
+     * @param {boolean} [options.signed] - Signed words in 'programmer' mode (default true)
+     * @param {Object} [options.variables] - User variables by name
+     * @param {*} [options.ans] - Value of "ans" (the previous result)
+     * @param {Object} [options.userFunctions] - User functions by name: { params, body }
+     * @param {string} [options.complex] - 'rectangular' or 'polar' to allow complex
+     *                                     numbers and choose how they are shown; real
+     *                                     numbers only when omitted (or 'off')
+     * @returns {Object} { value } on success or { error } holding a CalculatorError.
+     *                   value is a number, a BigDecimal in 'decimal' mode, a BigInt
+     *                   in 'programmer' mode, a Quantity when the result has a unit,
+     *                   a Complex when it has an imaginary part, or a Matrix.
+     *                   For "name = expression", assignedName holds the name; for
+     *                   "f(x) = expression", definition holds { name, params, body }
+     *                   instead of a value. The caller decides whether to store
+     *                   them (evaluation has no side effects).
+     */
+    evaluate(expr, options = {}) {
+        const context = this.createContext(options);
+
+        try {
+            const ast = this.parse(expr);
+            const whole = { start: 0, end: expr.length };
+
+            if (ast.type === 'definition') {
+                return { definition: this.checkDefinition(ast, expr) };
+            }
+
+            if (ast.type === 'assignment') {
+                if (isReservedVariableName(ast.name)) {
+                    throw new CalculatorError(ERROR_CODES.RESERVED_NAME, `"${ast.name}" is a built-in name`,
+                        ast.start, ast.start + ast.name.length);
+                }
+                const value = this.evaluateNode(ast.value, context);
+                return { value: withPosition(whole, () => finalizeValue(value, context)), assignedName: ast.name };
+            }
+
+            const result = this.evaluateNode(ast, context);
+            return { value: withPosition(whole, () => finalizeValue(result, context)) };
+        } catch (error) {
+            if (error instanceof CalculatorError) {
+                return { error };
+            }
+            return { error: new CalculatorError(ERROR_CODES.UNEXPECTED_TOKEN, 'Invalid expression', 0, expr.length) };
+        }
+    }
+}
+
+/**
+ * Check whether a name belongs to the calculator and cannot be assigned.
+ * Unit names are not reserved: a variable called "m" hides the metre.
+ * @param {string} name - Identifier
+ * @returns {boolean} True for ans, the words "to", "xor" and "mod", worksheet line
+ *                    references ($3), constants and built-in functions
+ */
+function isReservedName(name) {
+    return name === 'ans' || name === 'to' || name === 'xor' || name === 'mod' || name.startsWith('$') ||
+        constantRegistry.has(name) || functionRegistry.has(name);
+}
+
+/**
+ * Check whether a name cannot be used for a variable. Like isReservedName(),
+ * except for functions registered with allowVariable, such as rate().
+ * @param {string} name - Identifier
+ * @returns {boolean} True if "name = ..." is not allowed
+ */
+function isReservedVariableName(name) {
+    const entry = functionRegistry.get(name);
+    return entry && entry.allowVariable ? false : isReservedName(name);
+}
+
+/**
+ * Pick the unknown of an equation: the one name that is not a variable,
+ * constant or "ans". A unit name (such as "h") only counts when nothing
+ * else is left over, and "x" is used when every name is known.
+ * @param {Object} node - AST of the equation
+ * @param {Object} options - Evaluation settings (see ExpressionParser.evaluate())
+ * @returns {string} Name of the unknown
+ */
+function findUnknown(node, options) {
+    const names = new Set();
+    const visit = current => {
+        if (current.type === 'identifier') names.add(current.name);
+        ['operand', 'left', 'right', 'value', 'unit'].forEach(key => current[key] && visit(current[key]));
+        (current.args || current.items || []).forEach(visit);
+    };
+    visit(node);
+
+    const variables = options.variables || {};
+    const free = [...names].filter(name => !(name in variables) && name !== 'ans' && !constantRegistry.has(name));
+    const unknowns = free.filter(name => !unitRegistry.has(name));
+    const candidates = unknowns.length > 0 ? unknowns : free;
+
+    if (candidates.length === 1) return candidates[0];
+    if (candidates.length > 1) {
+        throw new CalculatorError(ERROR_CODES.UNKNOWN_NAME,
+            `Several unknowns (${candidates.join(', ')}): choose one to solve for`, node.start, node.end);
+    }
+    if (names.has('x')) return 'x';
+    throw new CalculatorError(ERROR_CODES.UNKNOWN_NAME, 'There is no unknown to solve for', node.start, node.end);
+}
+
+/**
+ * Final checks and rounding for a result, with or without a unit
+ * @param {*} value - Raw result
+ * @param {Object} context - Evaluation settings
+ * @returns {*} Value ready to be shown
+ */
+function finalizeValue(value, context) {
+    if (value instanceof Complex) return finalizeComplex(value, context);
+    if (value instanceof Matrix) return finalizeMatrix(value);
+    return value instanceof Quantity ? finalizeQuantity(value, context.backend) : context.backend.finalize(value);
+}
+
+/**
+ * Run a backend operation, attaching the node's position to any
+ * CalculatorError it throws without one
+ * @param {Object} node - AST node (or any object with start/end)
+ * @param {Function} operation - Code to run
+ * @returns {*} Result of operation
+ */
+function withPosition(node, operation) {
+    try {
+        return operation();
+    } catch (error) {
+        if (error instanceof CalculatorError && error.start === undefined) {
+            error.start = node.start;
+            error.end = node.end;
+        }
+        throw error;
+    }
+}
+
+// Create parser instance
+const parser = new ExpressionParser();
+
+// ============================================
+// ROOT FINDING
+// ============================================
+
+/**
+ * Brent's method: bisection that never leaves the bracket, sped up with
+ * secant and inverse quadratic interpolation steps
+ * @param {Function} fn - Function of one number
+ * @param {number} a - One end of a bracket where fn changes sign
+ * @param {number} b - Other end
+ * @param {number} [fa] - fn(a), when already known
+ * @param {number} [fb] - fn(b), when already known
+ * @returns {number|null} Root, or null if it did not converge
+ */
+function brentRoot(fn, a, b, fa = fn(a), fb = fn(b)) {
+    if (fa === 0) return a;
+    if (fb === 0) return b;
+
+    let c = a;
+    let fc = fa;
+    let d = b - a;
+    let e = d;
+    for (let i = 0; i < 200; i++) {
+        // Keep the root between b and c, with b the better estimate
+        if (Math.sign(fb) === Math.sign(fc)) {
+            c = a;
+            fc = fa;
+            d = e = b - a;
+        }
+        if (Math.abs(fc) < Math.abs(fb)) {
+            [a, b, c] = [b, c, b];
+            [fa, fb, fc] = [fb, fc, fb];
+        }
+
+        const tolerance = 2 * Number.EPSILON * Math.abs(b) + 1e-300;
+        const middle = (c - b) / 2;
+        if (Math.abs(middle) <= tolerance || fb === 0) return b;
+
+        if (Math.abs(e) >= tolerance && Math.abs(fa) > Math.abs(fb)) {
+            const s = fb / fa;
+            let p;
+            let q;
+            if (a === c) {
+                // Secant step
+                p = 2 * middle * s;
+                q = 1 - s;
+            } else {
+                // Inverse quadratic interpolation through a, b and c
+                const r = fb / fc;
+                const t = fa / fc;
+                p = s * (2 * middle * t * (t - r) - (b - a) * (r - 1));
+                q = (t - 1) * (r - 1) * (s - 1);
+            }
+            if (p > 0) q = -q;
+            p = Math.abs(p);
+
+            // Only accept the step if it stays well inside the bracket
+            if (2 * p < Math.min(3 * middle * q - Math.abs(tolerance * q), Math.abs(e * q))) {
+                e = d;
+                d = p / q;
+            } else {
+                d = e = middle;
+            }
+        } else {
+            d = e = middle;
+        }
+
+        a = b;
+        fa = fb;
+        b += Math.abs(d) > tolerance ? d : Math.sign(middle) * tolerance;
+        fb = fn(b);
+        if (Number.isNaN(fb)) return null;
+    }
+    return null;
+}
+
+/**
+ * Newton's method with a numerical derivative
+ * @param {Function} fn - Function of one number
+ * @param {number} guess - Starting point
+ * @returns {number|null} Root, or null if it did not converge
+ */
+function newtonRoot(fn, guess) {
+    let x = guess;
+    let fx = fn(x);
+    for (let i = 0; i < 100; i++) {
+        if (!Number.isFinite(fx)) return null;
+        if (fx === 0) return x;
+
+        const h = 1e-7 * Math.max(1, Math.abs(x));
+        const slope = (fn(x + h) - fn(x - h)) / (2 * h);
+        if (!Number.isFinite(slope) || slope === 0) return null;
+
+        const next = x - fx / slope;
+        if (Math.abs(next - x) <= 4 * Number.EPSILON * Math.max(1, Math.abs(x))) return next;
+        x = next;
+        fx = fn(x);
+    }
+    return null;
+}
+
+/**
+ * Check that a converged point is a root and not a pole such as the
+ * middle of 1/x, where the sign also changes
+ * @param {Function} fn - Function of one number
+ * @param {number|null} x - Candidate root
+ * @param {number} scale - Typical size of fn near x
+ * @returns {boolean} True if fn(x) is zero within rounding
+ */
+function isRoot(fn, x, scale) {
+    return x !== null && Math.abs(fn(x)) <= 1e-6 * Math.max(1, scale);
+}
+
+/**
+ * Find roots of a function
+ * @param {Function} fn - Function of one number (NaN where undefined)
+ * @param {Object} search - { guess } for the root nearest a starting point,
+ *                          or { low, high } for every root in an interval
+ * @returns {Object} { roots } in increasing order, and failed: how many
+ *                   candidate roots did not converge
+ */
+function findRoots(fn, search) {
+    const roots = [];
+    let failed = 0;
+
+    if (search.guess !== undefined) {
+        const { guess } = search;
+        const scale = Math.abs(fn(guess));
+        const root = newtonRoot(fn, guess);
+        if (isRoot(fn, root, scale)) {
+            return { roots: [root], failed };
+        }
+
+        // Newton overshot or stalled: widen a bracket around the guess
+        // until the sign changes, then close in on the root safely
+        let step = 0.01 * Math.max(1, Math.abs(guess));
+        let fGuess = fn(guess);
+        for (let i = 0; i < 60; i++, step *= 2) {
+            for (const end of [guess - step, guess + step]) {
+                const fEnd = fn(end);
+                if (Number.isFinite(fEnd) && Number.isFinite(fGuess) && Math.sign(fEnd) !== Math.sign(fGuess)) {
+                    const bracketed = brentRoot(fn, Math.min(guess, end), Math.max(guess, end));
+                    if (isRoot(fn, bracketed, Math.max(Math.abs(fGuess), Math.abs(fEnd)))) {
+                        return { roots: [bracketed], failed };
+                    }
+                    failed++;
+                }
+            }
+            if (!Number.isFinite(fGuess)) fGuess = fn(guess + step);
+        }
+        return { roots, failed: failed + 1 };
+    }
+
+    // Sample the interval: a sign change between two samples brackets a root,
+    // and a dip in |f| that does not cross zero may be a double root (x^2 = 0)
+    const { low, high } = search;
+    const samples = ENGINE_CONFIG.solverSamples;
+    const xs = [];
+    const ys = [];
+    for (let i = 0; i <= samples; i++) {
+        xs.push(low + (high - low) * i / samples);
+        ys.push(fn(xs[i]));
+    }
+
+    for (let i = 0; i <= samples; i++) {
+        if (ys[i] === 0) {
+            roots.push(xs[i]);
+            continue;
+        }
+        if (i < samples && ys[i + 1] !== 0 && Number.isFinite(ys[i]) && Number.isFinite(ys[i + 1])
+            && Math.sign(ys[i]) !== Math.sign(ys[i + 1])) {
+            const root = brentRoot(fn, xs[i], xs[i + 1], ys[i], ys[i + 1]);
+            if (isRoot(fn, root, Math.max(Math.abs(ys[i]), Math.abs(ys[i + 1])))) {
+                roots.push(root);
+            } else if (root === null) {
+                failed++;
+            }
+            continue;
+        }
+        if (i > 0 && i < samples && Math.abs(ys[i]) < Math.abs(ys[i - 1]) && Math.abs(ys[i]) < Math.abs(ys[i + 1])
+            && Math.sign(ys[i - 1]) === Math.sign(ys[i + 1])) {
+            const root = newtonRoot(fn, xs[i]);
+            if (root !== null && root >= xs[i - 1] && root <= xs[i + 1]
+                && Math.abs(fn(root)) <= 1e-12 * Math.max(1, Math.abs(ys[i - 1]), Math.abs(ys[i + 1]))) {
+                roots.push(root);
+            }
+        }
+    }
+
+    // The same root can be found from both sides of a sample point
+    roots.sort((a, b) => a - b);
+    const distinct = roots.filter((root, index) =>
+        index === 0 || Math.abs(root - roots[index - 1]) > 1e-6 * Math.max(1, Math.abs(root)));
+    return { roots: distinct, failed };
+}
+
+// ============================================
+// WORKSHEETS
+// ============================================
+
+/**
+ * Evaluate a worksheet: one expression, assignment or function definition
+ * per line, top to bottom. Names assigned on a line can be used on the lines
+ * below it, "$3" is the result of line 3 and "ans" the last result above.
+ * Assignments and definitions stay in the worksheet: they do not change the
+ * calculator's variables and functions. "#" starts a comment.
+ * @param {string} text - Worksheet text
+ * @param {Object} options - Evaluation settings (see ExpressionParser.evaluate())
+ * @returns {Array<Object|null>} Result of parser.evaluate() for each line,
+ *                               or null for blank and comment-only lines
+ */
+function evaluateWorksheet(text, options) {
+    const variables = { ...options.variables };
+    const userFunctions = { ...options.userFunctions };
+    let ans = options.ans;
+
+    return text.split('\n').map((line, index) => {
+        const expr = line.replace(/#.*/, '').trimEnd();
+        if (!expr.trim()) return null;
+
+        const result = parser.evaluate(expr, { ...options, variables, userFunctions, ans });
+        if (result.definition) {
+            const { name, params, body } = result.definition;
+            userFunctions[name] = { params, body };
+        } else if (!result.error) {
+            if (result.assignedName) {
+                variables[result.assignedName] = result.value;
+            }
+            variables[`$${index + 1}`] = result.value;
+            ans = result.value;
+        }
+        return result;
+    });
+}
+
+// ============================================
+// SETTINGS STORE
+// ============================================
+
+/**
+ * Check a decimal places setting
+ * @param {*} value - Candidate value
+ * @returns {boolean} True for a whole number between 1 and ENGINE_CONFIG.maxPrecision
+ */
+function isValidPrecision(value) {
+    return Number.isInteger(value) && value >= 1 && value <= ENGINE_CONFIG.maxPrecision;
+}
+
+/**
+ * Arithmetic modes of the standard calculator, in the order the status badge cycles through them
+ */
+const NUMERIC_MODES = ['float', 'decimal', 'fraction'];
+
+/**
+ * Calculator modes of the UI, in the order of its mode tabs
+ */
+const CALCULATOR_MODES = ['standard', 'programmer', 'statistics', 'worksheet'];
+
+/**
+ * Every setting with its default value and the check a new value must pass
+ */
+const SETTINGS = {
+    angleMode: { value: 'RAD', isValid: value => Object.prototype.hasOwnProperty.call(ANGLE_UNITS, value) },
+    numericMode: { value: 'float', isValid: value => NUMERIC_MODES.includes(value) },
+    precision: { value: ENGINE_CONFIG.defaultPrecision, isValid: isValidPrecision },
+    fractionFormat: { value: 'improper', isValid: value => FRACTION_FORMATS.includes(value) },
+    complexFormat: { value: 'off', isValid: value => COMPLEX_FORMATS.includes(value) },
+    mode: { value: 'standard', isValid: value => CALCULATOR_MODES.includes(value) },
+    wordSize: { value: 64, isValid: value => WORD_SIZES.includes(value) },
+    signed: { value: true, isValid: value => typeof value === 'boolean' }
+};
+
+/**
+ * Calculator settings. Values are checked before they are stored, saved
+ * to storage (when one is given) and announced with a 'change' event
+ * carrying { name, value }.
+ *
+ * - angleMode: 'DEG', 'RAD' or 'GRAD'
+ * - numericMode: one of NUMERIC_MODES
+ * - precision: decimal places in exact decimal mode
+ * - fractionFormat: 'improper' (7/2), 'mixed' (3 1/2) or 'decimal'
+ * - complexFormat: 'off' (real only), 'rectangular' or 'polar'
+ * - mode: one of CALCULATOR_MODES
+ * - wordSize: bits per word in programmer mode (one of WORD_SIZES)
+ * - signed: signed (two's complement) or unsigned words in programmer mode
+ */
+class SettingsStore extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - Where settings are saved, such as
+     *                                      localStorage; memory only when omitted
+     * @param {string} [options.storageKey] - Key of the settings in storage
+     */
+    constructor({ storage = null, storageKey = 'calculator-settings' } = {}) {
+        super();
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.values = {};
+        Object.keys(SETTINGS).forEach(name => {
+            this.values[name] = SETTINGS[name].value;
+        });
+    }
+
+    /**
+     * @param {string} name - Setting name
+     * @returns {*} Current value
+     */
+    get(name) {
+        return this.values[name];
+    }
+
+    /**
+     * Change a setting. Nothing happens when the value is the current one.
+     * @param {string} name - Setting name
+     * @param {*} value - New value
+     * @returns {boolean} False if the setting does not exist or the value is not allowed
+     */
+    set(name, value) {
+        if (!Object.prototype.hasOwnProperty.call(SETTINGS, name) || !SETTINGS[name].isValid(value)) {
+            return false;
+        }
+        if (this.values[name] !== value) {
+            this.values[name] = value;
+            this.save();
+            this.emit('change', { name, value });
+        }
+        return true;
+    }
+
+    /**
+     * Settings in the form evaluate() takes them. Programmer mode
+     * evaluates with machine words whatever the numeric mode is.
+     * @returns {Object} angleMode, numericMode, precision, wordSize, signed and complex
+     */
+    evaluationOptions() {
+        const values = this.values;
+        return {
+            angleMode: values.angleMode,
+            numericMode: values.mode === 'programmer' ? 'programmer' : values.numericMode,
+            precision: values.precision,
+            wordSize: values.wordSize,
+            signed: values.signed,
+            complex: values.complexFormat
+        };
+    }
+
+    /**
+     * @returns {Object} Copy of every setting by name
+     */
+    toJSON() {
+        return { ...this.values };
+    }
+
+    /**
+     * Read saved settings, ignoring invalid values. No 'change' events are emitted.
+     */
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+            Object.keys(SETTINGS).forEach(name => {
+                if (SETTINGS[name].isValid(saved[name])) {
+                    this.values[name] = saved[name];
+                }
+            });
+        } catch (e) {
+            console.warn('Could not load settings from storage:', e);
+        }
+    }
+
+    /**
+     * Write the settings to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.values));
+        } catch (e) {
+            console.warn('Could not save settings to storage:', e);
+        }
+    }
+}
+
+// ============================================
+// HISTORY STORE
+// ============================================
+
+/**
+ * Check an imported record and turn it into a history entry.
+ * CSV values arrive as strings, so numbers and booleans are converted.
+ * @param {Object} record - Raw record
+ * @returns {Object|null} Clean entry, or null if the record is not usable
+ */
+function normalizeHistoryEntry(record) {
+    if (!record || typeof record !== 'object') return null;
+    
+    const timestamp = Number(record.timestamp);
+    const expression = record.expression;
+    const result = record.result;
+    
+    if (!Number.isFinite(timestamp) || timestamp <= 0 ||
+        typeof expression !== 'string' || expression.length === 0 ||
+        expression.length > ENGINE_CONFIG.maxHistoryExpressionLength ||
+        (typeof result !== 'string' && typeof result !== 'number')) {
+        return null;
+    }
+    
+    const entry = { expression, result, timestamp };
+    if (record.pinned === true || record.pinned === 'true') {
+        entry.pinned = true;
+    }
+    if (typeof record.note === 'string' && record.note.trim()) {
+        entry.note = record.note.trim().slice(0, ENGINE_CONFIG.maxHistoryNoteLength);
+    }
+    return entry;
+}
+
+/**
+ * Calculation history, newest first. Entries are
+ * { expression, result, timestamp } with optional pinned and note fields;
+ * numbers are kept as numbers and other results as text. Pinned entries
+ * are never dropped to make room.
+ *
+ * Every change is saved to storage (when one is given) and announced with
+ * a 'change' event carrying the entries.
+ */
+class HistoryStore extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - Where the history is saved, such as
+     *                                      localStorage; memory only when omitted
+     * @param {string} [options.storageKey] - Key of the history in storage
+     */
+    constructor({ storage = null, storageKey = 'calculator-history' } = {}) {
+        super();
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.entries = [];
+    }
+
+    /**
+     * Add a calculation at the top of the history
+     * @param {string} expression - The expression
+     * @param {*} result - The result
+     * @returns {Object} New entry
+     */
+    add(expression, result) {
+        const entry = {
+            expression: expression,
+            // Exact decimals, quantities and machine words are kept as text
+            result: typeof result === 'number' ? result : String(result),
+            timestamp: Date.now()
+        };
+        this.entries.unshift(entry);
+        this.changed();
+        return entry;
+    }
+
+    /**
+     * Delete one entry
+     * @param {number} index - Index in entries
+     * @returns {boolean} False if there is no such entry
+     */
+    remove(index) {
+        if (!this.entries[index]) return false;
+
+        this.entries.splice(index, 1);
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Pin an entry, or unpin it so it can be dropped again
+     * @param {number} index - Index in entries
+     * @returns {boolean} False if there is no such entry
+     */
+    togglePin(index) {
+        const item = this.entries[index];
+        if (!item) return false;
+
+        if (item.pinned) {
+            delete item.pinned;
+        } else {
+            item.pinned = true;
+        }
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Set or remove the note on an entry
+     * @param {number} index - Index in entries
+     * @param {string} note - Note text (empty removes it)
+     * @returns {boolean} False if there is no such entry
+     */
+    setNote(index, note) {
+        const item = this.entries[index];
+        if (!item) return false;
+
+        const trimmed = note.trim().slice(0, ENGINE_CONFIG.maxHistoryNoteLength);
+        if (trimmed) {
+            item.note = trimmed;
+        } else {
+            delete item.note;
+        }
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Delete every entry except the pinned ones
+     */
+    clear() {
+        this.entries = this.entries.filter(item => item.pinned);
+        this.changed();
+    }
+
+    /**
+     * Add imported records. Records that are not valid entries, and those
+     * whose timestamp is already in the history, are skipped.
+     * @param {Array<Object>} records - Raw records (see normalizeHistoryEntry())
+     * @returns {Object} { added, skipped } counts
+     */
+    import(records) {
+        const known = new Set(this.entries.map(item => item.timestamp));
+        let added = 0;
+        let skipped = 0;
+
+        records.forEach(record => {
+            const entry = normalizeHistoryEntry(record);
+            if (!entry || known.has(entry.timestamp)) {
+                skipped++;
+                return;
+            }
+            known.add(entry.timestamp);
+            this.entries.push(entry);
+            added++;
+        });
+
+        this.entries.sort((a, b) => b.timestamp - a.timestamp);
+        this.changed();
+        return { added, skipped };
+    }
+
+    /**
+     * Read the saved history. Entries are checked like imported ones, and
+     * anything that does not fit is dropped with a warning. No 'change'
+     * event is emitted.
+     */
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            if (saved) {
+                const records = JSON.parse(saved);
+                if (!Array.isArray(records)) {
+                    throw new Error('Saved history is not a list');
+                }
+                this.entries = records.map(normalizeHistoryEntry).filter(Boolean);
+
+                const dropped = records.length - this.entries.length;
+                if (dropped > 0) {
+                    console.warn(`Dropped ${dropped} invalid history entr${dropped === 1 ? 'y' : 'ies'}`);
+                }
+                // Limit history size after loading
+                this.trim();
+            }
+        } catch (e) {
+            console.warn('Could not load history from storage:', e);
+            this.entries = [];
+        }
+    }
+
+    /**
+     * Write the history to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (e) {
+            console.warn('Could not save history to storage:', e);
+        }
+    }
+
+    /**
+     * Drop the oldest unpinned entries until the history fits
+     * ENGINE_CONFIG.maxHistoryItems
+     */
+    trim() {
+        const entries = this.entries;
+        for (let i = entries.length - 1; i >= 0 && entries.length > ENGINE_CONFIG.maxHistoryItems; i--) {
+            if (!entries[i].pinned) {
+                entries.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Trim, save and tell the listeners after any change
+     */
+    changed() {
+        this.trim();
+        this.save();
+        this.emit('change', this.entries);
+    }
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Evaluate one expression. Evaluation has no side effects: assignments
+ * and function definitions are returned for the caller to store.
+ * @param {string} expr - Expression to evaluate
+ * @param {Object} [options] - Evaluation settings, see ExpressionParser.evaluate()
+ * @returns {Object} { value } on success or { error } holding a CalculatorError
+ */
+function evaluate(expr, options = {}) {
+    return parser.evaluate(expr, options);
+}
+
+export {
+    // Evaluation
+    ENGINE_CONFIG,
+    evaluate,
+    evaluateWorksheet,
+    parser,
+    findRoots,
+    isReservedName,
+    isReservedVariableName,
+    OPERATOR_ALIASES,
+
+    // Functions, constants and units
+    registerFunction,
+    registerConstant,
+    functionRegistry,
+    constantRegistry,
+    unitRegistry,
+    mathFunctions,
+    ANGLE_UNITS,
+
+    // Statistics and finance
+    describeData,
+    fitRegressions,
+    amortizationSchedule,
+
+    // Numbers and results
+    CalculatorError,
+    ERROR_CODES,
+    BigDecimal,
+    Fraction,
+    Complex,
+    Matrix,
+    Quantity,
+    floatBackend,
+    createBackend,
+    approximateFraction,
+    formatFraction,
+    hasUnits,
+    isComplex,
+    isFraction,
+    isMatrix,
+    FRACTION_FORMATS,
+    COMPLEX_FORMATS,
+    WORD_SIZES,
+
+    // Settings and history
+    EventEmitter,
+    SettingsStore,
+    HistoryStore,
+    NUMERIC_MODES,
+    CALCULATOR_MODES,
+    isValidPrecision,
+    normalizeHistoryEntry
+};
@@ -4,27 +4,65 @@
  * Beginner-friendly vanilla JavaScript implementation
  * ============================================
  * 
+ * This file is the calculator page: buttons, keyboard, panels and
+ * rendering. Everything it calculates comes from engine.js, which has no
+ * DOM code and can be used on its own (see the notes at its top).
+ * 
  * FEATURES:
- * - Core operations: +, -, *, /, %
+ * - Core operations: +, -, *, /, percent (200 + 10% = 220) and mod for the remainder
+ * - Percent helpers: pctchange, markup and margin
  * - Scientific functions: sin, cos, tan, log, ln, sqrt, pow, factorial, abs
+ * - Inverse trig (asin, acos, atan, atan2) and DEG/RAD/GRAD angle modes
+ * - Exact decimal arithmetic mode with adjustable precision
+ * - Fraction mode: exact results such as 1/3 + 1/6 = 1/2, shown improper,
+ *   mixed or as a decimal, and decimal-to-fraction conversion
+ * - Programmer mode: 0x/0o/0b literals, bitwise operators, 8-64 bit words
+ * - Variables: "rate = 0.075", "ans" for the last result
+ * - User-defined functions: "f(x, y) = sqrt(x^2 + y^2)"
+ * - Units and conversions: "5 km + 300 m", "60 mph to km/h", "100 °F to °C"
+ * - Graph panel: plot expressions in x with pan, zoom and a trace cursor
+ * - Equation solver: every root in a range, or the one nearest a guess
+ * - Complex numbers (optional): i, sqrt(-1), re/im/arg/conj, rectangular or polar results
+ * - Matrices and vectors: [[1, 2], [3, 4]], det, inv, rank, transpose, dot, cross, A\b
+ * - Statistics mode: descriptive statistics and regressions of a data list,
+ *   list functions such as mean(1, 2, 3) and stdev(...)
+ * - Financial functions pv, fv, pmt, nper, rate, npv and irr, and a finance
+ *   panel with an amortization schedule (CSV export)
+ * - Worksheet mode: one expression per line with live results, $3 for the
+ *   result of line 3, saved worksheets and plain text export
+ * - Share links: the expression, angle mode, variables and worksheet in the URL
+ * - Live preview of the result while typing
+ * - Editable expression: caret, selection, copy and paste
  * - Keyboard support
  * - Accessible controls (aria-labels)
- * - Safe evaluation (no eval)
+ * - Safe evaluation (no eval or new Function - works under a strict CSP)
  * - State management with history
+ * - Memory registers M1-M9 (MC, MR, M+, M−, MS)
+ * - Reusable engine (engine.js): evaluate(), function and constant registry,
+ *   settings and history stores with change events
  * 
  * OPTIONAL FEATURES (uncomment to enable):
  * - Theme toggle
  * - History panel
- * - Memory functions
  * - Sound effects
  * 
  * TO ENABLE OPTIONAL FEATURES:
  * 1. Theme Toggle: Uncomment theme-toggle button in HTML and add theme toggle JS
  * 2. History: Uncomment history-panel in HTML and enable history in state
- * 3. Memory: Uncomment memory buttons and add memory functions
- * 4. Sound: Add audio feedback on button press
+ * 3. Sound: Add audio feedback on button press
  */
 
+import {
+    ENGINE_CONFIG, evaluate, evaluateWorksheet, parser, findRoots,
+    isReservedName, isReservedVariableName, OPERATOR_ALIASES,
+    functionRegistry, mathFunctions, ANGLE_UNITS,
+    describeData, fitRegressions, amortizationSchedule,
+    CalculatorError, BigDecimal, Fraction, Complex, Matrix,
+    floatBackend, createBackend, approximateFraction, formatFraction,
+    hasUnits, isComplex, isFraction, isMatrix, WORD_SIZES,
+    SettingsStore, HistoryStore, NUMERIC_MODES
+} from './engine.js';
+
 // ============================================
 // CONFIGURATION
 // ============================================
@@ -33,13 +71,28 @@ const CONFIG = {
     // Set to true to enable optional features
     enableScientific: true,        // Scientific functions panel
     enableHistory: true,          // History panel (requires HTML uncomment)
-    enableMemory: false,           // Memory functions (requires HTML uncomment)
+    enableMemory: true,            // Memory registers (MC, MR, M+, M−, MS)
     enableSound: false,           // Sound feedback (requires audio files)
     enableThemeToggle: false,     // Theme toggle (requires HTML uncomment)
     maxExpressionLength: 100,     // Maximum expression length
-    maxHistoryItems: 50,         // Maximum history items to store
-    decimalPrecision: 10,          // Decimal places for results
-    historyStorageKey: 'calculator-history'  // localStorage key for history
+    maxFractionDenominator: 1000000,  // Largest denominator found when converting a decimal to a fraction
+    historyStorageKey: 'calculator-history',  // localStorage key for history
+    angleModeStorageKey: 'calculator-angle-mode',  // localStorage key older versions kept DEG/RAD/GRAD in
+    settingsStorageKey: 'calculator-settings',  // localStorage key for user settings
+    variablesStorageKey: 'calculator-variables',  // localStorage key for user variables
+    functionsStorageKey: 'calculator-functions',  // localStorage key for user-defined functions
+    memoryStorageKey: 'calculator-memory',  // localStorage key for memory registers
+    statisticsStorageKey: 'calculator-statistics',  // localStorage key for the statistics data list
+    worksheetsStorageKey: 'calculator-worksheets',  // localStorage key for saved worksheets
+    memorySlots: 9,                // Number of memory registers (M1-M9)
+    maxGraphFunctions: 6,          // Most functions plotted at once
+    solverRange: 100,              // Without a guess, look for roots between -100 and 100
+    maxSolverRoots: 20,            // Most roots listed by the solver
+    maxAmortizationPeriods: 1200,  // Longest amortization schedule (100 years of monthly payments)
+    previewDelay: 150,             // Milliseconds of no typing before the live preview is worked out
+    maxShareLinkLength: 8000,      // Longest share link data (characters after "#calc=")
+    maxShareStateSize: 65536,      // Largest shared state once decompressed, in bytes
+    maxSharedVariables: 100        // Most variables a share link may carry
 };
 
 // ============================================
@@ -52,13 +105,48 @@ const CONFIG = {
  */
 const calculatorState = {
     expression: "",      // Current expression being built
+    selection: null,     // { anchor, caret } offsets in the expression; null puts the caret at the end
     result: "",          // Current result display
-    history: [],         // Calculation history
-    memory: 0,           // Memory value
+    historyFilter: '',   // Text typed in the history search box
+    editingNoteIndex: null,  // History item whose note is being edited
+    memory: Object.create(null),  // Memory registers by slot number; empty slots are absent
+    activeMemorySlot: 1,  // Register used by MC, MR, M+, M− and MS
     isScientificVisible: CONFIG.enableScientific,  // Scientific panel visibility
-    lastResult: null     // Store last result for reference
+    lastResult: null,    // Store last result for reference
+    graphFunctions: [],  // Plotted expressions in x: { expression, color }
+    graphView: { xMin: -10, xMax: 10, yMin: -10, yMax: 10 },  // Visible part of the graph
+    graphTrace: null,    // x value under the trace cursor, or null
+    graphDrag: null,     // Pointer position and view when a pan started
+    variables: Object.create(null),  // User variables set with "name = value"
+    userFunctions: Object.create(null),  // User functions set with "f(x) = ..." ({ params, body })
+    errorRange: null,    // { start, end } of the part of the expression that caused an error
+    preview: '',         // Value of the expression being typed, or '' when it has none
+    previewTimer: null,  // Pending preview evaluation (setTimeout id)
+    worksheets: [],      // Saved worksheets: { id, name, text }
+    activeWorksheet: null  // id of the worksheet being edited
 };
 
+/**
+ * Settings (angle mode, numeric mode, calculator mode, ...) and the
+ * calculation history live in the engine's stores. They save themselves
+ * and emit 'change' events, which the UI listens to in init().
+ */
+const settingsStore = new SettingsStore({ storage: getLocalStorage(), storageKey: CONFIG.settingsStorageKey });
+const historyStore = new HistoryStore({ storage: getLocalStorage(), storageKey: CONFIG.historyStorageKey });
+
+/**
+ * localStorage, or null where the browser does not allow it
+ * @returns {Storage|null} Storage for the stores
+ */
+function getLocalStorage() {
+    try {
+        return window.localStorage;
+    } catch (e) {
+        console.warn('localStorage is not available:', e);
+        return null;
+    }
+}
+
 // ============================================
 // DOM ELEMENTS
 // ============================================
@@ -67,291 +155,106 @@ const elements = {
     expression: document.getElementById('expression'),
     result: document.getElementById('result'),
     scientificSection: document.getElementById('scientific-section'),
+    modeTabs: document.querySelectorAll('.mode-tab'),
+    standardKeypad: document.getElementById('standard-keypad'),
+    programmerKeypad: document.getElementById('programmer-keypad'),
+    radixDisplay: document.getElementById('radix-display'),
+    wordSizeSelect: document.getElementById('word-size-select'),
+    signednessSelect: document.getElementById('signedness-select'),
     // Optional elements (check if they exist before using)
     historyPanel: document.getElementById('history-panel'),
     historyList: document.getElementById('history-list'),
     clearHistoryBtn: document.getElementById('clear-history'),
-    memoryIndicator: document.getElementById('memory-indicator'),
+    historySearch: document.getElementById('history-search'),
+    historyImport: document.getElementById('history-import'),
+    historyStatus: document.getElementById('history-status'),
+    variablesList: document.getElementById('variables-list'),
+    clearVariablesBtn: document.getElementById('clear-variables'),
+    functionsList: document.getElementById('functions-list'),
+    memoryIndicators: document.getElementById('memory-indicators'),
+    angleModeIndicator: document.getElementById('angle-mode'),
+    numericModeIndicator: document.getElementById('numeric-mode'),
+    numericModeSelect: document.getElementById('numeric-mode-select'),
+    precisionInput: document.getElementById('precision-input'),
+    fractionFormatSelect: document.getElementById('fraction-format-select'),
+    complexFormatSelect: document.getElementById('complex-format-select'),
+    graphPanel: document.getElementById('graph-panel'),
+    graphForm: document.getElementById('graph-form'),
+    graphInput: document.getElementById('graph-expression'),
+    graphList: document.getElementById('graph-list'),
+    graphCanvas: document.getElementById('graph-canvas'),
+    graphReadout: document.getElementById('graph-readout'),
+    solverPanel: document.getElementById('solver-panel'),
+    solverEquation: document.getElementById('solver-equation'),
+    solverUnknown: document.getElementById('solver-unknown'),
+    solverRange: document.getElementById('solver-range'),
+    solverResults: document.getElementById('solver-results'),
+    solverStatus: document.getElementById('solver-status'),
+    statisticsPanel: document.getElementById('statistics-panel'),
+    statisticsData: document.getElementById('statistics-data'),
+    statisticsResults: document.getElementById('statistics-results'),
+    statisticsStatus: document.getElementById('statistics-status'),
+    financePanel: document.getElementById('finance-panel'),
+    financeType: document.getElementById('finance-type'),
+    financeStatus: document.getElementById('finance-status'),
+    financeSchedule: document.getElementById('finance-schedule'),
+    worksheetPanel: document.getElementById('worksheet-panel'),
+    worksheetSelect: document.getElementById('worksheet-select'),
+    worksheetName: document.getElementById('worksheet-name'),
+    worksheetText: document.getElementById('worksheet-text'),
+    worksheetNumbers: document.getElementById('worksheet-numbers'),
+    worksheetResults: document.getElementById('worksheet-results'),
+    shareLinkButton: document.getElementById('share-link'),
     themeToggle: document.getElementById('theme-toggle')
 };
 
-// ============================================
-// MATH FUNCTIONS
-// ============================================
-
-/**
- * Custom math functions that aren't built into JavaScript
- */
-const mathFunctions = {
-    /**
-     * Calculate factorial of a number
-     * @param {number} n - Non-negative integer
-     * @returns {number} Factorial of n
-     */
-    factorial(n) {
-        if (n < 0) return NaN;
-        if (n === 0 || n === 1) return 1;
-        if (n > 170) return Infinity; // JavaScript max safe integer
-        let result = 1;
-        for (let i = 2; i <= n; i++) {
-            result *= i;
-        }
-        return result;
-    },
-
-    /**
-     * Calculate square root
-     * @param {number} x - Number to square root
-     * @returns {number} Square root of x
-     */
-    sqrt(x) {
-        return x < 0 ? NaN : Math.sqrt(x);
-    },
-
-    /**
-     * Calculate power (x^y)
-     * @param {number} base - Base number
-     * @param {number} exp - Exponent
-     * @returns {number} Base raised to exponent
-     */
-    pow(base, exp) {
-        return Math.pow(base, exp !== undefined ? exp : 2);
-    },
-
-    /**
-     * Calculate absolute value
-     * @param {number} x - Number
-     * @returns {number} Absolute value
-     */
-    abs(x) {
-        return Math.abs(x);
-    },
-
-    /**
-     * Convert degrees to radians
-     * @param {number} degrees - Angle in degrees
-     * @returns {number} Angle in radians
-     */
-    deg(degrees) {
-        return degrees * (Math.PI / 180);
-    },
-
-    /**
-     * Calculate sine (uses radians)
-     * @param {number} x - Angle in radians
-     * @returns {number} Sine of x
-     */
-    sin(x) {
-        return Math.sin(x);
-    },
-
-    /**
-     * Calculate cosine (uses radians)
-     * @param {number} x - Angle in radians
-     * @returns {number} Cosine of x
-     */
-    cos(x) {
-        return Math.cos(x);
-    },
-
-    /**
-     * Calculate tangent (uses radians)
-     * @param {number} x - Angle in radians
-     * @returns {number} Tangent of x
-     */
-    tan(x) {
-        return Math.tan(x);
-    },
-
-    /**
-     * Calculate logarithm base 10
-     * @param {number} x - Number
-     * @returns {number} Log base 10 of x
-     */
-    log(x) {
-        return x <= 0 ? NaN : Math.log10(x);
-    },
-
-    /**
-     * Calculate natural logarithm
-     * @param {number} x - Number
-     * @returns {number} Natural log of x
-     */
-    ln(x) {
-        return x <= 0 ? NaN : Math.log(x);
-    }
-};
-
-// ============================================
-// SAFE EXPRESSION PARSER
-// ============================================
-
-/**
- * Safely parse and evaluate mathematical expressions
- * Does NOT use eval() for security
- */
-class ExpressionParser {
-    constructor() {
-        this.allowedChars = /^[0-9+\-*/().%^\s]+$/;
-    }
-
-    /**
-     * Preprocess the expression to handle special functions
-     * @param {string} expr - Raw expression
-     * @returns {string} Processed expression
-     */
-    preprocess(expr) {
-        let processed = expr;
-        
-        // Replace display symbols with JavaScript operators
-        processed = processed.replace(/×/g, '*');
-        processed = processed.replace(/÷/g, '/');
-        processed = processed.replace(/−/g, '-');
-        
-        // Replace mathematical constants
-        processed = processed.replace(/π/g, Math.PI.toString());
-        processed = processed.replace(/PI/g, Math.PI.toString());
-        processed = processed.replace(/\bE\b/g, Math.E.toString());
-        
-        // Replace functions
-        processed = processed.replace(/sqrt\(/g, 'Math.sqrt(');
-        processed = processed.replace(/pow\(/g, 'Math.pow(');
-        processed = processed.replace(/abs\(/g, 'Math.abs(');
-        processed = processed.replace(/sin\(/g, 'Math.sin(');
-        processed = processed.replace(/cos\(/g, 'Math.cos(');
-        processed = processed.replace(/tan\(/g, 'Math.tan(');
-        processed = processed.replace(/log\(/g, 'Math.log10(');
-        processed = processed.replace(/ln\(/g, 'Math.log(');
-        processed = processed.replace(/deg\(/g, 'deg(');
-        
-        // Handle factorial (custom implementation)
-        processed = this.handleFactorial(processed);
-        
-        return processed;
-    }
-
-    /**
-     * Handle factorial notation in expression
-     * @param {string} expr - Expression
-     * @returns {string} Expression with factorial replaced
-     */
-    handleFactorial(expr) {
-        // Match patterns like "5!" or "(2+3)!"
-        return expr.replace(/(\d+|\))!/g, (match) => {
-            if (match === ')!') {
-                return ')';
-            }
-            const num = match.slice(0, -1);
-            return `factorial(${num})`;
-        });
-    }
-
-    /**
-     * Validate that expression only contains allowed characters
-     * @param {string} expr - Expression to validate
-     * @returns {boolean} True if valid
-     */
-    validate(expr) {
-        // Remove whitespace for validation
-        const cleanExpr = expr.replace(/\s/g, '');
-        
-        // Check for dangerous patterns
-        const dangerousPatterns = [
-            /[a-zA-Z]/,  // Letters (except Math functions we've added)
-            /__/,        // Dunder patterns
-            /\[/,        // Array brackets
-            /\]/,        // Array brackets
-            /\{/,        // Object braces
-            /\}/,        // Object braces
-            /;/,         // Semicolons
-            /=/          // Assignment (except in function calls)
-        ];
-
-        for (const pattern of dangerousPatterns) {
-            if (pattern.test(cleanExpr)) {
-                return false;
-            }
-        }
-        
-        return true;
-    }
-
-    /**
-     * Evaluate the expression safely
-     * @param {string} expr - Expression to evaluate
-     * @returns {number|string} Result or error message
-     */
-    evaluate(expr) {
-        try {
-            // Validate first
-            if (!this.validate(expr)) {
-                return { error: 'Invalid characters in expression' };
-            }
-
-            // Preprocess
-            const processed = this.preprocess(expr);
-            
-            // Create a function with limited scope
-            // This is safer than eval() as it only has access to specific functions
-            const safeEval = new Function(
-                'Math', 
-                'factorial', 
-                'deg',
-                `return ${processed}`
-            );
-            
-            // Execute with our custom functions
-            const result = safeEval(mathFunctions.sqrt ? Math : Math, mathFunctions.factorial, mathFunctions.deg);
-            
-            // Check for invalid results
-            if (!isFinite(result)) {
-                if (isNaN(result)) {
-                    return { error: 'Math error' };
-                }
-                return { error: 'Result is too large' };
-            }
-            
-            // Round to avoid floating point precision issues
-            const precision = CONFIG.decimalPrecision;
-            const rounded = Math.round(result * Math.pow(10, precision)) / Math.pow(10, precision);
-            
-            return { value: rounded };
-            
-        } catch (error) {
-            return { error: 'Invalid expression' };
-        }
-    }
-}
-
-// Create parser instance
-const parser = new ExpressionParser();
-
 // ============================================
 // INPUT HANDLING
 // ============================================
 
 /**
- * Append a value to the current expression
- * @param {string} value - Value to append
+ * Insert a value at the caret, replacing the selected text if there is any.
+ * The caret is at the end of the expression unless the user moved it.
+ * @param {string} value - Value to insert
  */
 function appendValue(value) {
+    const expr = calculatorState.expression;
+    const { start, end } = getSelectionRange();
+    
     // Check expression length
-    if (calculatorState.expression.length >= CONFIG.maxExpressionLength) {
+    if (expr.length - (end - start) + value.length > CONFIG.maxExpressionLength) {
         showError('Expression too long');
         return;
     }
     
+    let before = expr.slice(0, start);
+    let after = expr.slice(end);
+    
     // Handle operators - don't allow consecutive operators
-    const lastChar = calculatorState.expression.slice(-1);
-    const operators = ['+', '-', '*', '/', '^', '%'];
+    const operators = ['+', '-', '*', '/', '^', '&', '|', '<<', '>>', ' xor ', ' mod ', '\\'];
+    
+    // Starting with an operator or % right after a result continues from it: "+2" means "ans+2"
+    const continues = operators.includes(value) || value === '%';
+    if (expr === '' && calculatorState.lastResult !== null && continues) {
+        before = 'ans';
+    }
     
-    if (operators.includes(lastChar) && operators.includes(value)) {
-        // Replace the last operator with the new one
-        calculatorState.expression = calculatorState.expression.slice(0, -1);
+    if (operators.includes(value)) {
+        // Replace an operator next to the caret with the new one, including
+        // the longer ones such as "<<" and " mod "
+        const previous = operators.find(operator => before.endsWith(operator));
+        const next = operators.find(operator => after.startsWith(operator));
+        if (previous) {
+            before = before.slice(0, -previous.length);
+        } else if (next) {
+            after = after.slice(next.length);
+        }
     }
     
-    // Append the value
-    calculatorState.expression += value;
+    // Insert the value and put the caret after it
+    calculatorState.expression = before + value + after;
+    setSelection(before.length + value.length);
+    calculatorState.errorRange = null;
     
     // Update display
     updateDisplay();
@@ -367,8 +270,10 @@ function appendValue(value) {
  */
 function clearDisplay() {
     calculatorState.expression = '';
+    calculatorState.selection = null;
     calculatorState.result = '0';
     calculatorState.lastResult = null;
+    calculatorState.errorRange = null;
     
     updateDisplay();
     
@@ -381,16 +286,180 @@ function clearDisplay() {
  * Delete the last character
  */
 function deleteLast() {
-    if (calculatorState.expression.length > 0) {
-        calculatorState.expression = calculatorState.expression.slice(0, -1);
-        updateDisplay();
-        
-        if (CONFIG.enableSound) {
-            playSound('click');
+    const { start, end } = getSelectionRange();
+    if (start !== end) {
+        deleteRange(start, end);
+        return;
+    }
+    
+    // Whole pieces go at once, so "√" removes all of "sqrt("
+    const piece = splitExpression(calculatorState.expression)
+        .find(piece => piece.start < start && piece.end >= start);
+    if (piece) {
+        deleteRange(piece.start, start);
+    }
+}
+
+/**
+ * Delete the selected text, or the piece after the caret (Delete key)
+ */
+function deleteNext() {
+    const { start, end } = getSelectionRange();
+    if (start !== end) {
+        deleteRange(start, end);
+        return;
+    }
+    
+    const piece = splitExpression(calculatorState.expression)
+        .find(piece => piece.start <= start && piece.end > start);
+    if (piece) {
+        deleteRange(start, piece.end);
+    }
+}
+
+/**
+ * Remove part of the expression and put the caret where it was
+ * @param {number} start - First raw offset to remove
+ * @param {number} end - Raw offset after the last character to remove
+ */
+function deleteRange(start, end) {
+    const expr = calculatorState.expression;
+    calculatorState.expression = expr.slice(0, start) + expr.slice(end);
+    setSelection(start);
+    calculatorState.errorRange = null;
+    updateDisplay();
+    
+    if (CONFIG.enableSound) {
+        playSound('click');
+    }
+}
+
+/**
+ * Caret and selection in the expression, limited to its current length
+ * @returns {Object} { anchor, caret, start, end } raw offsets, with start <= end
+ */
+function getSelectionRange() {
+    const length = calculatorState.expression.length;
+    const selection = calculatorState.selection;
+    const anchor = selection ? Math.min(selection.anchor, length) : length;
+    const caret = selection ? Math.min(selection.caret, length) : length;
+    return { anchor, caret, start: Math.min(anchor, caret), end: Math.max(anchor, caret) };
+}
+
+/**
+ * Place the caret, selecting the text between it and the anchor
+ * @param {number} anchor - Raw offset where the selection starts
+ * @param {number} [caret] - Raw offset of the caret (defaults to the anchor)
+ */
+function setSelection(anchor, caret = anchor) {
+    // A caret at the end stays there as the expression grows
+    const atEnd = anchor === caret && caret >= calculatorState.expression.length;
+    calculatorState.selection = atEnd ? null : { anchor, caret };
+}
+
+/**
+ * Move the caret with the arrow keys, Home and End
+ * @param {string} key - 'ArrowLeft', 'ArrowRight', 'Home' or 'End'
+ * @param {boolean} extend - True (Shift held) to extend the selection
+ */
+function moveCaret(key, extend) {
+    const expr = calculatorState.expression;
+    const { anchor, caret, start, end } = getSelectionRange();
+    // The caret stops between pieces, never inside "sqrt("
+    const stops = splitExpression(expr).map(piece => piece.start).concat(expr.length);
+    
+    let target;
+    if (key === 'Home') {
+        target = 0;
+    } else if (key === 'End') {
+        target = expr.length;
+    } else if (!extend && start !== end) {
+        // An arrow without Shift collapses the selection to that side
+        target = key === 'ArrowLeft' ? start : end;
+    } else if (key === 'ArrowLeft') {
+        target = stops.filter(stop => stop < caret).pop() || 0;
+    } else {
+        target = stops.find(stop => stop > caret) || expr.length;
+    }
+    
+    setSelection(extend ? anchor : target, target);
+    renderExpression(expr, calculatorState.errorRange);
+}
+
+/**
+ * Raw offset closest to the pointer: before or after the piece under it
+ * @param {PointerEvent} event - Pointer event over the expression
+ * @returns {number} Raw offset
+ */
+function caretFromPointer(event) {
+    const piece = event.target.closest('[data-start]');
+    if (!piece) return calculatorState.expression.length;
+    
+    const rect = piece.getBoundingClientRect();
+    const before = event.clientX < rect.left + rect.width / 2;
+    return Number(before ? piece.dataset.start : piece.dataset.end);
+}
+
+/**
+ * Click to place the caret, Shift+click or drag to select
+ * @param {PointerEvent} event - pointerdown or pointermove on the expression
+ */
+function handleExpressionPointer(event) {
+    if (event.type === 'pointermove' && event.buttons !== 1) return;
+    
+    const caret = caretFromPointer(event);
+    const extend = event.type === 'pointermove' || event.shiftKey;
+    setSelection(extend ? getSelectionRange().anchor : caret, caret);
+    renderExpression(calculatorState.expression, calculatorState.errorRange);
+}
+
+/**
+ * Copy, cut and paste expressions. Copy and cut take the selected part of
+ * the expression, or all of it when nothing is selected.
+ * @param {ClipboardEvent} event - copy, cut or paste event
+ */
+function handleClipboard(event) {
+    // Form fields and text selected elsewhere on the page work as usual
+    if (event.target.closest && event.target.closest('input, select, textarea')) return;
+    
+    if (event.type === 'paste') {
+        event.preventDefault();
+        const text = sanitizeExpression(event.clipboardData.getData('text/plain'));
+        if (text) {
+            appendValue(text);
         }
+        return;
+    }
+    
+    if (window.getSelection && String(window.getSelection())) return;
+    
+    const expr = calculatorState.expression;
+    const { start, end } = getSelectionRange();
+    const [from, to] = start < end ? [start, end] : [0, expr.length];
+    if (from === to) return;
+    
+    event.preventDefault();
+    event.clipboardData.setData('text/plain', expr.slice(from, to));
+    if (event.type === 'cut') {
+        deleteRange(from, to);
     }
 }
 
+/**
+ * Turn pasted text into a one-line expression, with display symbols
+ * such as × and √ changed back to what they stand for
+ * @param {string} text - Pasted text
+ * @returns {string} Expression text
+ */
+function sanitizeExpression(text) {
+    return text
+        .replace(/\s+/g, ' ')
+        .replace(/[\u0000-\u001f\u007f]/g, '')
+        .replace(/[×÷−·]/g, symbol => OPERATOR_ALIASES[symbol])
+        .replace(/√/g, 'sqrt(')
+        .trim();
+}
+
 /**
  * Toggle scientific functions panel
  */
@@ -406,6 +475,19 @@ function toggleScientific() {
     }
 }
 
+/**
+ * Collect the settings the parser needs from the settings store and the calculator state
+ * @returns {Object} Options for evaluate()
+ */
+function getEvaluationOptions() {
+    return {
+        ...settingsStore.evaluationOptions(),
+        variables: calculatorState.variables,
+        userFunctions: calculatorState.userFunctions,
+        ans: calculatorState.lastResult
+    };
+}
+
 /**
  * Calculate the result
  */
@@ -414,13 +496,24 @@ function calculateResult() {
         return;
     }
     
-    const result = parser.evaluate(calculatorState.expression);
+    // "=" closes open brackets, as the live preview does
+    calculatorState.expression = closeBrackets(calculatorState.expression);
+    const result = evaluate(calculatorState.expression, getEvaluationOptions());
     
     if (result.error) {
         showError(result.error);
         return;
     }
     
+    // "f(x) = expression" defines a function instead of producing a value
+    if (result.definition) {
+        setUserFunction(result.definition);
+        calculatorState.expression = '';
+        calculatorState.result = `${result.definition.name}(${result.definition.params.join(', ')}) defined`;
+        updateDisplay();
+        return;
+    }
+    
     // Store previous expression
     const previousExpression = calculatorState.expression;
     const previousResult = result.value;
@@ -429,9 +522,14 @@ function calculateResult() {
     calculatorState.result = result.value.toString();
     calculatorState.lastResult = result.value;
     
+    // "name = expression" stores a variable
+    if (result.assignedName) {
+        setVariable(result.assignedName, result.value);
+    }
+    
     // Add to history
     if (CONFIG.enableHistory) {
-        addToHistory(previousExpression, previousResult);
+        historyStore.add(previousExpression, previousResult);
     }
     
     // Clear expression and show result
@@ -449,6 +547,38 @@ function calculateResult() {
     }
 }
 
+/**
+ * Show the current value as a fraction ("0.75" -> "3/4"). Values that are
+ * not exactly a simple fraction, such as 0.3333333333 or π, get the closest
+ * fraction with a denominator up to CONFIG.maxFractionDenominator.
+ */
+function convertToFraction() {
+    const value = getCurrentValue();
+    if (value === null) return;
+    if (hasUnits(value) || isComplex(value) || isMatrix(value) || value instanceof Matrix) {
+        showError('Only plain numbers can be shown as a fraction');
+        return;
+    }
+
+    const fraction = isFraction(value)
+        ? Fraction.parse(String(value))
+        : approximateFraction(typeof value === 'number' ? value : BigDecimal.parse(String(value)), CONFIG.maxFractionDenominator);
+    if (!fraction) {
+        showError('No fraction found for this value');
+        return;
+    }
+
+    calculatorState.result = fraction.toString();
+    calculatorState.lastResult = fraction;
+    calculatorState.expression = '';
+    calculatorState.errorRange = null;
+    if (settingsStore.get('fractionFormat') === 'decimal') {
+        settingsStore.set('fractionFormat', 'improper');  // Also redraws the display
+    } else {
+        updateDisplay();
+    }
+}
+
 // ============================================
 // UI RENDERING
 // ============================================
@@ -458,33 +588,195 @@ function calculateResult() {
  */
 function updateDisplay() {
     // Update expression display
-    elements.expression.textContent = formatExpression(calculatorState.expression);
+    renderExpression(calculatorState.expression, calculatorState.errorRange);
     
-    // Update result display
-    let displayResult = calculatorState.expression || calculatorState.result;
-    if (!displayResult) {
-        displayResult = '0';
+    // Update result display: a dimmed preview while typing, the result after "="
+    if (calculatorState.expression) {
+        renderResult(calculatorState.preview, true);
+        schedulePreview();
+    } else {
+        cancelPreview();
+        renderResult(calculatorState.result || '0', false);
     }
-    
-    elements.result.textContent = formatResult(displayResult);
+    renderRadixDisplay();
     
     // Handle overflow
     handleOverflow();
 }
 
+/**
+ * Show a value in the result area
+ * @param {string} text - Result text ('' shows nothing)
+ * @param {boolean} isPreview - True for a live preview, which is dimmed
+ */
+function renderResult(text, isPreview) {
+    elements.result.classList.toggle('preview', isPreview);
+    // Matrix results are laid out as a grid rather than one line of text
+    if (!isMatrix(text) || !renderMatrixResult(text)) {
+        elements.result.textContent = text ? formatResult(text) : '';
+    }
+}
+
+/**
+ * Work out the live preview once the user stops typing for CONFIG.previewDelay
+ */
+function schedulePreview() {
+    clearTimeout(calculatorState.previewTimer);
+    calculatorState.previewTimer = setTimeout(() => {
+        calculatorState.previewTimer = null;
+        calculatorState.preview = previewExpression(calculatorState.expression);
+        if (calculatorState.expression) {
+            renderResult(calculatorState.preview, true);
+            handleOverflow();
+        }
+    }, CONFIG.previewDelay);
+}
+
+/**
+ * Drop the live preview, and any evaluation still waiting to run
+ */
+function cancelPreview() {
+    clearTimeout(calculatorState.previewTimer);
+    calculatorState.previewTimer = null;
+    calculatorState.preview = '';
+}
+
+/**
+ * Value of a half-typed expression for the live preview. Errors are
+ * never shown while typing: anything that does not evaluate has no preview.
+ * @param {string} expr - Expression being typed
+ * @returns {string} Result text, or '' if there is nothing to show
+ */
+function previewExpression(expr) {
+    const completed = completeExpression(expr);
+    if (!completed) return '';
+
+    const result = evaluate(completed, getEvaluationOptions());
+    return result.error || result.value === undefined ? '' : result.value.toString();
+}
+
+/**
+ * Finish a half-typed expression: drop trailing operators and open
+ * brackets with nothing in them, then close what is still open
+ * ("2*(3+4" -> "2*(3+4)", "5+" -> "5", "sqrt(2*" -> "sqrt(2)")
+ * @param {string} expr - Expression being typed
+ * @returns {string} Expression that may evaluate
+ */
+function completeExpression(expr) {
+    let text = expr.trim();
+    const trailing = /(?:[-+*/^&|~\\,=([]|<<|>>|\b(?:xor|mod|to))\s*$/;
+    while (trailing.test(text)) {
+        text = text.replace(trailing, '').trimEnd();
+    }
+    return closeBrackets(text);
+}
+
+/**
+ * Close the parentheses and brackets left open at the end of an expression
+ * @param {string} expr - Expression
+ * @returns {string} Expression with the missing ")" and "]" added
+ */
+function closeBrackets(expr) {
+    const closing = [];
+    for (const char of expr) {
+        if (char === '(') closing.push(')');
+        if (char === '[') closing.push(']');
+        if ((char === ')' || char === ']') && closing[closing.length - 1] === char) closing.pop();
+    }
+    return expr + closing.reverse().join('');
+}
+
+/**
+ * Render the expression with the caret and selection, underlining the part
+ * that caused an error. Each piece is its own element that remembers its
+ * raw offsets, so the underline lines up with the offsets reported by the
+ * parser and a click maps back to a position in the raw expression.
+ * @param {string} expr - Raw expression
+ * @param {Object|null} errorRange - { start, end } offsets to underline
+ */
+function renderExpression(expr, errorRange) {
+    const { caret, start, end } = getSelectionRange();
+
+    // Always underline at least one character so the marker is visible
+    const errorStart = errorRange ? Math.min(errorRange.start, Math.max(expr.length - 1, 0)) : 0;
+    const errorEnd = errorRange ? Math.max(errorRange.end, errorStart + 1) : 0;
+
+    const caretElement = document.createElement('span');
+    caretElement.className = 'expression-caret';
+    caretElement.setAttribute('aria-hidden', 'true');
+
+    const nodes = [];
+    splitExpression(expr).forEach(piece => {
+        if (start === end && piece.start === caret) {
+            nodes.push(caretElement);
+        }
+        const span = document.createElement('span');
+        span.textContent = piece.text;
+        span.dataset.start = piece.start;
+        span.dataset.end = piece.end;
+        span.classList.toggle('error-span', piece.start < errorEnd && piece.end > errorStart);
+        span.classList.toggle('selected', piece.start >= start && piece.end <= end && start < end);
+        nodes.push(span);
+    });
+    if (start === end && !nodes.includes(caretElement)) {
+        nodes.push(caretElement);
+    }
+
+    elements.expression.replaceChildren(...nodes);
+}
+
+/**
+ * Raw text shown differently on the display, in the order they are matched
+ */
+const EXPRESSION_SYMBOLS = [
+    ['Math.', ''],
+    ['pow(', 'x²'],
+    ['sqrt(', '√'],
+    ['*', '×'],
+    ['/', '÷'],
+    ['-', '−']
+];
+
+/**
+ * Split the expression into the pieces the display shows: a symbol from
+ * EXPRESSION_SYMBOLS or a single character
+ * @param {string} expr - Raw expression
+ * @returns {Array<Object>} { start, end, text } raw offsets and display text of each piece
+ */
+function splitExpression(expr) {
+    const pieces = [];
+    let index = 0;
+    while (index < expr.length) {
+        const symbol = EXPRESSION_SYMBOLS.find(([raw]) => expr.startsWith(raw, index));
+        const raw = symbol ? symbol[0] : expr[index];
+        pieces.push({ start: index, end: index + raw.length, text: symbol ? symbol[1] : raw });
+        index += raw.length;
+    }
+    return pieces;
+}
+
 /**
  * Format the expression for display
  * @param {string} expr - Raw expression
  * @returns {string} Formatted expression
  */
 function formatExpression(expr) {
-    return expr
-        .replace(/\*/g, '×')
-        .replace(/\//g, '÷')
-        .replace(/-/g, '−')
-        .replace(/Math\./g, '')
-        .replace(/pow\(/g, 'x²')
-        .replace(/sqrt\(/g, '√');
+    return splitExpression(expr).map(piece => piece.text).join('');
+}
+
+/**
+ * Put thousand separators between groups of three digits. Slicing keeps
+ * this linear, so results with tens of thousands of digits stay quick.
+ * @param {string} digits - Whole number digits without a sign
+ * @returns {string} Grouped digits, e.g. "1,234,567"
+ */
+function groupThousands(digits) {
+    const head = digits.length % 3 || 3;
+    const groups = [digits.slice(0, head)];
+    for (let index = head; index < digits.length; index += 3) {
+        groups.push(digits.slice(index, index + 3));
+    }
+    return groups.join(',');
 }
 
 /**
@@ -493,16 +785,78 @@ function formatExpression(expr) {
  * @returns {string} Formatted result
  */
 function formatResult(result) {
+    // Fractions: "-7/2" in the chosen form, each number grouped
+    if (isFraction(String(result))) {
+        const shown = formatFraction(String(result), settingsStore.get('fractionFormat'));
+        const parts = /^(-?\d+)(?: (\d+))?\/(\d+)$/.exec(shown);
+        if (!parts) {
+            return formatResult(shown);
+        }
+        return `${formatResult(parts[1])}${parts[2] ? ` ${formatResult(parts[2])}` : ''}/${formatResult(parts[3])}`;
+    }
+
+    // Complex numbers: format each part ("1234 + 5i", "5 ∠ 53.13°")
+    const complex = /^(\S+) ([+-]|∠) (\S*?)(i|°|ᵍ)?$/.exec(String(result));
+    if (complex && !isNaN(parseFloat(complex[1])) && (complex[2] === '∠' || complex[4] === 'i')) {
+        return `${formatResult(complex[1])} ${complex[2]} ${complex[3] && formatResult(complex[3])}${complex[4] || ''}`;
+    }
+    const imaginary = /^(-?)(\S*)i$/.exec(String(result));
+    if (imaginary && (imaginary[2] === '' || !isNaN(Number(imaginary[2])))) {
+        return `${imaginary[1]}${imaginary[2] && formatResult(imaginary[2])}i`;
+    }
+
+    // Quantities such as "5300 m": format the number and keep the unit
+    const quantity = /^(\S+) (\S.*)$/.exec(String(result));
+    if (quantity && !isNaN(parseFloat(quantity[1]))) {
+        return `${formatResult(quantity[1])} ${quantity[2]}`;
+    }
+
+    // Plain decimal strings (such as exact decimal results) are grouped
+    // as text, so digits beyond double precision are not lost
+    const plain = /^(-?)(\d+)(\.\d+)?$/.exec(String(result));
+    if (plain) {
+        return plain[1] + groupThousands(plain[2]) + (plain[3] || '');
+    }
+
     // Add thousand separators for large numbers
     const num = parseFloat(result);
     if (!isNaN(num) && isFinite(num)) {
         return num.toLocaleString('en-US', {
-            maximumFractionDigits: CONFIG.decimalPrecision
+            maximumFractionDigits: ENGINE_CONFIG.decimalPrecision
         });
     }
     return result;
 }
 
+/**
+ * Show a matrix result as a grid of formatted entries
+ * @param {string} text - Matrix text such as "[[1, 2], [3, 4]]"
+ * @returns {boolean} True if the text was a matrix and is now shown
+ */
+function renderMatrixResult(text) {
+    // Entries can be fractions such as 1/3, so the text is split rather than read as JSON
+    const match = /^\[\[([^[\]]+(?:\], \[[^[\]]+)*)\]\]$/.exec(text.trim());
+    if (!match) {
+        return false;
+    }
+    const rows = match[1].split('], [').map(row => row.split(', '));
+    if (rows.some(row => row.length !== rows[0].length)) {
+        return false;
+    }
+
+    const grid = document.createElement('div');
+    grid.className = 'matrix-grid';
+    grid.style.gridTemplateColumns = `repeat(${rows[0].length}, auto)`;
+    grid.setAttribute('aria-label', `${rows.length}×${rows[0].length} matrix: ${text}`);
+    rows.flat().forEach(value => {
+        const cell = document.createElement('span');
+        cell.textContent = formatResult(value);
+        grid.append(cell);
+    });
+    elements.result.replaceChildren(grid);
+    return true;
+}
+
 /**
  * Handle overflow in display
  */
@@ -519,10 +873,20 @@ function handleOverflow() {
 
 /**
  * Show error message with animation
- * @param {string} message - Error message
+ * @param {string|CalculatorError} error - Error message, or a parser error
+ *                                         whose position gets underlined
  */
-function showError(message) {
-    elements.result.textContent = message;
+function showError(error) {
+    // A preview still waiting to run would replace the message
+    cancelPreview();
+    elements.result.classList.remove('preview');
+
+    if (error instanceof CalculatorError) {
+        calculatorState.errorRange = { start: error.start, end: error.end };
+        renderExpression(calculatorState.expression, calculatorState.errorRange);
+    }
+
+    elements.result.textContent = typeof error === 'string' ? error : error.message;
     elements.result.classList.add('error-shake');
     
     // Remove animation class after it completes
@@ -540,61 +904,39 @@ function showError(message) {
 // ============================================
 
 /**
- * Save history to localStorage
+ * Check whether a history entry matches the search text
+ * @param {Object} item - History entry
+ * @param {string} query - Search text (case-insensitive)
+ * @returns {boolean} True if the expression, result or note contains the text
  */
-function saveHistory() {
-    try {
-        localStorage.setItem(CONFIG.historyStorageKey, JSON.stringify(calculatorState.history));
-    } catch (e) {
-        console.warn('Could not save history to localStorage:', e);
-    }
-}
+function matchesHistorySearch(item, query) {
+    if (!query) return true;
 
-/**
- * Load history from localStorage
- */
-function loadHistory() {
-    try {
-        const saved = localStorage.getItem(CONFIG.historyStorageKey);
-        if (saved) {
-            calculatorState.history = JSON.parse(saved);
-            // Limit history size after loading
-            if (calculatorState.history.length > CONFIG.maxHistoryItems) {
-                calculatorState.history = calculatorState.history.slice(0, CONFIG.maxHistoryItems);
-            }
-        }
-    } catch (e) {
-        console.warn('Could not load history from localStorage:', e);
-        calculatorState.history = [];
-    }
+    const haystack = [
+        item.expression,
+        formatExpression(item.expression),
+        String(item.result),
+        formatResult(String(item.result)),
+        item.note || ''
+    ].join('\n').toLowerCase();
+    return haystack.includes(query.toLowerCase());
 }
 
 /**
- * Add entry to history
- * @param {string} expression - The expression
- * @param {number} result - The result
+ * Format a history timestamp for display
+ * @param {number} timestamp - Milliseconds since 1970
+ * @returns {string} Short local date and time
  */
-function addToHistory(expression, result) {
-    const entry = {
-        expression: expression,
-        result: result,
-        timestamp: Date.now()
-    };
-    
-    calculatorState.history.unshift(entry);
-    
-    // Limit history size
-    if (calculatorState.history.length > CONFIG.maxHistoryItems) {
-        calculatorState.history.pop();
-    }
-    
-    // Save to localStorage
-    saveHistory();
-    
-    // Update history UI if enabled
-    if (CONFIG.enableHistory && elements.historyList) {
-        renderHistory();
-    }
+function formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) return '';
+
+    return date.toLocaleString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
 }
 
 /**
@@ -603,92 +945,2256 @@ function addToHistory(expression, result) {
 function renderHistory() {
     if (!elements.historyList) return;
     
-    elements.historyList.innerHTML = calculatorState.history
-        .map((item, index) => `
-            <li data-index="${index}">
-                ${formatExpression(item.expression)} = ${item.result}
-            </li>
-        `)
-        .join('');
-    
-    // Add click handlers to history items
-    elements.historyList.querySelectorAll('li').forEach(li => {
-        li.addEventListener('click', () => {
-            const index = parseInt(li.dataset.index);
-            const item = calculatorState.history[index];
-            calculatorState.expression = item.expression;
-            updateDisplay();
-        });
-    });
+    // Pinned entries first, newest first within each group
+    const visible = historyStore.entries
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => matchesHistorySearch(item, calculatorState.historyFilter))
+        .sort((a, b) => Number(Boolean(b.item.pinned)) - Number(Boolean(a.item.pinned)));
+    
+    elements.historyList.replaceChildren(...visible.map(({ item, index }) => createHistoryItem(item, index)));
+    
+    // The note editor takes the focus as soon as it appears
+    const noteInput = elements.historyList.querySelector('.history-note-input');
+    if (noteInput) {
+        noteInput.focus();
+    }
 }
 
 /**
- * Clear history
+ * Build the list item for one history entry. Everything that comes from
+ * the user (expression, result, note) is set as text, never as markup.
+ * @param {Object} item - History entry
+ * @param {number} index - Index in historyStore.entries
+ * @returns {HTMLLIElement} List item
  */
-function clearHistory() {
-    calculatorState.history = [];
+function createHistoryItem(item, index) {
+    const li = document.createElement('li');
+    li.dataset.index = index;
+    li.classList.toggle('pinned', Boolean(item.pinned));
     
-    // Clear from localStorage
-    saveHistory();
+    const entry = document.createElement('div');
+    entry.className = 'history-entry';
+    const calculation = document.createElement('span');
+    calculation.className = 'history-calculation';
+    calculation.textContent = `${formatExpression(item.expression)} = ${formatResult(String(item.result))}`;
+    const time = document.createElement('time');
+    time.className = 'history-time';
+    const date = new Date(item.timestamp);
+    time.dateTime = isNaN(date.getTime()) ? '' : date.toISOString();
+    time.textContent = formatTimestamp(item.timestamp);
+    entry.append(calculation, time);
+    li.append(entry);
     
-    if (elements.historyList) {
-        elements.historyList.innerHTML = '';
+    if (index === calculatorState.editingNoteIndex) {
+        const input = document.createElement('input');
+        input.className = 'history-note-input';
+        input.type = 'text';
+        input.maxLength = ENGINE_CONFIG.maxHistoryNoteLength;
+        input.value = item.note || '';
+        input.placeholder = 'Note or #tag';
+        input.setAttribute('aria-label', 'Note');
+        li.append(input);
+    } else if (item.note) {
+        const note = document.createElement('div');
+        note.className = 'history-note';
+        note.textContent = item.note;
+        li.append(note);
     }
+    
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    const createAction = (action, label, symbol) => {
+        const button = document.createElement('button');
+        button.className = 'btn-icon';
+        button.dataset.historyAction = action;
+        button.setAttribute('aria-label', label);
+        button.textContent = symbol;
+        return button;
+    };
+    const pin = createAction('pin', item.pinned ? 'Unpin entry' : 'Pin entry', item.pinned ? '★' : '☆');
+    pin.setAttribute('aria-pressed', item.pinned ? 'true' : 'false');
+    actions.append(pin, createAction('note', 'Edit note', '✎'), createAction('delete', 'Delete entry', '×'));
+    li.append(actions);
+    
+    return li;
 }
 
-// ============================================
-// MEMORY FUNCTIONS (Optional)
-// ============================================
-
 /**
- * Store current result in memory
+ * Handle clicks and note editing in the history list. One set of listeners
+ * on the list serves every entry, however often the list is rebuilt.
+ * @param {Event} event - click, keydown or focusout event
  */
-function memoryStore() {
-    const currentResult = parseFloat(calculatorState.result);
-    if (!isNaN(currentResult)) {
-        calculatorState.memory = currentResult;
-        if (elements.memoryIndicator) {
-            elements.memoryIndicator.classList.add('visible');
+function handleHistoryListEvent(event) {
+    const li = event.target.closest('li[data-index]');
+    if (!li) return;
+    const index = Number(li.dataset.index);
+    
+    // Note editor: Enter saves, Escape cancels, leaving the field saves
+    if (event.target.classList.contains('history-note-input')) {
+        if (event.type === 'keydown' && event.key === 'Enter') {
+            setHistoryNote(calculatorState.editingNoteIndex, event.target.value);
+        } else if (event.type === 'keydown' && event.key === 'Escape') {
+            calculatorState.editingNoteIndex = null;
+            renderHistory();
+        } else if (event.type === 'focusout' && calculatorState.editingNoteIndex !== null) {
+            setHistoryNote(calculatorState.editingNoteIndex, event.target.value);
         }
+        return;
     }
-}
-
+    if (event.type !== 'click') return;
+    
+    const actionButton = event.target.closest('[data-history-action]');
+    if (actionButton) {
+        handleHistoryAction(actionButton.dataset.historyAction, index);
+        return;
+    }
+    
+    const item = historyStore.entries[index];
+    if (item) {
+        calculatorState.expression = item.expression;
+        calculatorState.selection = null;
+        updateDisplay();
+        offerPlot(item.expression);
+    }
+}
+
+/**
+ * Run a pin/note/delete action on one history entry
+ * @param {string} action - 'pin', 'note' or 'delete'
+ * @param {number} index - Index in historyStore.entries
+ */
+function handleHistoryAction(action, index) {
+    switch (action) {
+        case 'pin':
+            historyStore.togglePin(index);
+            break;
+        case 'note':
+            if (historyStore.entries[index]) {
+                calculatorState.editingNoteIndex = index;
+                renderHistory();
+            }
+            break;
+        case 'delete':
+            calculatorState.editingNoteIndex = null;
+            historyStore.remove(index);
+            break;
+    }
+}
+
+/**
+ * Set or remove the note on a history entry
+ * @param {number} index - Index in historyStore.entries
+ * @param {string} note - Note text (empty removes it)
+ */
+function setHistoryNote(index, note) {
+    calculatorState.editingNoteIndex = null;
+    if (!historyStore.setNote(index, note)) {
+        renderHistory(); // Close the note editor anyway
+    }
+}
+
+/**
+ * Filter the history list as the user types in the search box
+ * @param {Event} event - Input event
+ */
+function handleHistorySearch(event) {
+    calculatorState.historyFilter = event.target.value.trim();
+    renderHistory();
+}
+
+/**
+ * Clear history (pinned entries are kept)
+ */
+function clearHistory() {
+    calculatorState.editingNoteIndex = null;
+    historyStore.clear();
+}
+
+// ============================================
+// HISTORY EXPORT & IMPORT
+// ============================================
+
+const HISTORY_CSV_COLUMNS = ['timestamp', 'date', 'expression', 'result', 'pinned', 'note'];
+
+/**
+ * Download the history as a CSV or JSON file
+ * @param {string} format - 'csv' or 'json'
+ */
+function exportHistory(format) {
+    const history = historyStore.entries;
+    
+    if (format === 'json') {
+        downloadFile('calculator-history.json', JSON.stringify(history, null, 2), 'application/json');
+        return;
+    }
+    
+    const rows = history.map(item => [
+        item.timestamp,
+        new Date(item.timestamp).toISOString(),
+        item.expression,
+        String(item.result),
+        item.pinned ? 'true' : 'false',
+        item.note || ''
+    ]);
+    downloadFile('calculator-history.csv', toCsv([HISTORY_CSV_COLUMNS, ...rows]), 'text/csv');
+}
+
+/**
+ * Import history entries from a CSV or JSON file's text.
+ * Entries whose timestamp is already in the history are skipped.
+ * @param {string} text - File contents
+ * @param {string} fileName - Used to tell CSV from JSON
+ * @returns {Object} { added, skipped } counts
+ */
+function importHistory(text, fileName) {
+    let records;
+    if (/\.json$/i.test(fileName) || text.trim().startsWith('[')) {
+        records = JSON.parse(text);
+        if (!Array.isArray(records)) {
+            throw new Error('Expected a list of history entries');
+        }
+    } else {
+        const [header, ...rows] = parseCsv(text);
+        if (!header || !header.includes('expression') || !header.includes('result') || !header.includes('timestamp')) {
+            throw new Error('CSV needs timestamp, expression and result columns');
+        }
+        records = rows.map(row => {
+            const record = {};
+            header.forEach((column, i) => { record[column] = fromCsvText(row[i]); });
+            return record;
+        });
+    }
+    
+    return historyStore.import(records);
+}
+
+/**
+ * Read the file chosen in the import field
+ * @param {Event} event - Change event from the file input
+ */
+function handleHistoryImport(event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    
+    file.text()
+        .then(text => {
+            const { added, skipped } = importHistory(text, file.name);
+            showHistoryStatus(`Imported ${added} entr${added === 1 ? 'y' : 'ies'}` +
+                (skipped ? `, skipped ${skipped} duplicate or invalid` : ''));
+        })
+        .catch(e => {
+            console.warn('Could not import history:', e);
+            showHistoryStatus('Import failed: ' + e.message);
+        })
+        .finally(() => {
+            // Allow importing the same file again
+            event.target.value = '';
+        });
+}
+
+/**
+ * Show a short message under the history header
+ * @param {string} message - Message text
+ */
+function showHistoryStatus(message) {
+    if (elements.historyStatus) {
+        elements.historyStatus.textContent = message;
+    }
+}
+
+/**
+ * Check whether an expression uses the name x, also when it is multiplied
+ * implicitly as in "2x+1"
+ * @param {string} expression - Expression
+ * @returns {boolean} True if x appears as a name
+ */
+function usesX(expression) {
+    try {
+        return parser.tokenize(expression).some(token => token.type === 'identifier' && token.value === 'x');
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * After restoring an entry that uses x, offer to plot it
+ * @param {string} expression - Restored expression
+ */
+function offerPlot(expression) {
+    if (!elements.historyStatus || !elements.graphPanel || !usesX(expression)) {
+        showHistoryStatus('');
+        return;
+    }
+
+    const button = document.createElement('button');
+    button.className = 'btn-small';
+    button.dataset.plot = expression;
+    button.textContent = 'Plot this';
+    elements.historyStatus.replaceChildren(`${expression} uses x. `, button);
+}
+
+// ============================================
+// FILE HELPERS
+// ============================================
+
+/**
+ * Let the user download some text as a file
+ * @param {string} fileName - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type
+ */
+function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Text cells a spreadsheet would run as a formula ("=1+2", "-5", "@SUM")
+ */
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Build CSV text, quoting fields that need it. Text that starts like a
+ * formula gets a leading ' so spreadsheets show it instead of running it;
+ * numbers are written as they are.
+ * @param {Array<Array<*>>} rows - Rows of values
+ * @returns {string} CSV text
+ */
+function toCsv(rows) {
+    return rows
+        .map(row => row.map(value => {
+            let text = String(value);
+            if (typeof value === 'string' && CSV_FORMULA_START.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(','))
+        .join('\r\n');
+}
+
+/**
+ * Undo the ' that toCsv() puts before formula-like text
+ * @param {string} text - CSV field
+ * @returns {string} Original text
+ */
+function fromCsvText(text) {
+    return typeof text === 'string' && text.startsWith("'") && CSV_FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Parse CSV text (supports quoted fields with commas, quotes and newlines)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields, blank lines skipped
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    
+    return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+
+// ============================================
+// VARIABLES
+// ============================================
+
+/**
+ * Save variables to localStorage
+ */
+function saveVariables() {
+    try {
+        // Values are stored as text so exact decimals keep all their digits
+        const serialized = {};
+        Object.keys(calculatorState.variables).forEach(name => {
+            serialized[name] = toStoredText(calculatorState.variables[name]);
+        });
+        localStorage.setItem(CONFIG.variablesStorageKey, JSON.stringify(serialized));
+    } catch (e) {
+        console.warn('Could not save variables to localStorage:', e);
+    }
+}
+
+/**
+ * Load variables from localStorage, skipping anything that is not a
+ * valid name with a value the engine can read back
+ */
+function loadVariables() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.variablesStorageKey) || '{}');
+        const variables = Object.create(null);
+        Object.keys(saved).forEach(name => {
+            if (isStoredVariable(name, saved[name])) {
+                variables[name] = saved[name];
+            }
+        });
+        calculatorState.variables = variables;
+    } catch (e) {
+        console.warn('Could not load variables from localStorage:', e);
+        calculatorState.variables = Object.create(null);
+    }
+}
+
+/**
+ * Check a variable read back from storage or a share link
+ * @param {string} name - Variable name
+ * @param {*} value - Stored value (see isStoredValue)
+ * @returns {boolean} True if the variable can be used
+ */
+function isStoredVariable(name, value) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !isReservedVariableName(name) && isStoredValue(value);
+}
+
+/**
+ * Literal forms a variable or memory register is saved in. Anything else,
+ * such as "1 + 2" or "max(1, 2)", is an expression and is not read back.
+ */
+const STORED_UNSIGNED = '(?:\\d+\\.?\\d*|\\.\\d+)(?:e[+-]?\\d+)?';
+const STORED_NUMBER = `-?${STORED_UNSIGNED}`;
+const STORED_ENTRY = `(?:-?\\d+/\\d+|${STORED_NUMBER})`;
+const STORED_ROW = `\\[\\s*${STORED_ENTRY}(?:\\s*,\\s*${STORED_ENTRY})*\\s*\\]`;
+const STORED_UNIT = '[\\p{L}°]+(?:\\^-?\\d+)?';
+const STORED_UNITS = `${STORED_UNIT}(?:·${STORED_UNIT})*`;
+const STORED_LITERALS = {
+    number: new RegExp(`^(?:${STORED_NUMBER}|-?\\d+/\\d+)$`),
+    complex: new RegExp(`^(?:${STORED_NUMBER} ?[+-] ?|-)?(?:${STORED_UNSIGNED})?i$`),
+    matrix: new RegExp(`^\\[\\s*${STORED_ROW}(?:\\s*,\\s*${STORED_ROW})*\\s*\\]$`),
+    quantity: new RegExp(`^${STORED_NUMBER} ${STORED_UNITS}(?:/(?:${STORED_UNIT}|\\(${STORED_UNITS}\\)))?$`, 'u')
+};
+
+/**
+ * Check text saved for a variable or memory register. It must be one of
+ * the literals above, such as "0.5", "7/2", "5.3 km", "3+4i" or
+ * "[[1, 2], [3, 4]]", that the engine also reads back.
+ * @param {*} value - Stored value
+ * @returns {boolean} True if the value can be used
+ */
+function isStoredValue(value) {
+    if (typeof value !== 'string') return false;
+    const text = value.trim();
+    const kind = Object.keys(STORED_LITERALS).find(name => STORED_LITERALS[name].test(text));
+    if (!kind) return false;
+
+    // Numbers must also read in exact decimal mode, which refuses literals
+    // such as 1e-99999999 that doubles quietly turn into 0. Saved complex
+    // numbers are read back even when complex numbers are off.
+    const result = evaluate(text, kind === 'number' ? { numericMode: 'decimal' } : { complex: 'rectangular' });
+    // "5 pi" has the shape of a quantity but is a plain number
+    return !result.error && (kind !== 'quantity' || hasUnits(result.value));
+}
+
+/**
+ * Text a variable or memory value is saved as. Complex numbers are saved
+ * in rectangular form, because the polar text on the display cannot be
+ * read back.
+ * @param {*} value - Value
+ * @returns {string} Text for storage
+ */
+function toStoredText(value) {
+    return value instanceof Complex ? value.toJSON() : String(value);
+}
+
+/**
+ * Store a variable and show it in the variables panel
+ * @param {string} name - Variable name
+ * @param {number|BigDecimal} value - Value
+ */
+function setVariable(name, value) {
+    calculatorState.variables[name] = value;
+    saveVariables();
+    renderVariables();
+}
+
+/**
+ * Delete a single variable
+ * @param {string} name - Variable name
+ */
+function deleteVariable(name) {
+    delete calculatorState.variables[name];
+    saveVariables();
+    renderVariables();
+}
+
+/**
+ * Delete all variables
+ */
+function clearVariables() {
+    calculatorState.variables = Object.create(null);
+    saveVariables();
+    renderVariables();
+}
+
+/**
+ * Render variables in the UI
+ */
+function renderVariables() {
+    if (!elements.variablesList) return;
+
+    const items = Object.keys(calculatorState.variables).sort().map(name => {
+        const li = document.createElement('li');
+
+        const insert = document.createElement('button');
+        insert.className = 'variable-name';
+        insert.dataset.name = name;
+        insert.textContent = name;
+        insert.setAttribute('aria-label', `Insert ${name}`);
+
+        const value = document.createElement('span');
+        value.className = 'variable-value';
+        value.textContent = ` = ${formatResult(String(calculatorState.variables[name]))}`;
+
+        const remove = document.createElement('button');
+        remove.className = 'btn-icon';
+        remove.dataset.deleteName = name;
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', `Delete ${name}`);
+
+        li.append(insert, value, remove);
+        return li;
+    });
+
+    elements.variablesList.replaceChildren(...items);
+}
+
+/**
+ * Handle clicks in the variables list: insert or delete a variable
+ * @param {Event} event - Click event
+ */
+function handleVariableListClick(event) {
+    const button = event.target.closest('button');
+    if (!button) return;
+
+    if (button.dataset.deleteName) {
+        deleteVariable(button.dataset.deleteName);
+    } else if (button.dataset.name) {
+        appendValue(button.dataset.name);
+    }
+}
+
+// ============================================
+// USER-DEFINED FUNCTIONS
+// ============================================
+
+/**
+ * Save user functions to localStorage
+ */
+function saveUserFunctions() {
+    try {
+        localStorage.setItem(CONFIG.functionsStorageKey, JSON.stringify(calculatorState.userFunctions));
+    } catch (e) {
+        console.warn('Could not save functions to localStorage:', e);
+    }
+}
+
+/**
+ * Load user functions from localStorage, skipping definitions that are
+ * malformed or no longer parse
+ */
+function loadUserFunctions() {
+    const isName = name => typeof name === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(name);
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.functionsStorageKey) || '{}');
+        const functions = Object.create(null);
+        Object.keys(saved).forEach(name => {
+            const definition = saved[name];
+            if (!isName(name) || isReservedName(name) || !definition ||
+                !Array.isArray(definition.params) || !definition.params.every(isName) ||
+                typeof definition.body !== 'string') {
+                return;
+            }
+            try {
+                parser.parse(definition.body);
+            } catch (e) {
+                return;
+            }
+            functions[name] = { params: definition.params.slice(), body: definition.body };
+        });
+        calculatorState.userFunctions = functions;
+    } catch (e) {
+        console.warn('Could not load functions from localStorage:', e);
+        calculatorState.userFunctions = Object.create(null);
+    }
+}
+
+/**
+ * Store a function definition and show it in the functions panel
+ * @param {Object} definition - { name, params, body }
+ */
+function setUserFunction(definition) {
+    calculatorState.userFunctions[definition.name] = {
+        params: definition.params,
+        body: definition.body
+    };
+    saveUserFunctions();
+    renderUserFunctions();
+}
+
+/**
+ * Delete a single user function
+ * @param {string} name - Function name
+ */
+function deleteUserFunction(name) {
+    delete calculatorState.userFunctions[name];
+    saveUserFunctions();
+    renderUserFunctions();
+}
+
+/**
+ * Put a function's definition back into the expression so it can be changed
+ * @param {string} name - Function name
+ */
+function editUserFunction(name) {
+    const definition = calculatorState.userFunctions[name];
+    if (!definition) return;
+
+    calculatorState.expression = `${name}(${definition.params.join(',')})=${definition.body}`;
+    calculatorState.selection = null;
+    calculatorState.errorRange = null;
+    updateDisplay();
+}
+
+/**
+ * Render user functions in the UI
+ */
+function renderUserFunctions() {
+    if (!elements.functionsList) return;
+
+    const items = Object.keys(calculatorState.userFunctions).sort().map(name => {
+        const definition = calculatorState.userFunctions[name];
+        const li = document.createElement('li');
+
+        const insert = document.createElement('button');
+        insert.className = 'variable-name';
+        insert.dataset.name = name;
+        insert.textContent = name;
+        insert.setAttribute('aria-label', `Insert ${name}`);
+
+        const signature = document.createElement('span');
+        signature.className = 'variable-value';
+        signature.textContent = `(${definition.params.join(', ')}) = ${formatExpression(definition.body)}`;
+
+        const edit = document.createElement('button');
+        edit.className = 'btn-icon';
+        edit.dataset.editName = name;
+        edit.textContent = '✎';
+        edit.setAttribute('aria-label', `Edit ${name}`);
+
+        const remove = document.createElement('button');
+        remove.className = 'btn-icon';
+        remove.dataset.deleteName = name;
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', `Delete ${name}`);
+
+        li.append(insert, signature, edit, remove);
+        return li;
+    });
+
+    elements.functionsList.replaceChildren(...items);
+}
+
+/**
+ * Handle clicks in the functions list: insert, edit or delete a function
+ * @param {Event} event - Click event
+ */
+function handleFunctionListClick(event) {
+    const button = event.target.closest('button');
+    if (!button) return;
+
+    if (button.dataset.deleteName) {
+        deleteUserFunction(button.dataset.deleteName);
+    } else if (button.dataset.editName) {
+        editUserFunction(button.dataset.editName);
+    } else if (button.dataset.name) {
+        appendValue(`${button.dataset.name}(`);
+    }
+}
+
+// ============================================
+// MEMORY REGISTERS
+// ============================================
+
+/**
+ * Save memory registers to localStorage
+ */
+function saveMemory() {
+    try {
+        // Values are stored as text so exact decimals keep all their digits
+        const registers = {};
+        Object.keys(calculatorState.memory).forEach(slot => {
+            registers[slot] = toStoredText(calculatorState.memory[slot]);
+        });
+        localStorage.setItem(CONFIG.memoryStorageKey, JSON.stringify({
+            active: calculatorState.activeMemorySlot,
+            registers: registers
+        }));
+    } catch (e) {
+        console.warn('Could not save memory to localStorage:', e);
+    }
+}
+
+/**
+ * Load memory registers from localStorage, skipping invalid entries
+ */
+function loadMemory() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.memoryStorageKey) || '{}');
+        const memory = Object.create(null);
+        Object.keys(saved.registers || {}).forEach(slot => {
+            const value = saved.registers[slot];
+            if (isValidMemorySlot(Number(slot)) && isStoredValue(value)) {
+                memory[slot] = value;
+            }
+        });
+        calculatorState.memory = memory;
+        if (isValidMemorySlot(saved.active)) {
+            calculatorState.activeMemorySlot = saved.active;
+        }
+    } catch (e) {
+        console.warn('Could not load memory from localStorage:', e);
+        calculatorState.memory = Object.create(null);
+    }
+}
+
+/**
+ * Check a memory slot number
+ * @param {*} slot - Candidate slot
+ * @returns {boolean} True for 1 to CONFIG.memorySlots
+ */
+function isValidMemorySlot(slot) {
+    return Number.isInteger(slot) && slot >= 1 && slot <= CONFIG.memorySlots;
+}
+
+/**
+ * The value memory keys work with: the expression being typed, if any,
+ * otherwise the last result
+ * @returns {*} Value, or null if there is nothing to use
+ */
+function getCurrentValue() {
+    if (calculatorState.expression.trim()) {
+        const result = evaluate(calculatorState.expression, getEvaluationOptions());
+        if (result.error) {
+            showError(result.error);
+            return null;
+        }
+        return result.value !== undefined ? result.value : null;
+    }
+    return calculatorState.lastResult;
+}
+
+/**
+ * Add a value to the active register in the current numeric mode
+ * @param {*} value - Value to add
+ * @param {number} sign - 1 to add, -1 to subtract
+ */
+function addToMemory(value, sign) {
+    const slot = calculatorState.activeMemorySlot;
+    const stored = calculatorState.memory[slot];
+    if ([value, stored].some(item => hasUnits(item) || isComplex(item) || isMatrix(item))) {
+        showError('M+ and M− only work with plain numbers');
+        return;
+    }
+
+    const backend = createBackend(getEvaluationOptions());
+    try {
+        const current = slot in calculatorState.memory ? backend.coerce(stored) : backend.fromNumber(0);
+        const amount = backend.coerce(value);
+        calculatorState.memory[slot] = backend.finalize(
+            sign > 0 ? backend.add(current, amount) : backend.subtract(current, amount)
+        );
+    } catch (error) {
+        // Overflow and the like, reported the way "=" reports them
+        if (!(error instanceof CalculatorError)) throw error;
+        showError(error);
+        return;
+    }
+    saveMemory();
+    renderMemory();
+}
+
+/**
+ * Store current value in the active register
+ */
+function memoryStore() {
+    const value = getCurrentValue();
+    if (value === null) return;
+
+    calculatorState.memory[calculatorState.activeMemorySlot] = value;
+    saveMemory();
+    renderMemory();
+}
+
+/**
+ * Recall the active register into the expression
+ */
+function memoryRecall() {
+    const slot = calculatorState.activeMemorySlot;
+    // An empty register is different from one holding 0
+    if (!(slot in calculatorState.memory)) return;
+
+    // The stored text, since a polar complex display such as "2 ∠ 1.57" cannot be typed back
+    const text = toStoredText(calculatorState.memory[slot]);
+    appendValue(text.startsWith('-') ? `(${text})` : text);
+}
+
+/**
+ * Clear the active register
+ */
+function memoryClear() {
+    delete calculatorState.memory[calculatorState.activeMemorySlot];
+    saveMemory();
+    renderMemory();
+}
+
+/**
+ * Add current value to the active register
+ */
+function memoryAdd() {
+    const value = getCurrentValue();
+    if (value !== null) {
+        addToMemory(value, 1);
+    }
+}
+
+/**
+ * Subtract current value from the active register
+ */
+function memorySubtract() {
+    const value = getCurrentValue();
+    if (value !== null) {
+        addToMemory(value, -1);
+    }
+}
+
+/**
+ * Choose which register the memory keys use
+ * @param {number} slot - Register number (1-9)
+ */
+function selectMemorySlot(slot) {
+    if (!isValidMemorySlot(slot)) return;
+
+    calculatorState.activeMemorySlot = slot;
+    saveMemory();
+    renderMemory();
+}
+
+/**
+ * Show which registers hold values and which one is active
+ */
+function renderMemory() {
+    if (!elements.memoryIndicators) return;
+
+    const badges = [];
+    for (let slot = 1; slot <= CONFIG.memorySlots; slot++) {
+        const filled = slot in calculatorState.memory;
+        const badge = document.createElement('button');
+        badge.className = 'memory-badge';
+        badge.classList.toggle('filled', filled);
+        badge.classList.toggle('active', slot === calculatorState.activeMemorySlot);
+        badge.dataset.action = 'select-memory-slot';
+        badge.dataset.slot = slot;
+        badge.textContent = `M${slot}`;
+        badge.setAttribute('aria-pressed', slot === calculatorState.activeMemorySlot ? 'true' : 'false');
+        badge.setAttribute('aria-label', filled
+            ? `Memory ${slot}: ${formatResult(String(calculatorState.memory[slot]))}`
+            : `Memory ${slot}: empty`);
+        if (filled) {
+            badge.title = formatResult(String(calculatorState.memory[slot]));
+        }
+        badges.push(badge);
+    }
+    elements.memoryIndicators.replaceChildren(...badges);
+}
+
+// ============================================
+// ANGLE MODE
+// ============================================
+
+const ANGLE_MODE_ORDER = ['DEG', 'RAD', 'GRAD'];
+
+/**
+ * Switch to the next angle unit (DEG -> RAD -> GRAD -> DEG)
+ */
+function toggleAngleMode() {
+    const index = ANGLE_MODE_ORDER.indexOf(settingsStore.get('angleMode'));
+    settingsStore.set('angleMode', ANGLE_MODE_ORDER[(index + 1) % ANGLE_MODE_ORDER.length]);
+
+    if (CONFIG.enableSound) {
+        playSound('click');
+    }
+}
+
+/**
+ * Show the current angle unit next to the display
+ */
+function renderAngleMode() {
+    if (!elements.angleModeIndicator) return;
+
+    const angleMode = settingsStore.get('angleMode');
+    elements.angleModeIndicator.textContent = angleMode;
+    elements.angleModeIndicator.setAttribute('aria-label', `Angle mode: ${angleMode}. Click to change`);
+
+    if (settingsStore.get('mode') === 'worksheet') {
+        renderWorksheetResults();
+    }
+}
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * Load the saved settings. Older versions kept the angle unit under its
+ * own key: it is moved into the settings the first time.
+ */
+function loadSettings() {
+    settingsStore.load();
+
+    try {
+        const angleMode = localStorage.getItem(CONFIG.angleModeStorageKey);
+        if (angleMode !== null) {
+            settingsStore.set('angleMode', angleMode);
+            localStorage.removeItem(CONFIG.angleModeStorageKey);
+        }
+    } catch (e) {
+        console.warn('Could not load angle mode from localStorage:', e);
+    }
+}
+
+/**
+ * Step to the next arithmetic mode (float -> decimal -> fraction -> float)
+ */
+function cycleNumericMode() {
+    const index = NUMERIC_MODES.indexOf(settingsStore.get('numericMode'));
+    settingsStore.set('numericMode', NUMERIC_MODES[(index + 1) % NUMERIC_MODES.length]);
+}
+
+/**
+ * Set the number of decimal places used in exact decimal mode
+ * @param {number} places - Decimal places
+ */
+function setPrecision(places) {
+    if (!settingsStore.set('precision', places)) {
+        renderSettings(); // Put the last valid value back into the input
+    }
+}
+
+/**
+ * Show the current settings in the settings panel and status row
+ */
+function renderSettings() {
+    const { numericMode, precision, fractionFormat, complexFormat, mode, wordSize, signed } = settingsStore.toJSON();
+    const isDecimal = numericMode === 'decimal';
+    const isFraction = numericMode === 'fraction';
+
+    if (elements.numericModeIndicator) {
+        if (mode === 'programmer') {
+            const word = `${signed ? 'INT' : 'UINT'}${wordSize}`;
+            elements.numericModeIndicator.textContent = word;
+            elements.numericModeIndicator.setAttribute('aria-label', `Word size: ${word}. Click to change`);
+        } else {
+            const isComplex = complexFormat !== 'off';
+            const label = isDecimal ? `EXACT ${precision}` : isFraction ? 'FRAC' : 'FLOAT';
+            elements.numericModeIndicator.textContent = label + (isComplex ? ' ℂ' : '');
+            elements.numericModeIndicator.setAttribute('aria-label',
+                `Arithmetic: ${isDecimal ? 'exact decimal' : isFraction ? 'exact fractions' : 'floating point'}` +
+                `${isComplex ? `, complex numbers in ${complexFormat} form` : ''}. Click to change`);
+        }
+    }
+    if (elements.numericModeSelect) {
+        elements.numericModeSelect.value = numericMode;
+    }
+    if (elements.precisionInput) {
+        elements.precisionInput.value = precision;
+        elements.precisionInput.disabled = !isDecimal;
+    }
+    if (elements.wordSizeSelect) {
+        elements.wordSizeSelect.value = String(wordSize);
+    }
+    if (elements.signednessSelect) {
+        elements.signednessSelect.value = signed ? 'signed' : 'unsigned';
+    }
+    if (elements.fractionFormatSelect) {
+        elements.fractionFormatSelect.value = fractionFormat;
+    }
+    if (elements.complexFormatSelect) {
+        elements.complexFormatSelect.value = complexFormat;
+    }
+
+    // Worksheet results depend on the arithmetic settings
+    if (mode === 'worksheet') {
+        renderWorksheetResults();
+    }
+}
+
+/**
+ * Handle changes to settings controls (elements with data-setting)
+ * @param {Event} event - Change event
+ */
+function handleSettingChange(event) {
+    const setting = event.target.dataset && event.target.dataset.setting;
+
+    switch (setting) {
+        case 'numericMode':
+        case 'fractionFormat':
+        case 'complexFormat':
+            settingsStore.set(setting, event.target.value);
+            break;
+        case 'precision':
+            setPrecision(Number(event.target.value));
+            break;
+        case 'wordSize':
+            settingsStore.set(setting, Number(event.target.value));
+            break;
+        case 'signed':
+            settingsStore.set(setting, event.target.value === 'signed');
+            break;
+    }
+}
+
+/**
+ * Bring the page up to date after a setting changes, whatever changed it
+ * @param {Object} change - { name, value } from the settings store
+ */
+function handleSettingsChange(change) {
+    switch (change.name) {
+        case 'angleMode':
+            renderAngleMode();
+            break;
+        case 'mode':
+            calculatorState.errorRange = null;
+            renderMode();
+            renderSettings();
+            updateDisplay();
+            break;
+        case 'wordSize':
+        case 'signed':
+            renderSettings();
+            updateDisplay();
+            break;
+        case 'fractionFormat':
+            // Only the display changes: the current result, history and memory keep their exact values
+            renderSettings();
+            updateDisplay();
+            renderMemory();
+            if (CONFIG.enableHistory && elements.historyList) {
+                renderHistory();
+            }
+            break;
+        default:
+            renderSettings();
+    }
+}
+
+// ============================================
+// CALCULATOR MODES
+// ============================================
+
+/**
+ * Show the keypad and displays of the active mode
+ */
+function renderMode() {
+    const mode = settingsStore.get('mode');
+    const isProgrammer = mode === 'programmer';
+    const isWorksheet = mode === 'worksheet';
+
+    elements.modeTabs.forEach(tab => {
+        tab.setAttribute('aria-selected', tab.dataset.mode === mode ? 'true' : 'false');
+    });
+    // The worksheet is typed, so it replaces the keypads
+    if (elements.standardKeypad) {
+        elements.standardKeypad.hidden = isProgrammer || isWorksheet;
+    }
+    if (elements.programmerKeypad) {
+        elements.programmerKeypad.hidden = !isProgrammer;
+    }
+    if (elements.scientificSection) {
+        elements.scientificSection.hidden = isProgrammer || isWorksheet;
+    }
+    if (elements.radixDisplay) {
+        elements.radixDisplay.hidden = !isProgrammer;
+    }
+    if (elements.statisticsPanel) {
+        elements.statisticsPanel.hidden = mode !== 'statistics';
+    }
+    if (elements.worksheetPanel) {
+        elements.worksheetPanel.hidden = !isWorksheet;
+        if (isWorksheet) {
+            renderWorksheetResults();
+        }
+    }
+}
+
+/**
+ * Step to the next word size (8 -> 16 -> 32 -> 64 -> 8)
+ */
+function cycleWordSize() {
+    const index = WORD_SIZES.indexOf(settingsStore.get('wordSize'));
+    settingsStore.set('wordSize', WORD_SIZES[(index + 1) % WORD_SIZES.length]);
+}
+
+/**
+ * Write a word in another base. Negative words are shown as their
+ * two's complement bit pattern.
+ * @param {bigint} value - Word
+ * @param {number} radix - 2, 8, 10 or 16
+ * @param {number} bits - Word size
+ * @returns {string} Digits (binary is grouped in fours)
+ */
+function formatRadix(value, radix, bits) {
+    if (radix === 10) return value.toString();
+
+    const pattern = value & ((1n << BigInt(bits)) - 1n);
+    const digits = pattern.toString(radix).toUpperCase();
+    if (radix !== 2) return digits;
+
+    const padded = digits.padStart(Math.ceil(digits.length / 4) * 4, '0');
+    return padded.match(/.{4}/g).join(' ');
+}
+
+/**
+ * Show the last result in hexadecimal, decimal, octal and binary
+ */
+function renderRadixDisplay() {
+    if (!elements.radixDisplay || settingsStore.get('mode') !== 'programmer') return;
+
+    let value = 0n;
+    if (calculatorState.lastResult !== null && !hasUnits(calculatorState.lastResult)) {
+        try {
+            value = createBackend(getEvaluationOptions()).coerce(calculatorState.lastResult);
+        } catch (e) {
+            value = 0n;  // A result that is not a number, such as "Infinity"
+        }
+    }
+
+    const rows = [['HEX', 16], ['DEC', 10], ['OCT', 8], ['BIN', 2]].map(([label, radix]) => {
+        const row = document.createElement('div');
+        const name = document.createElement('dt');
+        const digits = document.createElement('dd');
+        name.textContent = label;
+        digits.textContent = formatRadix(value, radix, settingsStore.get('wordSize'));
+        row.append(name, digits);
+        return row;
+    });
+    elements.radixDisplay.replaceChildren(...rows);
+}
+
+// ============================================
+// GRAPH
+// ============================================
+
+/**
+ * Line colours for plotted functions, used in order
+ */
+const GRAPH_COLORS = ['#00d9ff', '#ff6b6b', '#ffd166', '#06d6a0', '#c77dff', '#f78c6b'];
+
+const DEFAULT_GRAPH_VIEW = { xMin: -10, xMax: 10, yMin: -10, yMax: 10 };
+
+/**
+ * Settings used to compile plotted and solved expressions (always doubles)
+ * @returns {Object} Options for parser.compile()
+ */
+function getGraphOptions() {
+    return { ...getEvaluationOptions(), numericMode: 'float' };
+}
+
+/**
+ * Plot an expression in x
+ * @param {string} expression - Expression such as "sin(x)*x^2"
+ * @returns {boolean} True if the expression was added
+ */
+function addGraphFunction(expression) {
+    const text = expression.trim();
+    if (!text) return false;
+
+    const functions = calculatorState.graphFunctions;
+    if (functions.some(item => item.expression === text)) {
+        showGraphMessage(`${text} is already plotted`);
+        return false;
+    }
+    if (functions.length >= CONFIG.maxGraphFunctions) {
+        showGraphMessage(`Up to ${CONFIG.maxGraphFunctions} functions can be plotted`);
+        return false;
+    }
+
+    const compiled = parser.compile(text, 'x', getGraphOptions());
+    if (compiled.error) {
+        showGraphMessage(compiled.error.message);
+        return false;
+    }
+
+    const used = new Set(functions.map(item => item.color));
+    const color = GRAPH_COLORS.find(candidate => !used.has(candidate)) || GRAPH_COLORS[functions.length % GRAPH_COLORS.length];
+    functions.push({ expression: text, color });
+
+    autoScaleGraph();
+    renderGraphList();
+    renderGraph();
+    showGraphMessage('');
+    return true;
+}
+
+/**
+ * Stop plotting a function
+ * @param {number} index - Index in calculatorState.graphFunctions
+ */
+function removeGraphFunction(index) {
+    calculatorState.graphFunctions.splice(index, 1);
+    renderGraphList();
+    renderGraph();
+}
+
+/**
+ * Open the graph panel and plot an expression (used by "Plot this")
+ * @param {string} expression - Expression in x
+ */
+function plotExpression(expression) {
+    if (elements.graphPanel) {
+        elements.graphPanel.open = true;
+        elements.graphPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+    addGraphFunction(expression);
+}
+
+/**
+ * Compile the plotted expressions with the current settings, so a change
+ * of angle mode or of a user function shows up on the next draw
+ * @returns {Array<Object>} { expression, color, fn } for each valid function
+ */
+function compileGraphFunctions() {
+    const options = getGraphOptions();
+    return calculatorState.graphFunctions
+        .map(item => ({ ...item, fn: parser.compile(item.expression, 'x', options).fn }))
+        .filter(item => item.fn);
+}
+
+/**
+ * Fit the y range to the plotted functions over the current x range.
+ * The extreme 2% of values on each side are ignored so that asymptotes
+ * (tan, 1/x) do not flatten the rest of the curve.
+ */
+function autoScaleGraph() {
+    const view = calculatorState.graphView;
+    const values = [];
+    const samples = 200;
+
+    compileGraphFunctions().forEach(({ fn }) => {
+        for (let i = 0; i <= samples; i++) {
+            const y = fn(view.xMin + (view.xMax - view.xMin) * i / samples);
+            if (Number.isFinite(y)) values.push(y);
+        }
+    });
+    if (values.length === 0) return;
+
+    values.sort((a, b) => a - b);
+    let low = values[Math.floor(values.length * 0.02)];
+    let high = values[Math.ceil(values.length * 0.98) - 1];
+    if (high - low < 1e-9) {
+        low -= 1;
+        high += 1;
+    }
+    const padding = (high - low) * 0.1;
+    view.yMin = low - padding;
+    view.yMax = high + padding;
+}
+
+/**
+ * Go back to the default x range and rescale y
+ */
+function resetGraphView() {
+    calculatorState.graphView = { ...DEFAULT_GRAPH_VIEW };
+    autoScaleGraph();
+    renderGraph();
+}
+
+/**
+ * Zoom around a point
+ * @param {number} factor - Above 1 zooms out, below 1 zooms in
+ * @param {number} [centerX] - Point that stays in place (defaults to the middle)
+ * @param {number} [centerY]
+ */
+function zoomGraph(factor, centerX, centerY) {
+    const view = calculatorState.graphView;
+    const cx = centerX === undefined ? (view.xMin + view.xMax) / 2 : centerX;
+    const cy = centerY === undefined ? (view.yMin + view.yMax) / 2 : centerY;
+
+    // Stop before the numbers stop being distinguishable
+    const width = (view.xMax - view.xMin) * factor;
+    if (width < 1e-9 || width > 1e9) return;
+
+    calculatorState.graphView = {
+        xMin: cx - (cx - view.xMin) * factor,
+        xMax: cx + (view.xMax - cx) * factor,
+        yMin: cy - (cy - view.yMin) * factor,
+        yMax: cy + (view.yMax - cy) * factor
+    };
+    renderGraph();
+}
+
+/**
+ * Distance between grid lines: 1, 2 or 5 times a power of ten
+ * @param {number} range - Width of the visible range
+ * @returns {number} Step giving roughly 8 lines
+ */
+function niceGraphStep(range) {
+    const raw = range / 8;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const normalized = raw / magnitude;
+    const nice = normalized < 1.5 ? 1 : normalized < 3 ? 2 : normalized < 7 ? 5 : 10;
+    return nice * magnitude;
+}
+
+/**
+ * Short label for a graph number (axis ticks and the trace readout)
+ * @param {number} value - Number
+ * @returns {string} Label
+ */
+function formatGraphNumber(value) {
+    if (Math.abs(value) < 1e-12) return '0';
+    return String(Number(value.toPrecision(6)));
+}
+
+/**
+ * Check whether the line between two samples would cross a jump,
+ * such as tan(x) at 90°. The midpoint of a continuous piece lies
+ * between its ends; at a pole it does not.
+ * @param {Function} fn - Plotted function
+ * @param {Object} a - Previous sample { x, y }
+ * @param {Object} b - Current sample { x, y }
+ * @param {number} span - Height of the visible y range
+ * @returns {boolean} True if the samples should not be joined
+ */
+function isGraphJump(fn, a, b, span) {
+    if (Math.abs(b.y - a.y) < span) return false;
+    const middle = fn((a.x + b.x) / 2);
+    return !Number.isFinite(middle) || middle < Math.min(a.y, b.y) || middle > Math.max(a.y, b.y);
+}
+
+/**
+ * Draw the grid, axes, functions and trace cursor
+ */
+function renderGraph() {
+    const canvas = elements.graphCanvas;
+    if (!canvas || (elements.graphPanel && !elements.graphPanel.open)) return;
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx) return;
+
+    // Match the drawing buffer to the displayed size so lines stay sharp
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || canvas.width;
+    const height = canvas.clientHeight || canvas.height;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    const view = calculatorState.graphView;
+    const toScreenX = x => (x - view.xMin) / (view.xMax - view.xMin) * width;
+    const toScreenY = y => height - (y - view.yMin) / (view.yMax - view.yMin) * height;
+    const styles = getComputedStyle(canvas);
+    const gridColor = styles.getPropertyValue('--border-color').trim() || '#444';
+    const textColor = styles.getPropertyValue('--text-secondary').trim() || '#aaa';
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.lineWidth = 1;
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = textColor;
+
+    // Grid lines with labels
+    const xStep = niceGraphStep(view.xMax - view.xMin);
+    const yStep = niceGraphStep(view.yMax - view.yMin);
+    ctx.strokeStyle = gridColor;
+    ctx.globalAlpha = 0.5;
+    ctx.beginPath();
+    for (let x = Math.ceil(view.xMin / xStep) * xStep; x <= view.xMax; x += xStep) {
+        ctx.moveTo(toScreenX(x), 0);
+        ctx.lineTo(toScreenX(x), height);
+    }
+    for (let y = Math.ceil(view.yMin / yStep) * yStep; y <= view.yMax; y += yStep) {
+        ctx.moveTo(0, toScreenY(y));
+        ctx.lineTo(width, toScreenY(y));
+    }
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+
+    // Axes, or the nearest edge when an axis is off screen
+    const axisX = Math.min(Math.max(toScreenX(0), 0), width - 1);
+    const axisY = Math.min(Math.max(toScreenY(0), 0), height - 1);
+    ctx.strokeStyle = textColor;
+    ctx.beginPath();
+    ctx.moveTo(axisX, 0);
+    ctx.lineTo(axisX, height);
+    ctx.moveTo(0, axisY);
+    ctx.lineTo(width, axisY);
+    ctx.stroke();
+
+    for (let x = Math.ceil(view.xMin / xStep) * xStep; x <= view.xMax; x += xStep) {
+        if (Math.abs(x) > xStep / 2) {
+            ctx.fillText(formatGraphNumber(x), toScreenX(x) + 2, Math.min(axisY + 12, height - 2));
+        }
+    }
+    for (let y = Math.ceil(view.yMin / yStep) * yStep; y <= view.yMax; y += yStep) {
+        if (Math.abs(y) > yStep / 2) {
+            ctx.fillText(formatGraphNumber(y), Math.min(axisX + 3, width - 30), toScreenY(y) - 2);
+        }
+    }
+
+    // Curves: one sample per pixel, with gaps where the function is undefined
+    const functions = compileGraphFunctions();
+    const span = view.yMax - view.yMin;
+    ctx.lineWidth = 2;
+    functions.forEach(({ fn, color }) => {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        let previous = null;
+        for (let px = 0; px <= width; px++) {
+            const x = view.xMin + (view.xMax - view.xMin) * px / width;
+            const y = fn(x);
+            if (!Number.isFinite(y)) {
+                previous = null;
+                continue;
+            }
+            if (previous && isGraphJump(fn, previous, { x, y }, span)) {
+                previous = null;
+            }
+            // Keep far off-screen points near the canvas; huge coordinates draw badly
+            const screenY = Math.min(Math.max(toScreenY(y), -height), 2 * height);
+            if (previous) {
+                ctx.lineTo(px, screenY);
+            } else {
+                ctx.moveTo(px, screenY);
+            }
+            previous = { x, y };
+        }
+        ctx.stroke();
+    });
+
+    renderGraphTrace(ctx, functions, toScreenX, toScreenY, height);
+}
+
+/**
+ * Draw the trace cursor and show the (x, y) values under it
+ * @param {CanvasRenderingContext2D} ctx - Drawing context
+ * @param {Array<Object>} functions - Compiled functions
+ * @param {Function} toScreenX - Graph x to canvas x
+ * @param {Function} toScreenY - Graph y to canvas y
+ * @param {number} height - Canvas height
+ */
+function renderGraphTrace(ctx, functions, toScreenX, toScreenY, height) {
+    const x = calculatorState.graphTrace;
+    if (x === null || functions.length === 0) return;
+
+    const screenX = toScreenX(x);
+    ctx.strokeStyle = getComputedStyle(elements.graphCanvas).getPropertyValue('--text-secondary').trim() || '#aaa';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(screenX, 0);
+    ctx.lineTo(screenX, height);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const readings = functions.map(({ expression, fn, color }) => {
+        const y = fn(x);
+        if (Number.isFinite(y)) {
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(screenX, toScreenY(y), 4, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+        return `${expression}: (${formatGraphNumber(x)}, ${Number.isFinite(y) ? formatGraphNumber(y) : 'undefined'})`;
+    });
+    showGraphMessage(readings.join('   '));
+}
+
+/**
+ * Show the list of plotted functions with their colours
+ */
+function renderGraphList() {
+    if (!elements.graphList) return;
+
+    const items = calculatorState.graphFunctions.map((item, index) => {
+        const li = document.createElement('li');
+
+        const swatch = document.createElement('span');
+        swatch.className = 'graph-swatch';
+        swatch.style.background = item.color;
+
+        const label = document.createElement('span');
+        label.className = 'variable-value';
+        label.textContent = `y = ${formatExpression(item.expression)}`;
+
+        const remove = document.createElement('button');
+        remove.className = 'btn-icon';
+        remove.dataset.removeGraph = index;
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', `Stop plotting ${item.expression}`);
+
+        li.append(swatch, label, remove);
+        return li;
+    });
+
+    elements.graphList.replaceChildren(...items);
+}
+
 /**
- * Recall memory value
+ * Show a message or trace readout under the graph
+ * @param {string} message - Text
  */
-function memoryRecall() {
-    if (calculatorState.memory !== 0) {
-        appendValue(calculatorState.memory.toString());
+function showGraphMessage(message) {
+    if (elements.graphReadout) {
+        elements.graphReadout.textContent = message;
     }
 }
 
 /**
- * Clear memory
+ * Convert a pointer position to graph coordinates
+ * @param {PointerEvent|WheelEvent} event - Event on the canvas
+ * @returns {Object} { x, y } in graph units
  */
-function memoryClear() {
-    calculatorState.memory = 0;
-    if (elements.memoryIndicator) {
-        elements.memoryIndicator.classList.remove('visible');
+function graphPointFromEvent(event) {
+    const rect = elements.graphCanvas.getBoundingClientRect();
+    const view = calculatorState.graphView;
+    return {
+        x: view.xMin + (event.clientX - rect.left) / rect.width * (view.xMax - view.xMin),
+        y: view.yMax - (event.clientY - rect.top) / rect.height * (view.yMax - view.yMin)
+    };
+}
+
+/**
+ * Start dragging the graph
+ * @param {PointerEvent} event - Pointer event
+ */
+function handleGraphPointerDown(event) {
+    calculatorState.graphDrag = { x: event.clientX, y: event.clientY, view: { ...calculatorState.graphView } };
+    elements.graphCanvas.setPointerCapture(event.pointerId);
+}
+
+/**
+ * Pan while dragging, otherwise move the trace cursor
+ * @param {PointerEvent} event - Pointer event
+ */
+function handleGraphPointerMove(event) {
+    const drag = calculatorState.graphDrag;
+    if (drag) {
+        const rect = elements.graphCanvas.getBoundingClientRect();
+        const dx = (event.clientX - drag.x) / rect.width * (drag.view.xMax - drag.view.xMin);
+        const dy = (event.clientY - drag.y) / rect.height * (drag.view.yMax - drag.view.yMin);
+        calculatorState.graphView = {
+            xMin: drag.view.xMin - dx,
+            xMax: drag.view.xMax - dx,
+            yMin: drag.view.yMin + dy,
+            yMax: drag.view.yMax + dy
+        };
+    }
+    calculatorState.graphTrace = graphPointFromEvent(event).x;
+    renderGraph();
+}
+
+/**
+ * Stop dragging the graph
+ */
+function handleGraphPointerUp() {
+    calculatorState.graphDrag = null;
+}
+
+/**
+ * Hide the trace cursor when the pointer leaves the graph
+ */
+function handleGraphPointerLeave() {
+    calculatorState.graphDrag = null;
+    calculatorState.graphTrace = null;
+    showGraphMessage('');
+    renderGraph();
+}
+
+/**
+ * Zoom with the mouse wheel around the pointer
+ * @param {WheelEvent} event - Wheel event
+ */
+function handleGraphWheel(event) {
+    event.preventDefault();
+    const point = graphPointFromEvent(event);
+    zoomGraph(event.deltaY > 0 ? 1.2 : 1 / 1.2, point.x, point.y);
+}
+
+/**
+ * Handle the graph form, buttons and function list
+ * @param {Event} event - Click or submit event
+ */
+function handleGraphPanelEvent(event) {
+    if (event.type === 'submit') {
+        event.preventDefault();
+        if (addGraphFunction(elements.graphInput.value)) {
+            elements.graphInput.value = '';
+        }
+        return;
+    }
+
+    const remove = event.target.closest('[data-remove-graph]');
+    if (remove) {
+        removeGraphFunction(Number(remove.dataset.removeGraph));
+        return;
+    }
+
+    const button = event.target.closest('[data-graph-action]');
+    if (!button) return;
+    switch (button.dataset.graphAction) {
+        case 'zoom-in':
+            zoomGraph(1 / 1.5);
+            break;
+        case 'zoom-out':
+            zoomGraph(1.5);
+            break;
+        case 'reset':
+            resetGraphView();
+            break;
+    }
+}
+
+// ============================================
+// SOLVER
+// ============================================
+
+/**
+ * Read the "guess or range" field: empty, one number or two numbers
+ * @param {string} text - Field text such as "2" or "-10, 10"
+ * @returns {Object} { guess }, { low, high } or { error }
+ */
+function parseSolverSearch(text) {
+    if (!text.trim()) {
+        return { low: -CONFIG.solverRange, high: CONFIG.solverRange };
+    }
+
+    const parts = text.split(',');
+    const numbers = parts.map(part => evaluate(part, getGraphOptions()).value);
+    if (parts.length > 2 || !numbers.every(value => typeof value === 'number' && Number.isFinite(value))) {
+        return { error: 'Enter a starting guess such as 2, or a range such as -10, 10' };
+    }
+    if (numbers.length === 1) {
+        return { guess: numbers[0] };
+    }
+    if (numbers[0] === numbers[1]) {
+        return { error: 'The two ends of the range must be different' };
+    }
+    return { low: Math.min(...numbers), high: Math.max(...numbers) };
+}
+
+/**
+ * Solve the equation in the solver panel and list its roots
+ */
+function solveEquation() {
+    const equation = elements.solverEquation.value.trim();
+    const unknown = elements.solverUnknown.value.trim();
+    if (!equation) return;
+
+    if (unknown && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(unknown)) {
+        showSolverResults([], '', `"${unknown}" is not a valid name`);
+        return;
+    }
+
+    const search = parseSolverSearch(elements.solverRange.value);
+    if (search.error) {
+        showSolverResults([], '', search.error);
+        return;
+    }
+
+    const compiled = parser.compileEquation(equation, unknown || undefined, getGraphOptions());
+    if (compiled.error) {
+        showSolverResults([], '', compiled.error.message);
+        return;
+    }
+
+    const { roots, failed } = findRoots(compiled.fn, search);
+    const where = search.guess !== undefined
+        ? `near ${compiled.unknown} = ${formatGraphNumber(search.guess)}`
+        : `between ${formatGraphNumber(search.low)} and ${formatGraphNumber(search.high)}`;
+
+    let message;
+    if (roots.length === 0 && failed > 0) {
+        message = `Could not converge ${where}. Try another guess or a narrower range`;
+    } else if (roots.length === 0) {
+        message = `No roots found ${where}`;
+    } else {
+        message = `${roots.length} root${roots.length === 1 ? '' : 's'} ${where}`;
+        if (roots.length > CONFIG.maxSolverRoots) {
+            message += ` (showing the first ${CONFIG.maxSolverRoots})`;
+        }
+    }
+    showSolverResults(roots.slice(0, CONFIG.maxSolverRoots), compiled.unknown, message);
+}
+
+/**
+ * Show roots (each inserts its value when clicked) and a status line
+ * @param {Array<number>} roots - Roots to list
+ * @param {string} unknown - Name solved for
+ * @param {string} message - Status text
+ */
+function showSolverResults(roots, unknown, message) {
+    if (elements.solverResults) {
+        const items = roots.map(root => {
+            const value = String(floatBackend.finalize(root));
+
+            const li = document.createElement('li');
+
+            const label = document.createElement('span');
+            label.className = 'variable-value';
+            label.textContent = `${unknown} = `;
+
+            const insert = document.createElement('button');
+            insert.className = 'variable-name';
+            insert.dataset.root = value;
+            insert.textContent = formatResult(value);
+            insert.setAttribute('aria-label', `Insert ${value}`);
+
+            li.append(label, insert);
+            return li;
+        });
+        elements.solverResults.replaceChildren(...items);
+    }
+    if (elements.solverStatus) {
+        elements.solverStatus.textContent = message;
+    }
+}
+
+/**
+ * Handle the solver form and clicks on its roots
+ * @param {Event} event - Click or submit event
+ */
+function handleSolverPanelEvent(event) {
+    if (event.type === 'submit') {
+        event.preventDefault();
+        solveEquation();
+        return;
+    }
+
+    const root = event.target.closest('[data-root]');
+    if (root) {
+        appendValue(root.dataset.root);
+    }
+}
+
+// ============================================
+// STATISTICS PANEL
+// ============================================
+
+/**
+ * Rows of the descriptive statistics table: label and how to read the value
+ */
+const STATISTICS_ROWS = [
+    ['Count', stats => stats.count],
+    ['Sum', stats => stats.sum],
+    ['Mean', stats => stats.mean],
+    ['Median', stats => stats.median],
+    ['Mode', stats => stats.modes],
+    ['Sample variance (s²)', stats => stats.sampleVariance],
+    ['Population variance (σ²)', stats => stats.populationVariance],
+    ['Sample std dev (s)', stats => stats.sampleStdev],
+    ['Population std dev (σ)', stats => stats.populationStdev],
+    ['Q1', stats => stats.q1],
+    ['Q3', stats => stats.q3],
+    ['Min', stats => stats.min],
+    ['Max', stats => stats.max]
+];
+
+/**
+ * Save the statistics data to localStorage
+ */
+function saveStatisticsData() {
+    try {
+        localStorage.setItem(CONFIG.statisticsStorageKey, elements.statisticsData.value);
+    } catch (e) {
+        console.warn('Could not save statistics data to localStorage:', e);
+    }
+}
+
+/**
+ * Load the statistics data from localStorage
+ */
+function loadStatisticsData() {
+    try {
+        const saved = localStorage.getItem(CONFIG.statisticsStorageKey);
+        if (saved !== null) {
+            elements.statisticsData.value = saved;
+        }
+    } catch (e) {
+        console.warn('Could not load statistics data from localStorage:', e);
+    }
+}
+
+/**
+ * Read a typed or pasted data list: one value per line, values separated
+ * by commas or spaces, or two columns of x, y pairs (CSV or pasted from
+ * a spreadsheet). A first row that is not numeric is used as column names.
+ * @param {string} text - Data text
+ * @returns {Object} { columns, names } with one or two columns, or { error }
+ */
+function parseDataList(text) {
+    const rows = parseCsv(text)
+        .map(row => (row.length === 1 ? row[0].trim().split(/[\s;]+/) : row.map(field => field.trim())))
+        .filter(row => row.some(field => field !== ''));
+    if (rows.length === 0) {
+        return { error: 'Enter some numbers first' };
+    }
+
+    const isNumber = field => field !== '' && Number.isFinite(Number(field));
+    let names = null;
+    if (!rows[0].every(isNumber)) {
+        names = rows.shift();
+    }
+
+    for (let i = 0; i < rows.length; i++) {
+        const bad = rows[i].find(field => !isNumber(field));
+        if (bad !== undefined) {
+            return { error: `Row ${i + 1 + (names ? 1 : 0)}: "${bad}" is not a number` };
+        }
+    }
+    if (rows.length === 0) {
+        return { error: 'Enter some numbers first' };
+    }
+
+    const values = rows.map(row => row.map(Number));
+    if (values.length > 1 && values.every(row => row.length === 2)) {
+        return {
+            columns: [values.map(row => row[0]), values.map(row => row[1])],
+            names: names && names.length === 2 ? names : ['x', 'y']
+        };
+    }
+    if (values.length === 1 || values.every(row => row.length === 1)) {
+        return { columns: [values.flat()], names: [names && names.length === 1 ? names[0] : 'Value'] };
+    }
+    return { error: 'Enter one value per row, or an x, y pair on every row' };
+}
+
+/**
+ * Table cell with a statistic; clicking a number inserts it
+ * @param {number|Array<number>} value - Number, or list of modes
+ * @param {string} tag - 'td' or 'th'
+ * @returns {HTMLElement} Cell
+ */
+function createStatisticsCell(value, tag = 'td') {
+    const cell = document.createElement(tag);
+    const numbers = (Array.isArray(value) ? value : [value]).filter(Number.isFinite);
+    if (numbers.length === 0) {
+        cell.textContent = '—';
+        return cell;
+    }
+
+    numbers.forEach(number => {
+        const text = String(floatBackend.finalize(number));
+        const insert = document.createElement('button');
+        insert.className = 'variable-name';
+        insert.dataset.insert = text;
+        insert.textContent = formatResult(text);
+        insert.setAttribute('aria-label', `Insert ${text}`);
+        cell.append(insert);
+    });
+    return cell;
+}
+
+/**
+ * Table row from a header and cells
+ * @param {string} label - Row header
+ * @param {Array<HTMLElement|string>} cells - Cells or plain text
+ * @returns {HTMLTableRowElement} Row
+ */
+function createStatisticsRow(label, cells) {
+    const row = document.createElement('tr');
+    const header = document.createElement('th');
+    header.scope = 'row';
+    header.textContent = label;
+    row.append(header, ...cells.map(cell => {
+        if (typeof cell !== 'string') return cell;
+        const td = document.createElement('td');
+        td.textContent = cell;
+        return td;
+    }));
+    return row;
+}
+
+/**
+ * Table head with column names
+ * @param {Array<string>} names - Column names after the row header column
+ * @returns {HTMLTableSectionElement} Table head
+ */
+function createStatisticsHead(names) {
+    const head = document.createElement('thead');
+    const row = document.createElement('tr');
+    ['', ...names].forEach(name => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = name;
+        row.append(th);
+    });
+    head.append(row);
+    return head;
+}
+
+/**
+ * Analyse the data list and show descriptive statistics, plus
+ * regressions when the data is made of x, y pairs
+ */
+function analyseStatistics() {
+    const data = parseDataList(elements.statisticsData.value);
+    saveStatisticsData();
+    if (data.error) {
+        showStatisticsResults([], data.error);
+        return;
+    }
+
+    const { columns, names } = data;
+    const summaries = columns.map(describeData);
+    const table = document.createElement('table');
+    const body = document.createElement('tbody');
+    STATISTICS_ROWS.forEach(([label, read]) => {
+        body.append(createStatisticsRow(label, summaries.map(stats => createStatisticsCell(read(stats)))));
+    });
+    table.append(createStatisticsHead(names), body);
+    const tables = [table];
+
+    if (columns.length === 2) {
+        const fits = document.createElement('table');
+        const fitBody = document.createElement('tbody');
+        fitRegressions(columns[0], columns[1]).forEach(fit => {
+            const label = `${fit.name}: ${fit.formula}`;
+            fitBody.append(fit.error
+                ? createStatisticsRow(label, [`${fit.name} fit ${fit.error}`, '', ''])
+                : createStatisticsRow(label, [fit.a, fit.b, fit.r2].map(value => createStatisticsCell(value))));
+        });
+        fits.append(createStatisticsHead(['a', 'b', 'r²']), fitBody);
+        tables.push(fits);
+    }
+
+    const count = columns[0].length;
+    showStatisticsResults(tables, `${count} ${columns.length === 2 ? 'pair' : 'value'}${count === 1 ? '' : 's'}`);
+}
+
+/**
+ * Show result tables and a status line in the statistics panel
+ * @param {Array<HTMLTableElement>} tables - Tables to show
+ * @param {string} message - Status text
+ */
+function showStatisticsResults(tables, message) {
+    tables.forEach(table => table.classList.add('statistics-table'));
+    if (elements.statisticsResults) {
+        elements.statisticsResults.replaceChildren(...tables);
+    }
+    if (elements.statisticsStatus) {
+        elements.statisticsStatus.textContent = message;
+    }
+}
+
+/**
+ * Handle the statistics panel buttons and clicks on results
+ * @param {Event} event - Click event
+ */
+function handleStatisticsPanelClick(event) {
+    const insert = event.target.closest('[data-insert]');
+    if (insert) {
+        appendValue(insert.dataset.insert);
+        return;
+    }
+
+    const button = event.target.closest('[data-statistics-action]');
+    if (!button) return;
+    switch (button.dataset.statisticsAction) {
+        case 'analyse':
+            analyseStatistics();
+            break;
+        case 'clear':
+            elements.statisticsData.value = '';
+            saveStatisticsData();
+            showStatisticsResults([], '');
+            break;
+    }
+}
+
+// ============================================
+// FINANCE PANEL
+// ============================================
+
+/**
+ * Columns of the amortization schedule, also used as the CSV header
+ */
+const AMORTIZATION_COLUMNS = ['Period', 'Payment', 'Interest', 'Principal', 'Balance'];
+
+/**
+ * Finance panel fields each financial function reads, in argument order
+ */
+const FINANCE_ARGUMENTS = {
+    pv: ['rate', 'nper', 'pmt', 'fv', 'type'],
+    fv: ['rate', 'nper', 'pmt', 'pv', 'type'],
+    pmt: ['rate', 'nper', 'pv', 'fv', 'type'],
+    nper: ['rate', 'pmt', 'pv', 'fv', 'type'],
+    rate: ['nper', 'pmt', 'pv', 'fv', 'type']
+};
+
+/**
+ * Names of the finance panel fields in messages
+ */
+const FINANCE_FIELD_NAMES = {
+    rate: 'the rate per period',
+    nper: 'the number of periods',
+    pv: 'the present value',
+    pmt: 'the payment',
+    fv: 'the future value'
+};
+
+/**
+ * Input of a finance panel field
+ * @param {string} name - Field: 'rate', 'nper', 'pv', 'pmt' or 'fv'
+ * @returns {HTMLInputElement|null} Input element
+ */
+function getFinanceInput(name) {
+    return elements.financePanel.querySelector(`[data-finance-field="${name}"]`);
+}
+
+/**
+ * Read finance panel fields. Each field may hold an expression such as
+ * 0.05/12; an empty future value counts as 0.
+ * @param {Array<string>} names - Fields to read ('type' is the payment timing)
+ * @returns {Object} { values, texts } by field name, or { error }
+ */
+function readFinanceFields(names) {
+    const values = {};
+    const texts = {};
+    for (const name of names) {
+        if (name === 'type') {
+            texts.type = elements.financeType.value;
+            values.type = Number(texts.type);
+            continue;
+        }
+
+        const text = getFinanceInput(name).value.trim();
+        if (!text && name === 'fv') {
+            texts.fv = '0';
+            values.fv = 0;
+            continue;
+        }
+        if (!text) {
+            return { error: `Enter ${FINANCE_FIELD_NAMES[name]}` };
+        }
+        // Compiled rather than evaluated, so 0.05/12 is not rounded to 10 places
+        const compiled = parser.compile(text, 'x', getGraphOptions());
+        const value = compiled.error ? NaN : compiled.fn(NaN);
+        if (!Number.isFinite(value)) {
+            return { error: `"${text}" is not a number (${FINANCE_FIELD_NAMES[name]})` };
+        }
+        texts[name] = text;
+        values[name] = value;
+    }
+    return { values, texts };
+}
+
+/**
+ * Work out one field from the others with the matching financial
+ * function, and show the call so it can be inserted into an expression
+ * @param {string} target - Field to solve for: 'pv', 'fv', 'pmt', 'nper' or 'rate'
+ */
+function solveFinance(target) {
+    const names = FINANCE_ARGUMENTS[target];
+    const fields = readFinanceFields(names);
+    if (fields.error) {
+        showFinanceStatus(fields.error);
+        return;
+    }
+
+    const result = mathFunctions[target](...names.map(name => fields.values[name]));
+    if (!Number.isFinite(result)) {
+        showFinanceStatus(functionRegistry.get(target).domain);
+        return;
+    }
+
+    const value = String(floatBackend.finalize(result) + 0);
+    getFinanceInput(target).value = value;
+
+    // Leave out trailing arguments that are at their defaults: pmt(r, n, pv)
+    const args = names.map(name => fields.texts[name]);
+    while (args.length > 3 && args[args.length - 1] === '0') {
+        args.pop();
+    }
+    showFinanceStatus(`= ${formatResult(value)}`, `${target}(${args.join(', ')})`);
+}
+
+/**
+ * Build the amortization schedule from the finance panel. An empty
+ * payment is worked out with pmt() and filled in.
+ * @returns {Object} { rows, payment } or { error }
+ */
+function readAmortization() {
+    const fields = readFinanceFields(['rate', 'nper', 'pv', 'fv', 'type']);
+    if (fields.error) return fields;
+
+    const { rate, nper, pv, fv, type } = fields.values;
+    if (!Number.isInteger(nper) || nper < 1 || nper > CONFIG.maxAmortizationPeriods) {
+        return { error: `The schedule needs a whole number of periods from 1 to ${CONFIG.maxAmortizationPeriods}` };
+    }
+
+    let payment;
+    if (getFinanceInput('pmt').value.trim()) {
+        const paid = readFinanceFields(['pmt']);
+        if (paid.error) return paid;
+        payment = paid.values.pmt;
+    } else {
+        payment = mathFunctions.pmt(rate, nper, pv, fv, type);
+        if (!Number.isFinite(payment)) {
+            return { error: functionRegistry.get('pmt').domain };
+        }
+        getFinanceInput('pmt').value = String(floatBackend.finalize(payment) + 0);
+    }
+
+    return { rows: amortizationSchedule(rate, nper, pv, payment, type), payment };
+}
+
+/**
+ * Money amount with two decimals and thousand separators
+ * @param {number} value - Amount
+ * @returns {string} e.g. "-1,073.64"
+ */
+function formatAmount(value) {
+    // + 0 turns a rounded -0 into 0
+    return (Math.round(value * 100) / 100 + 0).toLocaleString('en-US', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+}
+
+/**
+ * Show the payment-by-payment schedule with a row of totals
+ */
+function showAmortization() {
+    const schedule = readAmortization();
+    if (schedule.error) {
+        elements.financeSchedule.replaceChildren();
+        showFinanceStatus(schedule.error);
+        return;
+    }
+
+    const { rows, payment } = schedule;
+    const table = document.createElement('table');
+    table.className = 'statistics-table';
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    AMORTIZATION_COLUMNS.forEach(name => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = name;
+        headRow.append(th);
+    });
+    head.append(headRow);
+
+    const body = document.createElement('tbody');
+    rows.forEach(row => {
+        body.append(createStatisticsRow(String(row.period),
+            [row.payment, row.interest, row.principal, row.balance].map(formatAmount)));
+    });
+
+    const total = key => rows.reduce((sum, row) => sum + row[key], 0);
+    const foot = document.createElement('tfoot');
+    foot.append(createStatisticsRow('Total', [total('payment'), total('interest'), total('principal')].map(formatAmount).concat('')));
+
+    table.append(head, body, foot);
+    elements.financeSchedule.replaceChildren(table);
+    showFinanceStatus(`${rows.length} payment${rows.length === 1 ? '' : 's'} of ${formatAmount(payment)}, ` +
+        `total interest ${formatAmount(total('interest'))}`);
+}
+
+/**
+ * Download the amortization schedule as CSV
+ */
+function exportAmortization() {
+    const schedule = readAmortization();
+    if (schedule.error) {
+        showFinanceStatus(schedule.error);
+        return;
     }
+
+    const rows = schedule.rows.map(row => [row.period, ...[row.payment, row.interest, row.principal, row.balance]
+        .map(value => floatBackend.finalize(value) + 0)]);
+    downloadFile('amortization-schedule.csv', toCsv([AMORTIZATION_COLUMNS, ...rows]), 'text/csv');
+}
+
+/**
+ * Show a status line in the finance panel
+ * @param {string} message - Status text
+ * @param {string} [expression] - Function call shown before the message; clicking it inserts it
+ */
+function showFinanceStatus(message, expression) {
+    if (!elements.financeStatus) return;
+
+    const parts = [];
+    if (expression) {
+        const insert = document.createElement('button');
+        insert.className = 'variable-name';
+        insert.dataset.insert = expression;
+        insert.textContent = expression;
+        insert.setAttribute('aria-label', `Insert ${expression}`);
+        parts.push(insert, ' ');
+    }
+    parts.push(message);
+    elements.financeStatus.replaceChildren(...parts);
 }
 
-/**
- * Add to memory
- */
-function memoryAdd() {
-    const currentResult = parseFloat(calculatorState.result);
-    if (!isNaN(currentResult)) {
-        calculatorState.memory += currentResult;
+/**
+ * Handle the finance panel buttons and its form
+ * @param {Event} event - Click or submit event
+ */
+function handleFinancePanelEvent(event) {
+    if (event.type === 'submit') {
+        event.preventDefault();
+        showAmortization();
+        return;
+    }
+
+    const insert = event.target.closest('[data-insert]');
+    if (insert) {
+        appendValue(insert.dataset.insert);
+        return;
+    }
+
+    const solve = event.target.closest('[data-finance-solve]');
+    if (solve) {
+        solveFinance(solve.dataset.financeSolve);
+        return;
     }
-}
 
-/**
- * Subtract from memory
- */
-function memorySubtract() {
-    const currentResult = parseFloat(calculatorState.result);
-    if (!isNaN(currentResult)) {
-        calculatorState.memory -= currentResult;
+    if (event.target.closest('[data-finance-action="export"]')) {
+        exportAmortization();
     }
 }
 
@@ -745,6 +3251,544 @@ function loadTheme() {
     }
 }
 
+// ============================================
+// WORKSHEET
+// ============================================
+
+/**
+ * Worksheet being edited
+ * @returns {Object|undefined} { id, name, text }
+ */
+function getActiveWorksheet() {
+    return calculatorState.worksheets.find(sheet => sheet.id === calculatorState.activeWorksheet);
+}
+
+/**
+ * Add an empty worksheet with an unused name and open it
+ * @returns {Object} The new worksheet
+ */
+function createWorksheet() {
+    const ids = calculatorState.worksheets.map(sheet => sheet.id);
+    const id = ids.length > 0 ? Math.max(...ids) + 1 : 1;
+    const names = new Set(calculatorState.worksheets.map(sheet => sheet.name));
+    let number = calculatorState.worksheets.length + 1;
+    while (names.has(`Worksheet ${number}`)) {
+        number++;
+    }
+
+    const sheet = { id, name: `Worksheet ${number}`, text: '' };
+    calculatorState.worksheets.push(sheet);
+    calculatorState.activeWorksheet = id;
+    return sheet;
+}
+
+/**
+ * Open a saved worksheet
+ * @param {number} id - Worksheet id
+ */
+function openWorksheet(id) {
+    if (!calculatorState.worksheets.some(sheet => sheet.id === id)) return;
+
+    calculatorState.activeWorksheet = id;
+    saveWorksheets();
+    renderWorksheet();
+}
+
+/**
+ * Rename the worksheet being edited. A blank name keeps the old one.
+ * @param {string} name - New name
+ */
+function renameWorksheet(name) {
+    const sheet = getActiveWorksheet();
+    const trimmed = name.trim();
+    if (sheet && trimmed) {
+        sheet.name = trimmed;
+        saveWorksheets();
+    }
+    renderWorksheet();
+}
+
+/**
+ * Delete the worksheet being edited and open another one
+ */
+function deleteWorksheet() {
+    const index = calculatorState.worksheets.findIndex(sheet => sheet.id === calculatorState.activeWorksheet);
+    if (index === -1) return;
+
+    calculatorState.worksheets.splice(index, 1);
+    const next = calculatorState.worksheets[Math.min(index, calculatorState.worksheets.length - 1)];
+    if (next) {
+        calculatorState.activeWorksheet = next.id;
+    } else {
+        createWorksheet();
+    }
+    saveWorksheets();
+    renderWorksheet();
+}
+
+/**
+ * Download the worksheet as plain text, each result after its line as a
+ * comment, so the file can be pasted back in
+ */
+function exportWorksheet() {
+    const sheet = getActiveWorksheet();
+    if (!sheet) return;
+
+    const lines = sheet.text.split('\n');
+    const results = evaluateWorksheet(sheet.text, getEvaluationOptions());
+    const width = Math.max(...lines.map(line => line.length));
+    const text = lines.map((line, index) => {
+        const shown = formatWorksheetResult(results[index]);
+        return shown ? `${line.padEnd(width)}  # ${shown}` : line;
+    }).join('\r\n');
+
+    const fileName = sheet.name.replace(/[^\w -]+/g, '').trim() || 'worksheet';
+    downloadFile(`${fileName}.txt`, text + '\r\n', 'text/plain');
+}
+
+/**
+ * Text shown next to a worksheet line
+ * @param {Object|null} result - Result from evaluateWorksheet()
+ * @returns {string} Formatted value, "f(x) defined" or '' for blank lines
+ */
+function formatWorksheetResult(result) {
+    if (!result || result.error) return '';
+    if (result.definition) {
+        return `${result.definition.name}(${result.definition.params.join(', ')}) defined`;
+    }
+    return formatResult(String(result.value));
+}
+
+/**
+ * Save the worksheets to localStorage
+ */
+function saveWorksheets() {
+    try {
+        localStorage.setItem(CONFIG.worksheetsStorageKey, JSON.stringify({
+            active: calculatorState.activeWorksheet,
+            worksheets: calculatorState.worksheets
+        }));
+    } catch (e) {
+        console.warn('Could not save worksheets to localStorage:', e);
+    }
+}
+
+/**
+ * Load the worksheets from localStorage, skipping invalid entries.
+ * There is always at least one worksheet afterwards.
+ */
+function loadWorksheets() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.worksheetsStorageKey) || '{}');
+        const ids = new Set();
+        calculatorState.worksheets = [];
+        (Array.isArray(saved.worksheets) ? saved.worksheets : []).forEach(sheet => {
+            const valid = sheet && Number.isInteger(sheet.id) && !ids.has(sheet.id) &&
+                typeof sheet.name === 'string' && sheet.name.trim() !== '' && typeof sheet.text === 'string';
+            if (valid) {
+                ids.add(sheet.id);
+                calculatorState.worksheets.push({ id: sheet.id, name: sheet.name, text: sheet.text });
+            }
+        });
+        calculatorState.activeWorksheet = ids.has(saved.active) ? saved.active : null;
+    } catch (e) {
+        console.warn('Could not load worksheets from localStorage:', e);
+    }
+
+    if (calculatorState.worksheets.length === 0) {
+        createWorksheet();
+    } else if (calculatorState.activeWorksheet === null) {
+        calculatorState.activeWorksheet = calculatorState.worksheets[0].id;
+    }
+}
+
+/**
+ * Show the worksheet being edited: list of saved worksheets, name, text and results
+ */
+function renderWorksheet() {
+    const sheet = getActiveWorksheet();
+    if (!sheet) return;
+
+    elements.worksheetSelect.replaceChildren(...calculatorState.worksheets.map(item => {
+        const option = document.createElement('option');
+        option.value = String(item.id);
+        option.textContent = item.name;
+        return option;
+    }));
+    elements.worksheetSelect.value = String(sheet.id);
+    elements.worksheetName.value = sheet.name;
+    if (elements.worksheetText.value !== sheet.text) {
+        elements.worksheetText.value = sheet.text;
+    }
+    renderWorksheetResults();
+}
+
+/**
+ * Work out every line again and show the line numbers and results
+ */
+function renderWorksheetResults() {
+    if (!elements.worksheetText) return;
+
+    const text = elements.worksheetText.value;
+    const results = evaluateWorksheet(text, getEvaluationOptions());
+
+    elements.worksheetNumbers.replaceChildren(...results.map((result, index) => {
+        const item = document.createElement('li');
+        item.textContent = String(index + 1);
+        return item;
+    }));
+    elements.worksheetResults.replaceChildren(...results.map(result => {
+        const item = document.createElement('li');
+        if (result && result.error) {
+            item.className = 'worksheet-error';
+            item.textContent = result.error.message;
+        } else {
+            item.textContent = formatWorksheetResult(result);
+        }
+        item.title = item.textContent;
+        return item;
+    }));
+    syncWorksheetScroll();
+}
+
+/**
+ * Keep the line numbers and results next to their lines when the text scrolls
+ */
+function syncWorksheetScroll() {
+    elements.worksheetNumbers.scrollTop = elements.worksheetText.scrollTop;
+    elements.worksheetResults.scrollTop = elements.worksheetText.scrollTop;
+}
+
+/**
+ * Handle typing, the worksheet list, the name field and the buttons
+ * @param {Event} event - input, change or click event
+ */
+function handleWorksheetPanelEvent(event) {
+    const target = event.target;
+
+    if (event.type === 'input' && target === elements.worksheetText) {
+        const sheet = getActiveWorksheet();
+        if (sheet) {
+            sheet.text = target.value;
+            saveWorksheets();
+        }
+        renderWorksheetResults();
+        return;
+    }
+    if (event.type === 'change') {
+        if (target === elements.worksheetSelect) {
+            openWorksheet(Number(target.value));
+        } else if (target === elements.worksheetName) {
+            renameWorksheet(target.value);
+        }
+        return;
+    }
+
+    const button = target.closest('[data-worksheet-action]');
+    if (event.type !== 'click' || !button) return;
+    switch (button.dataset.worksheetAction) {
+        case 'new':
+            createWorksheet();
+            saveWorksheets();
+            renderWorksheet();
+            elements.worksheetText.focus();
+            break;
+        case 'delete':
+            deleteWorksheet();
+            break;
+        case 'export':
+            exportWorksheet();
+            break;
+    }
+}
+
+// ============================================
+// SHARE LINKS
+// ============================================
+
+/**
+ * A share link keeps the calculation in the URL hash: "#calc=" followed by
+ * a format letter and the state as base64url text. "z" is JSON compressed
+ * with deflate-raw, "j" is plain JSON for browsers without CompressionStream.
+ * The state is { v: 1, e: expression, a: angle mode, vars: { name: value },
+ * ws: { name, text } }; every part except v is optional.
+ */
+const SHARE_PREFIX = '#calc=';
+
+/**
+ * Gather what a share link carries: the expression, the angle mode, the
+ * variables and, in worksheet mode, the worksheet being edited
+ * @returns {Object} State to encode
+ */
+function getShareState() {
+    const state = { v: 1, e: calculatorState.expression, a: settingsStore.get('angleMode') };
+
+    const names = Object.keys(calculatorState.variables);
+    if (names.length > 0) {
+        state.vars = {};
+        names.forEach(name => {
+            state.vars[name] = toStoredText(calculatorState.variables[name]);
+        });
+    }
+
+    const sheet = getActiveWorksheet();
+    if (settingsStore.get('mode') === 'worksheet' && sheet) {
+        state.ws = { name: sheet.name, text: sheet.text };
+    }
+    return state;
+}
+
+/**
+ * Check a decoded state strictly. Anything unexpected rejects the whole
+ * link, so a crafted link cannot put odd values into the calculator;
+ * only variables whose value cannot be read back are skipped one by one.
+ * @param {*} state - Parsed JSON
+ * @returns {Object|null} { expression, angleMode, variables, worksheet }, or null if invalid
+ */
+function validateShareState(state) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isText = (value, maxLength) => typeof value === 'string' && value.length <= maxLength &&
+        !/[\u0000-\u0008\u000b-\u001f\u007f]/.test(value);
+
+    if (!isObject(state) || state.v !== 1) return null;
+
+    const expression = state.e === undefined ? '' : state.e;
+    if (!isText(expression, CONFIG.maxExpressionLength) || /[\t\n]/.test(expression)) return null;
+
+    const angleMode = state.a === undefined ? null : state.a;
+    if (angleMode !== null && !Object.prototype.hasOwnProperty.call(ANGLE_UNITS, angleMode)) return null;
+
+    const variables = Object.create(null);
+    if (state.vars !== undefined) {
+        if (!isObject(state.vars)) return null;
+        const names = Object.keys(state.vars);
+        if (names.length > CONFIG.maxSharedVariables) return null;
+        const valid = names.filter(name => isStoredVariable(name, state.vars[name]));
+        valid.forEach(name => {
+            variables[name] = state.vars[name];
+        });
+        if (valid.length < names.length) {
+            console.warn(`Skipped ${names.length - valid.length} invalid shared variables`);
+        }
+    }
+
+    let worksheet = null;
+    if (state.ws !== undefined) {
+        if (!isObject(state.ws) || !isText(state.ws.name, 40) || !state.ws.name.trim() ||
+            !isText(state.ws.text, CONFIG.maxShareStateSize)) return null;
+        worksheet = { name: state.ws.name.trim(), text: state.ws.text };
+    }
+
+    return { expression, angleMode, variables, worksheet };
+}
+
+/**
+ * Encode bytes as base64url (base64 with - and _, without padding)
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Encoded text
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url text
+ * @param {string} text - Encoded text
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64Url(text) {
+    if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+        throw new Error('Invalid characters in link');
+    }
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Run bytes through a compression or decompression stream, giving up once
+ * the output grows past a limit (a small link could otherwise unpack into
+ * an enormous state)
+ * @param {Uint8Array} bytes - Input
+ * @param {TransformStream} transform - CompressionStream or DecompressionStream
+ * @param {number} limit - Largest output accepted, in bytes
+ * @returns {Promise<Uint8Array>} Output
+ */
+function transformBytes(bytes, transform, limit) {
+    const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+    const chunks = [];
+    let size = 0;
+
+    const read = () => reader.read().then(({ done, value }) => {
+        if (done) {
+            const output = new Uint8Array(size);
+            let offset = 0;
+            chunks.forEach(chunk => {
+                output.set(chunk, offset);
+                offset += chunk.length;
+            });
+            return output;
+        }
+        size += value.length;
+        if (size > limit) {
+            reader.cancel();
+            throw new Error('Shared state is too large');
+        }
+        chunks.push(value);
+        return read();
+    });
+    return read();
+}
+
+/**
+ * Build a link to the current calculation
+ * @returns {Promise<string>} Full URL with the state in its hash
+ */
+function createShareLink() {
+    const json = new TextEncoder().encode(JSON.stringify(getShareState()));
+    if (json.length > CONFIG.maxShareStateSize) {
+        return Promise.reject(new Error('Too much to fit in a link'));
+    }
+
+    const encoded = typeof CompressionStream === 'function'
+        ? transformBytes(json, new CompressionStream('deflate-raw'), CONFIG.maxShareStateSize)
+            .then(bytes => 'z' + toBase64Url(bytes))
+        : Promise.resolve('j' + toBase64Url(json));
+
+    return encoded.then(data => {
+        if (data.length > CONFIG.maxShareLinkLength) {
+            throw new Error('Too much to fit in a link');
+        }
+        return location.href.replace(/#.*$/, '') + SHARE_PREFIX + data;
+    });
+}
+
+/**
+ * Read the state from a share link hash
+ * @param {string} hash - location.hash, starting with SHARE_PREFIX
+ * @returns {Promise<Object>} Validated state (see validateShareState())
+ */
+function readShareLink(hash) {
+    const data = hash.slice(SHARE_PREFIX.length);
+    const format = data.charAt(0);
+
+    return Promise.resolve().then(() => {
+        if (data.length > CONFIG.maxShareLinkLength) {
+            throw new Error('Link is too long');
+        }
+        if (format !== 'j' && !(format === 'z' && typeof DecompressionStream === 'function')) {
+            throw new Error('Unsupported link format');
+        }
+        const bytes = fromBase64Url(data.slice(1));
+        return format === 'z'
+            ? transformBytes(bytes, new DecompressionStream('deflate-raw'), CONFIG.maxShareStateSize)
+            : bytes;
+    }).then(bytes => {
+        if (bytes.length > CONFIG.maxShareStateSize) {
+            throw new Error('Shared state is too large');
+        }
+        const state = validateShareState(JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes)));
+        if (!state) {
+            throw new Error('Invalid shared state');
+        }
+        return state;
+    });
+}
+
+/**
+ * Put a shared calculation into the calculator: the expression replaces
+ * the current one. The angle mode, variables (replacing any with the same
+ * name) and worksheet are saved, so they are only applied once the user
+ * agrees; otherwise just the expression is loaded.
+ * @param {Object} state - Validated state from readShareLink()
+ */
+function applyShareState(state) {
+    calculatorState.expression = state.expression;
+    calculatorState.selection = null;
+    calculatorState.errorRange = null;
+
+    const changes = [];
+    if (state.angleMode && state.angleMode !== settingsStore.get('angleMode')) {
+        changes.push(`set the angle mode to ${state.angleMode}`);
+    }
+    const names = Object.keys(state.variables).filter(name => calculatorState.variables[name] !== state.variables[name]);
+    if (names.length > 0) {
+        changes.push(`set the variables ${names.join(', ')}`);
+    }
+    if (state.worksheet && elements.worksheetPanel) {
+        changes.push(`open the worksheet "${state.worksheet.name}"`);
+    }
+    if (changes.length > 0 && !window.confirm(`This shared calculation will ${changes.join(', ')}. Continue?`)) {
+        updateDisplay();
+        return;
+    }
+
+    if (state.angleMode) {
+        settingsStore.set('angleMode', state.angleMode);
+    }
+
+    names.forEach(name => {
+        calculatorState.variables[name] = state.variables[name];
+    });
+    saveVariables();
+    renderVariables();
+
+    if (state.worksheet && elements.worksheetPanel) {
+        const sheet = createWorksheet();
+        sheet.name = state.worksheet.name;
+        sheet.text = state.worksheet.text;
+        saveWorksheets();
+        renderWorksheet();
+        settingsStore.set('mode', 'worksheet');
+    }
+    updateDisplay();
+}
+
+/**
+ * Open the calculation in the URL hash, if there is one, and remove it
+ * from the address bar so reloading does not apply it again
+ */
+function loadShareLink() {
+    if (!location.hash.startsWith(SHARE_PREFIX)) return;
+
+    const hash = location.hash;
+    history.replaceState(null, '', location.href.replace(/#.*$/, ''));
+    readShareLink(hash)
+        .then(applyShareState)
+        .catch(e => {
+            console.warn('Could not open shared calculation:', e);
+            showError('This link is invalid or damaged');
+        });
+}
+
+/**
+ * Copy a link to the current calculation to the clipboard
+ */
+function copyShareLink() {
+    createShareLink()
+        .then(link => navigator.clipboard.writeText(link).then(() => showShareStatus('COPIED')))
+        .catch(e => {
+            console.warn('Could not copy share link:', e);
+            showShareStatus(e.message === 'Too much to fit in a link' ? 'TOO BIG' : 'FAILED');
+        });
+}
+
+/**
+ * Show a short message on the link button, then put its label back
+ * @param {string} message - Message text
+ */
+function showShareStatus(message) {
+    if (!elements.shareLinkButton) return;
+
+    elements.shareLinkButton.textContent = message;
+    setTimeout(() => {
+        elements.shareLinkButton.textContent = 'LINK';
+    }, 1500);
+}
+
 // ============================================
 // EVENT HANDLING
 // ============================================
@@ -754,7 +3798,7 @@ function loadTheme() {
  * @param {Event} event - Click event
  */
 function handleButtonClick(event) {
-    const button = event.target.closest('.btn');
+    const button = event.target.closest('.btn, .mode-badge, .mode-tab, .memory-badge');
     if (!button) return;
     
     // Get the value or action from the button
@@ -782,7 +3826,29 @@ function handleButtonClick(event) {
             case 'toggle-scientific':
                 toggleScientific();
                 break;
-            // Optional memory actions
+            case 'toggle-angle-mode':
+                toggleAngleMode();
+                break;
+            case 'to-fraction':
+                convertToFraction();
+                break;
+            case 'toggle-numeric-mode':
+                if (settingsStore.get('mode') === 'programmer') {
+                    cycleWordSize();
+                } else {
+                    cycleNumericMode();
+                }
+                break;
+            case 'set-mode':
+                settingsStore.set('mode', button.dataset.mode);
+                break;
+            case 'copy-link':
+                copyShareLink();
+                break;
+            // Memory registers
+            case 'select-memory-slot':
+                selectMemorySlot(Number(button.dataset.slot));
+                break;
             case 'memory-store':
                 memoryStore();
                 break;
@@ -809,12 +3875,30 @@ function handleButtonClick(event) {
 function handleKeyboardInput(event) {
     const key = event.key;
     
+    // Let form fields (settings, panels) handle their own typing
+    if (event.target.closest && event.target.closest('input, select, textarea')) {
+        return;
+    }
+    
+    if (CONFIG.enableMemory && handleMemoryShortcut(event)) {
+        event.preventDefault();
+        return;
+    }
+    
     // Prevent default for calculator keys
-    const allowedKeys = '0123456789+-*/().%^';
+    const allowedKeys = '0123456789+-*/().%^!,&|~<>[]\\';
+    // Ctrl or Cmd with these keys, and Alt with a digit, are browser keys (Ctrl+- zooms,
+    // Alt+1 switches tabs). AltGr (Ctrl+Alt) and the Mac Option key type [, | and the like.
+    const browserShortcut = event.metaKey || (event.ctrlKey && !event.altKey) ||
+        (event.altKey && !event.ctrlKey && /^\d$/.test(key));
     
-    if (allowedKeys.includes(key)) {
+    if (allowedKeys.includes(key) && !browserShortcut) {
         event.preventDefault();
         appendValue(key);
+    } else if (key === '=' && isAssignmentTarget(calculatorState.expression)) {
+        // "rate" followed by "=" starts an assignment instead of calculating
+        event.preventDefault();
+        appendValue('=');
     } else if (key === 'Enter' || key === '=') {
         event.preventDefault();
         calculateResult();
@@ -824,11 +3908,71 @@ function handleKeyboardInput(event) {
     } else if (key === 'Backspace') {
         event.preventDefault();
         deleteLast();
+    } else if (key === 'Delete') {
+        event.preventDefault();
+        deleteNext();
+    } else if (['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(key) && !event.ctrlKey && !event.altKey) {
+        event.preventDefault();
+        moveCaret(key, event.shiftKey);
+    } else if (key === 'a' && (event.ctrlKey || event.metaKey)) {
+        // Ctrl+A selects the whole expression
+        event.preventDefault();
+        setSelection(0, calculatorState.expression.length);
+        renderExpression(calculatorState.expression, calculatorState.errorRange);
     } else if (key === 's' && event.ctrlKey) {
         // Ctrl+S for scientific toggle
         event.preventDefault();
         toggleScientific();
+    } else if (event.code === 'KeyA' && event.altKey && !event.ctrlKey && !event.metaKey && !event.shiftKey) {
+        // Alt+A cycles DEG/RAD/GRAD (Ctrl+D is the browser's bookmark key)
+        event.preventDefault();
+        toggleAngleMode();
+    } else if (/^[A-Za-z_]$/.test(key) && !event.ctrlKey && !event.metaKey && !event.altKey) {
+        // Letters for function, constant and variable names
+        event.preventDefault();
+        appendValue(key);
+    }
+}
+
+/**
+ * Handle memory keyboard shortcuts:
+ * Alt+M store, Alt+R recall, Alt+P add, Alt+Q subtract, Alt+L clear,
+ * Alt+N select the next register. Alt keeps clear of the browser's own
+ * Ctrl shortcuts (reload, print, address bar, quit), and Alt+N of the
+ * Alt+1 to Alt+9 tab switching.
+ * @param {KeyboardEvent} event - Keyboard event
+ * @returns {boolean} True if the key was a memory shortcut
+ */
+function handleMemoryShortcut(event) {
+    if (!event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) {
+        return false;
     }
+    // Keys by position: Alt+letter types other characters on some layouts
+    const actions = {
+        KeyM: memoryStore,
+        KeyR: memoryRecall,
+        KeyP: memoryAdd,
+        KeyQ: memorySubtract,
+        KeyL: memoryClear,
+        KeyN: () => selectMemorySlot(calculatorState.activeMemorySlot % CONFIG.memorySlots + 1)
+    };
+    const action = actions[event.code];
+    if (!action) return false;
+
+    action();
+    return true;
+}
+
+/**
+ * Check whether the expression is a name or function head that "=" can follow
+ * @param {string} expr - Current expression
+ * @returns {boolean} True for e.g. "rate" or "f(x,y)" but not "sin" or "2+x"
+ */
+function isAssignmentTarget(expr) {
+    const match = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*(\(\s*([A-Za-z_][A-Za-z0-9_]*\s*(,\s*[A-Za-z_][A-Za-z0-9_]*\s*)*)?\))?\s*$/.exec(expr);
+    if (match === null) return false;
+    // "rate" can be a variable, but "rate(x)" cannot be redefined
+    return match[2] ? !isReservedName(match[1]) : !isReservedVariableName(match[1]);
 }
 
 // ============================================
@@ -842,6 +3986,12 @@ function init() {
     // Set up event listeners
     document.addEventListener('click', handleButtonClick);
     document.addEventListener('keydown', handleKeyboardInput);
+    document.addEventListener('change', handleSettingChange);
+    
+    // Caret, selection and clipboard for the expression
+    elements.expression.addEventListener('pointerdown', handleExpressionPointer);
+    elements.expression.addEventListener('pointermove', handleExpressionPointer);
+    ['copy', 'cut', 'paste'].forEach(type => document.addEventListener(type, handleClipboard));
     
     // Initialize optional features
     if (CONFIG.enableThemeToggle && elements.themeToggle) {
@@ -851,17 +4001,113 @@ function init() {
     
     if (CONFIG.enableHistory) {
         // Load history from localStorage
-        loadHistory();
+        historyStore.load();
         
-        // Render history if elements exist
+        // Render history if elements exist, and again whenever it changes
         if (elements.historyList) {
             renderHistory();
+            historyStore.on('change', renderHistory);
+            ['click', 'keydown', 'focusout'].forEach(type => {
+                elements.historyList.addEventListener(type, handleHistoryListEvent);
+            });
         }
         
         // Add clear history button listener
         if (elements.clearHistoryBtn) {
             elements.clearHistoryBtn.addEventListener('click', clearHistory);
         }
+        
+        // Search, export and import
+        if (elements.historySearch) {
+            elements.historySearch.addEventListener('input', handleHistorySearch);
+        }
+        if (elements.historyImport) {
+            elements.historyImport.addEventListener('change', handleHistoryImport);
+        }
+        if (elements.historyPanel) {
+            elements.historyPanel.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-export], [data-plot]');
+                if (button && button.dataset.export) {
+                    exportHistory(button.dataset.export);
+                } else if (button) {
+                    plotExpression(button.dataset.plot);
+                    showHistoryStatus('');
+                }
+            });
+        }
+    }
+    
+    // Restore the angle unit used by trig functions and other settings
+    loadSettings();
+    renderAngleMode();
+    renderSettings();
+    renderMode();
+    settingsStore.on('change', handleSettingsChange);
+    
+    // Restore user variables
+    loadVariables();
+    renderVariables();
+    if (elements.variablesList) {
+        elements.variablesList.addEventListener('click', handleVariableListClick);
+    }
+    if (elements.clearVariablesBtn) {
+        elements.clearVariablesBtn.addEventListener('click', clearVariables);
+    }
+    
+    // Restore user-defined functions
+    loadUserFunctions();
+    renderUserFunctions();
+    if (elements.functionsList) {
+        elements.functionsList.addEventListener('click', handleFunctionListClick);
+    }
+    
+    // Graph panel: form, buttons, pan/zoom/trace on the canvas
+    if (elements.graphPanel) {
+        elements.graphPanel.addEventListener('click', handleGraphPanelEvent);
+        elements.graphPanel.addEventListener('submit', handleGraphPanelEvent);
+        elements.graphPanel.addEventListener('toggle', renderGraph);
+        window.addEventListener('resize', renderGraph);
+    }
+    if (elements.graphCanvas) {
+        elements.graphCanvas.addEventListener('pointerdown', handleGraphPointerDown);
+        elements.graphCanvas.addEventListener('pointermove', handleGraphPointerMove);
+        elements.graphCanvas.addEventListener('pointerup', handleGraphPointerUp);
+        elements.graphCanvas.addEventListener('pointerleave', handleGraphPointerLeave);
+        elements.graphCanvas.addEventListener('wheel', handleGraphWheel, { passive: false });
+    }
+    
+    // Statistics mode data list
+    if (elements.statisticsPanel) {
+        loadStatisticsData();
+        elements.statisticsPanel.addEventListener('click', handleStatisticsPanelClick);
+    }
+    
+    // Equation solver
+    if (elements.solverPanel) {
+        elements.solverPanel.addEventListener('click', handleSolverPanelEvent);
+        elements.solverPanel.addEventListener('submit', handleSolverPanelEvent);
+    }
+    
+    // Financial functions and amortization schedule
+    if (elements.financePanel) {
+        elements.financePanel.addEventListener('click', handleFinancePanelEvent);
+        elements.financePanel.addEventListener('submit', handleFinancePanelEvent);
+    }
+    
+    // Worksheet mode: saved worksheets, live results
+    if (elements.worksheetPanel) {
+        loadWorksheets();
+        renderWorksheet();
+        elements.worksheetPanel.addEventListener('click', handleWorksheetPanelEvent);
+        elements.worksheetPanel.addEventListener('change', handleWorksheetPanelEvent);
+        elements.worksheetText.addEventListener('input', handleWorksheetPanelEvent);
+        elements.worksheetText.addEventListener('scroll', syncWorksheetScroll);
+    }
+    
+    // Restore memory registers
+    if (CONFIG.enableMemory) {
+        loadMemory();
+        renderMemory();
     }
     
     // Initialize scientific section visibility
@@ -872,8 +4118,14 @@ function init() {
     // Initial display update
     updateDisplay();
     
+    // Open a shared calculation from the URL, now or when a link is pasted in
+    loadShareLink();
+    window.addEventListener('hashchange', loadShareLink);
+    
     console.log('Calculator initialized!');
     console.log('Tip: Press Ctrl+S to toggle scientific functions');
+    console.log('Tip: Press Alt+A to switch between DEG, RAD and GRAD');
+    console.log('Tip: Alt+M/R/P/Q/L for MS/MR/M+/M−/MC, Alt+N for the next memory register');
 }
 
 // Start the calculator when DOM is ready
@@ -0,0 +1,138 @@
+/**
+ * Test helpers: an in-memory localStorage and the calculator page loaded
+ * into jsdom.
+ *
+ * jsdom does not run module scripts, so loadCalculator() joins engine.js
+ * and script.js into one strict mode script without their import and
+ * export lines, runs it in the page and hands back the names tests need.
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const ROOT = new URL('../', import.meta.url);
+
+// Names from script.js that the tests call or inspect
+const EXPOSED = [
+    'CONFIG', 'calculatorState', 'elements', 'settingsStore', 'historyStore',
+    'appendValue', 'calculateResult', 'clearDisplay', 'setSelection', 'formatResult', 'offerPlot',
+    'memoryStore', 'memoryRecall', 'memoryClear', 'memoryAdd', 'memorySubtract', 'selectMemorySlot',
+    'validateShareState', 'applyShareState', 'toCsv', 'importHistory'
+];
+
+/**
+ * Read a file of the app
+ * @param {string} name - Path from the repository root
+ * @returns {string} File contents
+ */
+function readAppFile(name) {
+    return readFileSync(new URL(name, ROOT), 'utf8');
+}
+
+/**
+ * Remove the first match of a pattern, failing loudly if it is not there
+ * @param {string} source - Script text
+ * @param {RegExp} pattern - Module syntax to remove
+ * @returns {string} Script without it
+ */
+function strip(source, pattern) {
+    if (!pattern.test(source)) {
+        throw new Error(`Could not find ${pattern} to remove`);
+    }
+    return source.replace(pattern, '');
+}
+
+/**
+ * localStorage replacement that keeps everything in a Map, so tests can
+ * look at what was saved and load a second page with the same data
+ */
+export class MemoryStorage {
+    constructor(items = {}) {
+        this.items = new Map(Object.entries(items));
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        const keys = [...this.items.keys()];
+        return index < keys.length ? keys[index] : null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+/**
+ * Load index.html with the calculator running in it
+ * @param {Object} [options]
+ * @param {MemoryStorage} [options.storage] - localStorage for the page (empty by default)
+ * @returns {Object} window, document, storage, warnings (messages passed to
+ *                   console.warn) and the EXPOSED names
+ */
+export function loadCalculator({ storage = new MemoryStorage() } = {}) {
+    const html = readAppFile('index.html').replace(/<script\b[^>]*><\/script>/g, '');
+    const warnings = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('warn', (...args) => warnings.push(args.join(' ')));
+
+    const { window } = new JSDOM(html, { url: 'http://localhost/', runScripts: 'outside-only', virtualConsole });
+    Object.defineProperty(window, 'localStorage', { value: storage, configurable: true });
+
+    const engine = strip(readAppFile('engine.js'), /^export \{[\s\S]*?^\};/m);
+    const ui = strip(readAppFile('script.js'), /^import \{[\s\S]*?\} from '\.\/engine\.js';/m);
+    const app = window.eval(`"use strict";\n${engine}\n${ui}\n({ ${EXPOSED.join(', ')} });`);
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+
+    return { window, document: window.document, storage, warnings, ...app };
+}
+
+/**
+ * Copy a value from the page into plain Node objects. Arrays and objects
+ * made inside jsdom have the page's prototypes, which deepEqual compares.
+ * @param {*} value - JSON-compatible value from the page
+ * @returns {*} Equal value made in Node
+ */
+export function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Click a calculator button
+ * @param {Object} page - Result of loadCalculator()
+ * @param {string} selector - CSS selector of the button
+ */
+export function click(page, selector) {
+    const button = page.document.querySelector(selector);
+    if (!button) {
+        throw new Error(`No button matches ${selector}`);
+    }
+    button.dispatchEvent(new page.window.MouseEvent('click', { bubbles: true }));
+}
+
+/**
+ * Press keys on the page, like typing on a keyboard
+ * @param {Object} page - Result of loadCalculator()
+ * @param {...(string|Object)} keys - Key names such as '7' or 'Enter', or
+ *                                    KeyboardEvent options such as { key: 'a', ctrlKey: true }
+ */
+export function press(page, ...keys) {
+    keys.forEach(key => {
+        const init = typeof key === 'string' ? { key } : key;
+        page.document.body.dispatchEvent(new page.window.KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init }));
+    });
+}
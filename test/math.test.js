@@ -0,0 +1,105 @@
+/**
+ * mathFunctions edge cases. These are the plain double versions the
+ * parser calls; NaN means "outside the domain" and becomes a domain error.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mathFunctions } from '../engine.js';
+
+/**
+ * Compare doubles that may differ in the last digits
+ * @param {number} actual - Computed value
+ * @param {number} expected - Expected value
+ */
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)),
+        `expected ${expected}, got ${actual}`);
+}
+
+describe('factorial', () => {
+    it('handles 0 and the largest finite result', () => {
+        assert.equal(mathFunctions.factorial(0), 1);
+        assert.equal(mathFunctions.factorial(5), 120);
+        assert.ok(isFinite(mathFunctions.factorial(170)));
+        assert.equal(mathFunctions.factorial(171), Infinity);
+    });
+
+    it('is not defined for negative or fractional numbers', () => {
+        assert.ok(Number.isNaN(mathFunctions.factorial(-1)));
+        assert.ok(Number.isNaN(mathFunctions.factorial(2.5)));
+    });
+});
+
+describe('roots, powers and logarithms', () => {
+    it('squares with one argument and raises with two', () => {
+        assert.equal(mathFunctions.pow(3), 9);
+        assert.equal(mathFunctions.pow(2, 10), 1024);
+    });
+
+    it('returns NaN outside the domain instead of -Infinity', () => {
+        assert.equal(mathFunctions.sqrt(16), 4);
+        assert.ok(Number.isNaN(mathFunctions.sqrt(-1)));
+        assert.equal(mathFunctions.log(1000), 3);
+        assert.ok(Number.isNaN(mathFunctions.log(0)));
+        assert.ok(Number.isNaN(mathFunctions.log(-1)));
+        assert.equal(mathFunctions.ln(Math.E), 1);
+    });
+});
+
+describe('trigonometry', () => {
+    it('treats tan at odd multiples of 90 degrees as undefined', () => {
+        assert.ok(Number.isNaN(mathFunctions.tan(Math.PI / 2)));
+        assert.ok(Number.isNaN(mathFunctions.asin(2)));
+        assert.equal(mathFunctions.atan2(1, 1), Math.PI / 4);
+    });
+
+    it('converts degrees to radians with deg()', () => {
+        assertClose(mathFunctions.deg(180), Math.PI);
+    });
+});
+
+describe('list functions', () => {
+    it('compute the usual statistics', () => {
+        assert.equal(mathFunctions.sum(1, 2, 3), 6);
+        assert.equal(mathFunctions.median(3, 1, 2), 2);
+        assert.equal(mathFunctions.median(3, 1, 2, 10), 2.5);
+        assert.equal(mathFunctions.mode(1, 2, 2, 3, 3), 2);
+        assertClose(mathFunctions.variance(1, 2, 3, 4), 5 / 3);
+        assert.equal(mathFunctions.pvariance(1, 2, 3, 4), 1.25);
+    });
+
+    it('return NaN when there is not enough data', () => {
+        assert.ok(Number.isNaN(mathFunctions.mean()));
+        assert.ok(Number.isNaN(mathFunctions.mode(1, 2, 3)));
+        assert.ok(Number.isNaN(mathFunctions.variance(5)));
+        assert.ok(Number.isNaN(mathFunctions.stdev(1)));
+    });
+});
+
+describe('percent and finance', () => {
+    it('compute percent changes, markups and margins', () => {
+        assert.equal(mathFunctions.pctchange(80, 100), 25);
+        assert.ok(Number.isNaN(mathFunctions.pctchange(0, 5)));
+        assert.equal(mathFunctions.markup(100, 125), 25);
+        assert.equal(mathFunctions.margin(100, 125), 20);
+    });
+
+    it('handle a zero interest rate', () => {
+        assert.equal(mathFunctions.fv(0, 10, -100), 1000);
+        assert.equal(mathFunctions.pmt(0, 10, 1000), -100);
+        assert.equal(mathFunctions.nper(0, -100, 1000), 10);
+    });
+
+    it('agree with each other on a loan', () => {
+        const payment = mathFunctions.pmt(0.05 / 12, 360, 200000);
+        assertClose(payment, -1073.6432460242797);
+        assertClose(mathFunctions.pv(0.05 / 12, 360, payment), 200000);
+        assertClose(mathFunctions.rate(360, payment, 200000), 0.05 / 12);
+    });
+
+    it('find the internal rate of return only when cash flows change sign', () => {
+        assertClose(mathFunctions.npv(mathFunctions.irr(-100, 60, 60), -100, 60, 60), 0);
+        assert.ok(Number.isNaN(mathFunctions.irr(100, 60, 60)));
+    });
+});
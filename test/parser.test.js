@@ -0,0 +1,307 @@
+/**
+ * ExpressionParser through the engine's evaluate(): operators, numeric
+ * modes, units, complex numbers, matrices, names and error reporting
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    evaluate, evaluateWorksheet, registerConstant, registerFunction, ERROR_CODES
+} from '../engine.js';
+
+/**
+ * Evaluate and fail the test if the expression has an error
+ * @param {string} expr - Expression
+ * @param {Object} [options] - Evaluation settings
+ * @returns {*} Value
+ */
+function valueOf(expr, options) {
+    const result = evaluate(expr, options);
+    assert.equal(result.error, undefined, `${expr}: ${result.error && result.error.message}`);
+    return result.value;
+}
+
+/**
+ * Evaluate and fail the test unless the expression has an error
+ * @param {string} expr - Expression
+ * @param {Object} [options] - Evaluation settings
+ * @returns {CalculatorError} Error
+ */
+function errorOf(expr, options) {
+    const result = evaluate(expr, options);
+    assert.ok(result.error, `${expr} should fail but gave ${result.value}`);
+    return result.error;
+}
+
+describe('operators', () => {
+    it('follows precedence and associativity', () => {
+        assert.equal(valueOf('2 + 3 * 4'), 14);
+        assert.equal(valueOf('(2 + 3) * 4'), 20);
+        assert.equal(valueOf('2^3^2'), 512);
+        assert.equal(valueOf('10 - 4 - 3'), 3);
+        assert.equal(valueOf('10 mod 3'), 1);
+    });
+
+    it('binds unary minus looser than powers', () => {
+        assert.equal(valueOf('-2^2'), -4);
+        assert.equal(valueOf('(-2)^2'), 4);
+        assert.equal(valueOf('2*-3'), -6);
+    });
+
+    it('multiplies implicitly', () => {
+        assert.equal(valueOf('2(3+4)'), 14);
+        assert.equal(valueOf('2PI'), 6.2831853072);
+    });
+
+    it('reads E after a digit as the constant, not an exponent', () => {
+        assert.equal(valueOf('2E+1'), valueOf('2*E+1'));
+        assert.equal(valueOf('2E'), valueOf('2*E'));
+        assert.equal(valueOf('2e+1'), 20);
+    });
+
+    it('applies percent to the left operand of + and -', () => {
+        assert.equal(valueOf('200 + 10%'), 220);
+        assert.equal(valueOf('200 - 10%'), 180);
+        assert.equal(valueOf('50%'), 0.5);
+    });
+
+    it('rounds away floating point noise', () => {
+        assert.equal(valueOf('0.1 + 0.2'), 0.3);
+        assert.equal(valueOf('sin(PI)'), 0);
+    });
+
+    it('computes factorials of whole numbers only', () => {
+        assert.equal(valueOf('5!'), 120);
+        assert.equal(valueOf('0!'), 1);
+        assert.equal(errorOf('(-1)!').code, ERROR_CODES.DOMAIN_ERROR);
+        assert.equal(errorOf('3.5!').code, ERROR_CODES.DOMAIN_ERROR);
+        assert.equal(errorOf('171!').code, ERROR_CODES.OVERFLOW);
+    });
+
+    it('reports division by zero and overflow', () => {
+        assert.equal(errorOf('1/0').code, ERROR_CODES.DIVISION_BY_ZERO);
+        assert.equal(errorOf('1e400').code, ERROR_CODES.OVERFLOW);
+        assert.equal(errorOf('10^400').code, ERROR_CODES.OVERFLOW);
+    });
+});
+
+describe('syntax errors', () => {
+    it('points at the offending part of the expression', () => {
+        const cases = [
+            ['2 + * 3', ERROR_CODES.UNEXPECTED_TOKEN, 4, 5],
+            ['foo + 1', ERROR_CODES.UNKNOWN_NAME, 0, 3],
+            ['(1+2', ERROR_CODES.UNBALANCED_PAREN, 0, 1],
+            ['1+2)', ERROR_CODES.UNBALANCED_PAREN, 3, 4],
+            ['2 +', ERROR_CODES.UNEXPECTED_END, 2, 3]
+        ];
+        cases.forEach(([expr, code, start, end]) => {
+            const error = errorOf(expr);
+            assert.deepEqual([error.code, error.start, error.end], [code, start, end], expr);
+        });
+    });
+
+    it('rejects an empty expression', () => {
+        assert.equal(errorOf('').code, ERROR_CODES.UNEXPECTED_END);
+    });
+
+    it('checks the number of function arguments', () => {
+        assert.equal(errorOf('sin()').code, ERROR_CODES.WRONG_ARGUMENT_COUNT);
+        assert.equal(errorOf('sin(1, 2)').code, ERROR_CODES.WRONG_ARGUMENT_COUNT);
+    });
+});
+
+describe('functions and angle modes', () => {
+    it('uses the angle mode for trig input and output', () => {
+        assert.equal(valueOf('sin(30)', { angleMode: 'DEG' }), 0.5);
+        assert.equal(valueOf('sin(100)', { angleMode: 'GRAD' }), 1);
+        assert.equal(valueOf('cos(PI)'), -1);
+        assert.equal(valueOf('asin(1)', { angleMode: 'DEG' }), 90);
+    });
+
+    it('reads deg() as degrees in the current angle mode', () => {
+        assert.equal(valueOf('deg(180)'), 3.1415926536);
+        assert.equal(valueOf('deg(180)', { angleMode: 'DEG' }), 180);
+        assert.equal(valueOf('deg(90)', { angleMode: 'GRAD' }), 100);
+        assert.equal(valueOf('sin(deg(30))', { angleMode: 'DEG' }), 0.5);
+    });
+
+    it('reports values outside a function domain', () => {
+        assert.equal(errorOf('asin(2)').message, 'asin needs a value between -1 and 1');
+        assert.equal(errorOf('tan(90)', { angleMode: 'DEG' }).message, 'tan is undefined at this angle');
+        assert.equal(errorOf('log(0)').code, ERROR_CODES.DOMAIN_ERROR);
+        assert.equal(errorOf('sqrt(-4)').code, ERROR_CODES.DOMAIN_ERROR);
+    });
+
+    it('has list, percent and finance functions', () => {
+        assert.equal(valueOf('mean(1, 2, 3, 4)'), 2.5);
+        assert.equal(valueOf('stdev(2, 4, 4, 4, 5, 5, 7, 9)'), 2.1380899353);
+        assert.equal(valueOf('pctchange(80, 100)'), 25);
+        assert.equal(valueOf('pmt(0.05/12, 360, 200000)'), -1073.6432460243);
+    });
+});
+
+describe('numeric modes', () => {
+    it('keeps exact decimals in decimal mode', () => {
+        assert.equal(valueOf('0.1 + 0.2', { numericMode: 'decimal' }).toString(), '0.3');
+        assert.equal(valueOf('1/3', { numericMode: 'decimal', precision: 5 }).toString(), '0.33333');
+    });
+
+    it('is exact in decimal mode for arithmetic and square roots, not for other functions', () => {
+        const options = { numericMode: 'decimal', precision: 30 };
+        assert.equal(valueOf('sqrt(2)', options).toString(), '1.41421356237309504880168872421');
+        assert.equal(valueOf('2^0.5', options).toString(), String(Math.SQRT2));
+        assert.equal(valueOf('sin(1)', options).toString(), String(Math.sin(1)));
+    });
+
+    it('refuses literals with too many digits before building them', () => {
+        ['decimal', 'fraction'].forEach(numericMode => {
+            assert.equal(errorOf('1e999999999', { numericMode }).code, ERROR_CODES.OVERFLOW);
+            assert.equal(errorOf('1e-99999999', { numericMode }).message, 'Number has too many digits');
+            assert.equal(valueOf('1.5e3', { numericMode }).toString(), '1500');
+        });
+    });
+
+    it('rounds long decimal powers instead of calling them too large', () => {
+        assert.equal(valueOf('1.0000001^1000000', { numericMode: 'decimal', precision: 10 }).toString(), '1.1051709125');
+        assert.equal(valueOf('1.1^2000', { numericMode: 'decimal', precision: 4 }).toString(),
+            '61005686194487760328887391442962230430011996393070594156478992545323452232901820791.5124');
+        assert.equal(errorOf('2^400000', { numericMode: 'decimal' }).code, ERROR_CODES.OVERFLOW);
+    });
+
+    it('keeps exact fractions in fraction mode', () => {
+        assert.equal(valueOf('1/3 + 1/6', { numericMode: 'fraction' }).toString(), '1/2');
+        assert.equal(valueOf('0.5 + 1/4', { numericMode: 'fraction' }).toString(), '3/4');
+    });
+
+    it('keeps matrices and list functions exact in fraction mode', () => {
+        const fraction = { numericMode: 'fraction' };
+        assert.equal(valueOf('[[1/3]]', fraction).toString(), '[[1/3]]');
+        assert.equal(valueOf('inv([[1, 2], [3, 4]])', fraction).toString(), '[[-2, 1], [3/2, -1/2]]');
+        assert.equal(valueOf('det([[1/2, 1], [1, 1/3]])', fraction).toString(), '-5/6');
+        assert.equal(valueOf('-[[1/3]] / 2', fraction).toString(), '[[-1/6]]');
+        assert.equal(valueOf('mean(1/3, 1/6)', fraction).toString(), '1/4');
+        assert.equal(valueOf('median(1/3, 1/6, 1/2, 1)', fraction).toString(), '5/12');
+        assert.equal(valueOf('variance(1, 2, 3, 4)', fraction).toString(), '5/3');
+        assert.equal(valueOf('pstdev(0, 1/2)', fraction).toString(), '1/4');
+        assert.equal(valueOf('max([[1/3, 1/4]])', fraction).toString(), '1/3');
+        // One irrational entry or argument turns the result into doubles
+        assert.equal(valueOf('[[1/3, sqrt(2)]]', fraction).toString(), '[[0.3333333333, 1.4142135624]]');
+        assert.equal(valueOf('mean(1/2, sqrt(2))', fraction), 0.9571067812);
+        assert.equal(errorOf('variance(1/2)', fraction).code, ERROR_CODES.DOMAIN_ERROR);
+    });
+
+    it('wraps machine words in programmer mode', () => {
+        const signed8 = { numericMode: 'programmer', wordSize: 8, signed: true };
+        const unsigned8 = { numericMode: 'programmer', wordSize: 8, signed: false };
+        assert.equal(valueOf('0xFF & 0x0F', { numericMode: 'programmer' }), 15n);
+        assert.equal(valueOf('2 xor 3', { numericMode: 'programmer' }), 1n);
+        assert.equal(valueOf('127 + 1', signed8), -128n);
+        assert.equal(valueOf('255 + 1', unsigned8), 0n);
+        assert.equal(valueOf('~0', unsigned8), 255n);
+    });
+
+    it('refuses fractional function results in programmer mode instead of truncating them', () => {
+        const programmer = { numericMode: 'programmer' };
+        assert.equal(errorOf('1.5', programmer).message, 'Programmer mode only uses whole numbers');
+        assert.equal(errorOf('sin(1)', programmer).message, 'Programmer mode only uses whole numbers');
+        assert.equal(errorOf('sqrt(2)', programmer).code, ERROR_CODES.INVALID_NUMBER);
+        assert.equal(valueOf('sqrt(16)', programmer), 4n);
+        assert.equal(valueOf('ans + 1', { ...programmer, ans: '2.5' }), 3n);
+    });
+});
+
+describe('units, complex numbers and matrices', () => {
+    it('adds and converts quantities', () => {
+        assert.equal(valueOf('5 km + 300 m').toString(), '5.3 km');
+        assert.equal(valueOf('60 mph to km/h').toString(), '96.56064 km/h');
+        assert.equal(valueOf('100 °F to °C').toString(), '37.7777777778 °C');
+        assert.equal(errorOf('1 km + 1 kg').code, ERROR_CODES.INCOMPATIBLE_UNITS);
+    });
+
+    it('reads a fraction written without spaces as the magnitude of a unit', () => {
+        assert.equal(valueOf('1/2 h to min').toString(), '30 min');
+        assert.equal(valueOf('-3/4 km').toString(), '-0.75 km');
+        assert.equal(valueOf('1 / 2 h').toString(), '0.5 h^-1');
+        assert.equal(valueOf('10 m / 2 s').toString(), '5 m/s');
+        assert.equal(valueOf('2^1/2 h').toString(), '1 h^-1');
+    });
+
+    it('subtracts temperatures to a difference and refuses to add or scale them', () => {
+        assert.equal(valueOf('20 °C - 10 °C').toString(), '10 K');
+        assert.equal(valueOf('68 °F - 10 °C').toString(), '10 K');
+        assert.equal(valueOf('20 °C + 5 K').toString(), '25 °C');
+        assert.equal(valueOf('20 °C - 5 K').toString(), '15 °C');
+        ['0 °C + 0 °C', '20 °C * 2', '2 * 20 °F', '20 °C / 2', '(20 °C)^2', '20 °C mod 3 K'].forEach(expr => {
+            assert.equal(errorOf(expr).code, ERROR_CODES.INCOMPATIBLE_UNITS, expr);
+        });
+        assert.equal(valueOf('2 K * 3').toString(), '6 K');
+    });
+
+    it('only allows complex results when complex numbers are on', () => {
+        assert.equal(valueOf('sqrt(-4)', { complex: 'rectangular' }).toString(), '2i');
+        assert.equal(valueOf('(1+2i)*(3-i)', { complex: 'rectangular' }).toString(), '5 + 5i');
+    });
+
+    it('works with matrices and checks their sizes', () => {
+        assert.equal(valueOf('det([[1, 2], [3, 4]])'), -2);
+        assert.equal(valueOf('inv([[1, 2], [3, 4]])').toString(), '[[-2, 1], [1.5, -0.5]]');
+        assert.equal(valueOf('[[1, 2], [3, 4]] * [[1], [1]]').toString(), '[[3], [7]]');
+        assert.equal(errorOf('[1, 2] + [1, 2, 3]').code, ERROR_CODES.DIMENSION_MISMATCH);
+    });
+});
+
+describe('variables and user functions', () => {
+    it('reads variables and ans from the options', () => {
+        assert.equal(valueOf('rate * 2', { variables: { rate: 0.5 } }), 1);
+        assert.equal(valueOf('ans + 1', { ans: 41 }), 42);
+        assert.equal(errorOf('ans + 1').message, 'There is no previous result yet');
+    });
+
+    it('returns assignments without storing them', () => {
+        const variables = {};
+        const result = evaluate('x = 3', { variables });
+        assert.deepEqual([result.value, result.assignedName], [3, 'x']);
+        assert.deepEqual(variables, {});
+        assert.equal(errorOf('sin = 3').code, ERROR_CODES.RESERVED_NAME);
+    });
+
+    it('returns function definitions and calls user functions', () => {
+        const { definition } = evaluate('f(x, y) = x + y');
+        assert.deepEqual(definition, { name: 'f', params: ['x', 'y'], body: 'x + y' });
+        assert.equal(valueOf('f(2, 3)', { userFunctions: { f: definition } }), 5);
+    });
+
+    it('stops runaway recursion', () => {
+        const userFunctions = { g: { params: ['x'], body: 'g(x)' } };
+        assert.equal(errorOf('g(1)', { userFunctions }).code, ERROR_CODES.RECURSION_LIMIT);
+    });
+});
+
+describe('registry', () => {
+    it('adds constants and refuses built-in names and bad values', () => {
+        registerConstant('g0', 9.80665);
+        assert.equal(valueOf('2 g0'), 19.6133);
+        assert.throws(() => registerConstant('sin', 1));
+        assert.throws(() => registerConstant('2x', 1));
+        assert.throws(() => registerConstant('k', NaN));
+    });
+
+    it('adds functions with their own implementation', () => {
+        registerFunction('twice', 1, 1, { fn: x => 2 * x });
+        assert.equal(valueOf('twice(21)'), 42);
+        assert.equal(errorOf('twice(1, 2)').code, ERROR_CODES.WRONG_ARGUMENT_COUNT);
+    });
+});
+
+describe('evaluateWorksheet', () => {
+    it('evaluates each line with the names and results above it', () => {
+        const results = evaluateWorksheet('a = 2\n\n# comment\n$1 * 10\nans + a  # note\nb', {});
+        assert.equal(results.length, 6);
+        assert.equal(results[0].value, 2);
+        assert.equal(results[1], null);
+        assert.equal(results[2], null);
+        assert.equal(results[3].value, 20);
+        assert.equal(results[4].value, 22);
+        assert.equal(results[5].error.code, ERROR_CODES.UNKNOWN_NAME);
+    });
+});
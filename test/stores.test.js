@@ -0,0 +1,154 @@
+/**
+ * Settings and history stores: checks, change events and persistence
+ * against an in-memory storage
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter, SettingsStore, HistoryStore, ENGINE_CONFIG } from '../engine.js';
+import { MemoryStorage } from './calculator-page.js';
+
+describe('EventEmitter', () => {
+    it('calls listeners until they are removed', () => {
+        const emitter = new EventEmitter();
+        const seen = [];
+        const off = emitter.on('change', details => seen.push(details));
+        emitter.emit('change', 1);
+        off();
+        emitter.emit('change', 2);
+        assert.deepEqual(seen, [1]);
+    });
+});
+
+describe('SettingsStore', () => {
+    it('starts with the defaults', () => {
+        const settings = new SettingsStore();
+        assert.equal(settings.get('angleMode'), 'RAD');
+        assert.equal(settings.get('numericMode'), 'float');
+        assert.equal(settings.get('precision'), ENGINE_CONFIG.defaultPrecision);
+    });
+
+    it('refuses unknown settings and invalid values', () => {
+        const settings = new SettingsStore();
+        assert.equal(settings.set('angleMode', 'TURNS'), false);
+        assert.equal(settings.set('precision', 0), false);
+        assert.equal(settings.set('wordSize', 12), false);
+        assert.equal(settings.set('signed', 'yes'), false);
+        assert.equal(settings.set('toString', 'x'), false);
+        assert.equal(settings.get('angleMode'), 'RAD');
+    });
+
+    it('emits a change only when a value really changes', () => {
+        const settings = new SettingsStore();
+        const changes = [];
+        settings.on('change', change => changes.push(change));
+        assert.equal(settings.set('angleMode', 'DEG'), true);
+        assert.equal(settings.set('angleMode', 'DEG'), true);
+        assert.deepEqual(changes, [{ name: 'angleMode', value: 'DEG' }]);
+    });
+
+    it('saves every change and loads only valid values', () => {
+        const storage = new MemoryStorage();
+        const settings = new SettingsStore({ storage });
+        settings.set('numericMode', 'fraction');
+        settings.set('precision', 8);
+
+        const reloaded = new SettingsStore({ storage });
+        reloaded.load();
+        assert.deepEqual(reloaded.toJSON(), settings.toJSON());
+
+        storage.setItem('calculator-settings', JSON.stringify({ angleMode: 'GRAD', precision: -1, mode: 'nope' }));
+        const partial = new SettingsStore({ storage });
+        partial.load();
+        assert.equal(partial.get('angleMode'), 'GRAD');
+        assert.equal(partial.get('precision'), ENGINE_CONFIG.defaultPrecision);
+        assert.equal(partial.get('mode'), 'standard');
+    });
+
+    it('turns programmer mode into the programmer numeric mode for evaluate()', () => {
+        const settings = new SettingsStore();
+        settings.set('numericMode', 'decimal');
+        settings.set('mode', 'programmer');
+        settings.set('wordSize', 16);
+        assert.deepEqual(settings.evaluationOptions(), {
+            angleMode: 'RAD', numericMode: 'programmer', precision: ENGINE_CONFIG.defaultPrecision,
+            wordSize: 16, signed: true, complex: 'off'
+        });
+    });
+});
+
+describe('HistoryStore', () => {
+    it('adds entries newest first and keeps non-numbers as text', () => {
+        const history = new HistoryStore();
+        history.add('1+1', 2);
+        history.add('2 km', { toString: () => '2 km' });
+        assert.deepEqual(history.entries.map(item => [item.expression, item.result]), [['2 km', '2 km'], ['1+1', 2]]);
+    });
+
+    it('pins, notes and removes entries and tells listeners', () => {
+        const history = new HistoryStore();
+        let changes = 0;
+        history.on('change', () => changes++);
+        history.add('1+1', 2);
+        assert.equal(history.togglePin(0), true);
+        assert.equal(history.setNote(0, '  two  '), true);
+        assert.deepEqual([history.entries[0].pinned, history.entries[0].note], [true, 'two']);
+        assert.equal(history.remove(5), false);
+        assert.equal(history.remove(0), true);
+        assert.equal(history.entries.length, 0);
+        assert.equal(changes, 4);
+    });
+
+    it('drops the oldest unpinned entries beyond the limit', () => {
+        const history = new HistoryStore();
+        history.add('first', 1);
+        history.togglePin(0);
+        for (let i = 0; i < ENGINE_CONFIG.maxHistoryItems + 5; i++) {
+            history.add(`n${i}`, i);
+        }
+        assert.equal(history.entries.length, ENGINE_CONFIG.maxHistoryItems);
+        assert.ok(history.entries.some(item => item.expression === 'first'));
+        assert.ok(!history.entries.some(item => item.expression === 'n0'));
+    });
+
+    it('keeps pinned entries when cleared', () => {
+        const history = new HistoryStore();
+        history.add('a', 1);
+        history.add('b', 2);
+        history.togglePin(1);
+        history.clear();
+        assert.deepEqual(history.entries.map(item => item.expression), ['a']);
+    });
+
+    it('imports valid records once', () => {
+        const history = new HistoryStore();
+        const records = [
+            { expression: '1+2', result: '3', timestamp: '1700000000000', pinned: 'true' },
+            { expression: '1+2', result: 3, timestamp: 1700000000000 },
+            { expression: '', result: 1, timestamp: 1 },
+            null
+        ];
+        assert.deepEqual(history.import(records), { added: 1, skipped: 3 });
+        assert.deepEqual(history.entries, [{ expression: '1+2', result: '3', timestamp: 1700000000000, pinned: true }]);
+    });
+
+    it('saves changes and drops invalid saved entries with a warning', t => {
+        const storage = new MemoryStorage();
+        const history = new HistoryStore({ storage });
+        history.add('6*7', 42);
+
+        const reloaded = new HistoryStore({ storage });
+        reloaded.load();
+        assert.deepEqual(reloaded.entries, history.entries);
+
+        const warn = t.mock.method(console, 'warn', () => {});
+        storage.setItem('calculator-history', JSON.stringify([history.entries[0], { expression: 5 }, 'junk']));
+        reloaded.load();
+        assert.equal(reloaded.entries.length, 1);
+        assert.match(warn.mock.calls[0].arguments[0], /Dropped 2 invalid history entries/);
+
+        storage.setItem('calculator-history', '{"not": "a list"}');
+        reloaded.load();
+        assert.deepEqual(reloaded.entries, []);
+    });
+});
@@ -0,0 +1,520 @@
+/**
+ * The calculator page in jsdom: input rules, results and history, memory,
+ * saved state, and buttons and keys as a user presses them
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCalculator, MemoryStorage, click, press, plain } from './calculator-page.js';
+
+let page;
+
+beforeEach(() => {
+    page = loadCalculator();
+});
+
+afterEach(() => {
+    page.window.close();
+});
+
+/**
+ * Type an expression with appendValue(), one character at a time
+ * @param {string} text - Characters to add
+ */
+function type(text) {
+    [...text].forEach(char => page.appendValue(char));
+}
+
+describe('appendValue', () => {
+    it('replaces an operator instead of adding a second one', () => {
+        type('2+*');
+        assert.equal(page.calculatorState.expression, '2*');
+        type('3');
+        page.setSelection(1);
+        page.appendValue('-');
+        assert.equal(page.calculatorState.expression, '2-3');
+    });
+
+    it('replaces operators longer than one character', () => {
+        ['7', ' mod ', '+'].forEach(value => page.appendValue(value));
+        assert.equal(page.calculatorState.expression, '7+');
+        ['<<', ' xor '].forEach(value => page.appendValue(value));
+        assert.equal(page.calculatorState.expression, '7 xor ');
+        page.setSelection(1);
+        page.appendValue('>>');
+        assert.equal(page.calculatorState.expression, '7>>');
+    });
+
+    it('starts from the last result when an operator comes first', () => {
+        type('+');
+        assert.equal(page.calculatorState.expression, '+');
+        page.clearDisplay();
+        type('6*7');
+        page.calculateResult();
+        type('+1');
+        assert.equal(page.calculatorState.expression, 'ans+1');
+        page.clearDisplay();
+        page.calculatorState.lastResult = 42;
+        page.appendValue('%');
+        assert.equal(page.calculatorState.expression, 'ans%');
+    });
+
+    it('inserts at the caret and replaces the selection', () => {
+        type('13');
+        page.setSelection(1);
+        page.appendValue('2');
+        assert.equal(page.calculatorState.expression, '123');
+        page.setSelection(0, 3);
+        page.appendValue('9');
+        assert.equal(page.calculatorState.expression, '9');
+    });
+
+    it('refuses expressions longer than the limit', () => {
+        type('1'.repeat(page.CONFIG.maxExpressionLength));
+        page.appendValue('1');
+        assert.equal(page.calculatorState.expression.length, page.CONFIG.maxExpressionLength);
+        assert.equal(page.elements.result.textContent, 'Expression too long');
+    });
+});
+
+describe('calculateResult', () => {
+    it('shows the result and adds it to the history', () => {
+        type('6*7');
+        page.calculateResult();
+        assert.equal(page.elements.result.textContent, '42');
+        assert.equal(page.calculatorState.expression, '');
+        assert.equal(page.calculatorState.lastResult, 42);
+        assert.deepEqual(plain(page.historyStore.entries.map(item => [item.expression, item.result])), [['6*7', 42]]);
+        assert.equal(page.elements.historyList.children.length, 1);
+    });
+
+    it('leaves the history alone for errors and empty expressions', () => {
+        page.calculateResult();
+        type('1/0');
+        page.calculateResult();
+        assert.equal(page.elements.result.textContent, 'Cannot divide by zero');
+        assert.equal(page.calculatorState.expression, '1/0');
+        assert.equal(page.historyStore.entries.length, 0);
+    });
+
+    it('stores variables from assignments and records them', () => {
+        type('x=3');
+        page.calculateResult();
+        assert.equal(page.calculatorState.variables.x, 3);
+        assert.equal(page.historyStore.entries[0].expression, 'x=3');
+    });
+
+    it('stores function definitions without a history entry', () => {
+        type('f(x)=x*2');
+        page.calculateResult();
+        assert.deepEqual(plain(page.calculatorState.userFunctions.f), { params: ['x'], body: 'x*2' });
+        assert.equal(page.elements.result.textContent, 'f(x) defined');
+        assert.equal(page.historyStore.entries.length, 0);
+    });
+
+    it('filters the history list with the search box', () => {
+        ['6*7', '2+2'].forEach(expr => {
+            type(expr);
+            page.calculateResult();
+        });
+        page.elements.historySearch.value = '6*';
+        page.elements.historySearch.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+        assert.equal(page.elements.historyList.children.length, 1);
+        assert.equal(page.calculatorState.historyFilter, '6*');
+    });
+
+    it('offers to plot restored entries that use x', () => {
+        ['2x+1', '3x^2', 'sin(x)'].forEach(expr => {
+            page.offerPlot(expr);
+            assert.equal(page.elements.historyStatus.textContent, `${expr} uses x. Plot this`);
+        });
+        ['max(1, 2)', 'x2 + 1', '0x1F'].forEach(expr => {
+            page.offerPlot(expr);
+            assert.equal(page.elements.historyStatus.textContent, '');
+        });
+    });
+
+    it('shows exact matrix entries as a grid in fraction mode', () => {
+        page.settingsStore.set('numericMode', 'fraction');
+        type('inv([[1,2],[3,4]])');
+        page.calculateResult();
+        const cells = [...page.elements.result.querySelectorAll('.matrix-grid span')].map(cell => cell.textContent);
+        assert.deepEqual(cells, ['-2', '1', '3/2', '-1/2']);
+    });
+
+    it('converts large and exact decimal results to fractions', () => {
+        const convert = expr => {
+            type(expr);
+            page.calculateResult();
+            click(page, '[data-action="to-fraction"]');
+            return page.calculatorState.result;
+        };
+        assert.equal(convert('2^60'), '1152921504606847000');
+        assert.equal(convert('1e300'), `1${'0'.repeat(300)}`);
+        page.settingsStore.set('numericMode', 'decimal');
+        assert.equal(convert('12345678901234567890.5'), '24691357802469135781/2');
+    });
+
+    it('keeps exact results as text', () => {
+        page.settingsStore.set('numericMode', 'fraction');
+        type('1/3+1/6');
+        page.calculateResult();
+        assert.equal(page.historyStore.entries[0].result, '1/2');
+    });
+});
+
+describe('formatResult', () => {
+    it('groups the digits of exact results of any length', () => {
+        assert.equal(page.formatResult('-1234567.125'), '-1,234,567.125');
+        assert.equal(page.formatResult('123'), '123');
+        assert.equal(page.formatResult('123456'), '123,456');
+        const digits = '9'.repeat(35660);
+        assert.equal(page.formatResult(digits).replace(/,/g, ''), digits);
+        assert.equal(page.formatResult(digits).split(',')[0], '99');
+    });
+});
+
+describe('CSV files', () => {
+    it('keep spreadsheets from running cells as formulas', () => {
+        assert.equal(page.toCsv([['=1+2', '-5', -5, '@SUM(A1)', '+1', 'a,b', '2*3']]),
+            `'=1+2,'-5,-5,'@SUM(A1),'+1,"a,b",2*3`);
+    });
+
+    it('read back exported history as it was', () => {
+        const csv = page.toCsv([['timestamp', 'expression', 'result'], [1700000000000, '-5+1', '-4']]);
+        assert.deepEqual(plain(page.importHistory(csv, 'history.csv')), { added: 1, skipped: 0 });
+        assert.equal(page.historyStore.entries[0].expression, '-5+1');
+        assert.equal(page.historyStore.entries[0].result, '-4');
+    });
+});
+
+describe('memory', () => {
+    /**
+     * Filled and active memory badges
+     * @returns {Object} { filled, active } lists of badge labels
+     */
+    function badges() {
+        const list = [...page.elements.memoryIndicators.children];
+        return {
+            filled: list.filter(badge => badge.classList.contains('filled')).map(badge => badge.textContent),
+            active: list.filter(badge => badge.classList.contains('active')).map(badge => badge.textContent)
+        };
+    }
+
+    it('stores, adds, subtracts, recalls and clears the active register', () => {
+        type('5');
+        page.memoryStore();
+        page.clearDisplay();
+        type('2');
+        page.memoryAdd();
+        assert.equal(page.calculatorState.memory[1], 7);
+        page.clearDisplay();
+        type('10');
+        page.memorySubtract();
+        assert.equal(page.calculatorState.memory[1], -3);
+        page.clearDisplay();
+        page.memoryRecall();
+        assert.equal(page.calculatorState.expression, '(-3)');
+        assert.deepEqual(badges(), { filled: ['M1'], active: ['M1'] });
+        page.memoryClear();
+        assert.deepEqual(badges(), { filled: [], active: ['M1'] });
+    });
+
+    it('uses the last result when nothing is typed', () => {
+        type('6*7');
+        page.calculateResult();
+        page.memoryStore();
+        assert.equal(page.calculatorState.memory[1], 42);
+    });
+
+    it('keeps one value per register', () => {
+        type('1');
+        page.memoryStore();
+        page.selectMemorySlot(3);
+        page.memoryAdd();
+        assert.deepEqual({ ...page.calculatorState.memory }, { 1: 1, 3: 1 });
+        assert.deepEqual(badges(), { filled: ['M1', 'M3'], active: ['M3'] });
+    });
+
+    it('recalls a polar complex register as text the parser reads', () => {
+        page.settingsStore.set('complexFormat', 'polar');
+        type('2i');
+        page.memoryStore();
+        page.clearDisplay();
+        page.memoryRecall();
+        assert.equal(page.calculatorState.expression, '2i');
+        page.calculateResult();
+        assert.equal(page.historyStore.entries[0].expression, '2i');
+    });
+
+    it('refuses to add quantities', () => {
+        type('2 km');
+        page.memoryAdd();
+        assert.equal(page.elements.result.textContent, 'M+ and M− only work with plain numbers');
+        assert.equal(Object.keys(page.calculatorState.memory).length, 0);
+    });
+
+    it('shows errors from M+ instead of throwing them', () => {
+        type('1e308');
+        page.memoryAdd();
+        page.memoryAdd();
+        assert.equal(page.elements.result.textContent, 'Result is too large');
+        assert.equal(page.calculatorState.memory[1], 1e308);
+        page.clearDisplay();
+        type('[[1, 2]]');
+        page.memoryAdd();
+        assert.equal(page.elements.result.textContent, 'M+ and M− only work with plain numbers');
+    });
+});
+
+describe('saved state', () => {
+    it('restores history, memory, variables, functions and settings after a reload', () => {
+        type('x=4');
+        page.calculateResult();
+        type('f(n)=n+1');
+        page.calculateResult();
+        page.memoryStore();
+        page.settingsStore.set('angleMode', 'DEG');
+        page.settingsStore.set('mode', 'programmer');
+        page.historyStore.togglePin(0);
+
+        const reloaded = loadCalculator({ storage: page.storage });
+        try {
+            assert.deepEqual(plain(reloaded.historyStore.entries), plain(page.historyStore.entries));
+            assert.equal(reloaded.calculatorState.memory[1], '4');
+            assert.equal(reloaded.calculatorState.variables.x, '4');
+            assert.deepEqual(plain(reloaded.calculatorState.userFunctions.f), { params: ['n'], body: 'n+1' });
+            assert.equal(reloaded.elements.angleModeIndicator.textContent, 'DEG');
+            assert.equal(reloaded.elements.programmerKeypad.hidden, false);
+        } finally {
+            reloaded.window.close();
+        }
+    });
+
+    it('keeps matrix, complex and unit variables and drops text that is not a value', () => {
+        page.settingsStore.set('complexFormat', 'polar');
+        ['A=[[1,2],[3,4]]', 'z=2i', 'w=3+4i', 'd=5 km'].forEach(expr => {
+            type(expr);
+            page.calculateResult();
+        });
+        const saved = JSON.parse(page.storage.getItem('calculator-variables'));
+        page.storage.setItem('calculator-variables', JSON.stringify({
+            ...saved, junk: '12abc', typo: '2 foo', sum: '1 + 2', call: 'max(1, 2)',
+            product: 'sin(1)*i', grid: '[[factorial(20)]]', scaled: '5 pi'
+        }));
+
+        const reloaded = loadCalculator({ storage: page.storage });
+        try {
+            assert.deepEqual(plain(reloaded.calculatorState.variables),
+                { A: '[[1, 2], [3, 4]]', z: '2i', w: '3+4i', d: '5 km' });
+        } finally {
+            reloaded.window.close();
+        }
+    });
+
+    it('keeps matrix and complex memory registers', () => {
+        type('[[1,2]]');
+        page.memoryStore();
+        page.clearDisplay();
+        page.settingsStore.set('complexFormat', 'rectangular');
+        page.selectMemorySlot(2);
+        type('2i');
+        page.memoryStore();
+
+        const reloaded = loadCalculator({ storage: page.storage });
+        try {
+            assert.deepEqual({ ...reloaded.calculatorState.memory }, { 1: '[[1, 2]]', 2: '2i' });
+        } finally {
+            reloaded.window.close();
+        }
+    });
+
+    it('moves the angle mode saved by older versions into the settings', () => {
+        const storage = new MemoryStorage({ 'calculator-angle-mode': 'GRAD' });
+        const old = loadCalculator({ storage });
+        try {
+            assert.equal(old.settingsStore.get('angleMode'), 'GRAD');
+            assert.equal(storage.getItem('calculator-angle-mode'), null);
+            assert.equal(JSON.parse(storage.getItem('calculator-settings')).angleMode, 'GRAD');
+        } finally {
+            old.window.close();
+        }
+    });
+
+    it('ignores damaged data with a warning', () => {
+        const storage = new MemoryStorage({
+            'calculator-history': 'not json',
+            'calculator-settings': '{"precision": "lots", "numericMode": "decimal"}',
+            'calculator-memory': '{"registers": {"1": "7", "12": "1", "2": "abc"}}'
+        });
+        const damaged = loadCalculator({ storage });
+        try {
+            assert.equal(damaged.historyStore.entries.length, 0);
+            assert.ok(damaged.warnings.some(message => message.startsWith('Could not load history')));
+            assert.equal(damaged.settingsStore.get('numericMode'), 'decimal');
+            assert.equal(damaged.settingsStore.get('precision'), 32);
+            assert.deepEqual({ ...damaged.calculatorState.memory }, { 1: '7' });
+        } finally {
+            damaged.window.close();
+        }
+    });
+});
+
+describe('share links', () => {
+    it('skip variables that are not values instead of rejecting the link', () => {
+        const state = page.validateShareState({
+            v: 1,
+            e: 'A * z',
+            vars: { A: '[[1, 2], [3, 4]]', z: '2i', d: '5 km', tiny: '1e-99999999', junk: '12abc', sin: '1' }
+        });
+        assert.deepEqual(plain(state.variables), { A: '[[1, 2], [3, 4]]', z: '2i', d: '5 km' });
+        assert.ok(page.warnings.includes('Skipped 3 invalid shared variables'));
+        assert.equal(page.validateShareState({ v: 1, e: 1 }), null);
+    });
+
+    it('only change saved variables and settings once the user agrees', () => {
+        const state = page.validateShareState({ v: 1, e: 'x * 2', a: 'DEG', vars: { x: '4' } });
+        const questions = [];
+        page.window.confirm = question => questions.push(question) && false;
+        page.applyShareState(state);
+        assert.equal(page.calculatorState.expression, 'x * 2');
+        assert.equal(page.settingsStore.get('angleMode'), 'RAD');
+        assert.equal(page.calculatorState.variables.x, undefined);
+        assert.equal(page.storage.getItem('calculator-variables'), null);
+        assert.deepEqual(questions, ['This shared calculation will set the angle mode to DEG, set the variables x. Continue?']);
+
+        page.window.confirm = () => true;
+        page.applyShareState(state);
+        assert.equal(page.settingsStore.get('angleMode'), 'DEG');
+        assert.deepEqual(JSON.parse(page.storage.getItem('calculator-variables')), { x: '4' });
+    });
+});
+
+describe('buttons', () => {
+    /**
+     * Click keypad buttons by their data-value, then "="
+     * @param {...string} values - data-value of each button
+     * @returns {string} Text of the result display
+     */
+    function clickAndCalculate(...values) {
+        click(page, '#standard-keypad [data-action="clear"]');
+        values.forEach(value => click(page, `#scientific-section [data-value="${value}"], #standard-keypad [data-value="${value}"]`));
+        click(page, '#standard-keypad [data-action="calculate"]');
+        return page.elements.result.textContent;
+    }
+
+    it('calculate with the standard keypad', () => {
+        assert.equal(clickAndCalculate('7', '*', '6'), '42');
+        assert.equal(clickAndCalculate('1', '.', '5', '+', '2', '%'), '1.53');
+    });
+
+    it('work for every scientific function button', () => {
+        const cases = [
+            [['sin(', '0', ')'], '0'],
+            [['cos(', '0', ')'], '1'],
+            [['tan(', '0', ')'], '0'],
+            [['log(', '1', '0', '0', ')'], '2'],
+            [['ln(', '1', ')'], '0'],
+            [['sqrt(', '9', ')'], '3'],
+            [['pow(', '3', ')'], '9'],
+            [['2', '^', '1', '0'], '1,024'],
+            [['PI'], '3.1415926536'],
+            [['E'], '2.7182818285'],
+            [['factorial(', '5', ')'], '120'],
+            [['abs(', '-', '4', ')'], '4'],
+            [['deg(', '1', '8', '0', ')'], '3.1415926536'],
+            [['asin(', '0', ')'], '0'],
+            [['acos(', '1', ')'], '0'],
+            [['atan(', '0', ')'], '0'],
+            [['atan2(', '0', ',', '1', ')'], '0']
+        ];
+        cases.forEach(([values, expected]) => {
+            assert.equal(clickAndCalculate(...values), expected, values.join(''));
+        });
+    });
+
+    it('read the x° button as degrees in every angle mode', () => {
+        ['DEG', 'RAD', 'GRAD'].forEach(mode => {
+            page.settingsStore.set('angleMode', mode);
+            assert.equal(clickAndCalculate('sin(', 'deg(', '3', '0', ')', ')'), '0.5', mode);
+        });
+    });
+
+    it('clear and delete', () => {
+        click(page, '[data-value="1"]');
+        click(page, '[data-value="2"]');
+        click(page, '#standard-keypad [data-action="delete"]');
+        assert.equal(page.calculatorState.expression, '1');
+        click(page, '#standard-keypad [data-action="clear"]');
+        assert.equal(page.calculatorState.expression, '');
+    });
+
+    it('change the angle mode, numeric mode and calculator mode', () => {
+        click(page, '[data-action="toggle-angle-mode"]');
+        assert.equal(page.elements.angleModeIndicator.textContent, 'GRAD');
+        click(page, '[data-action="toggle-numeric-mode"]');
+        assert.equal(page.settingsStore.get('numericMode'), 'decimal');
+        click(page, '[data-action="set-mode"][data-mode="programmer"]');
+        assert.equal(page.elements.standardKeypad.hidden, true);
+        assert.equal(page.elements.programmerKeypad.hidden, false);
+        assert.equal(page.elements.numericModeIndicator.textContent, 'INT64');
+    });
+
+    it('drive the memory registers', () => {
+        click(page, '[data-value="8"]');
+        click(page, '[data-action="memory-store"]');
+        click(page, '[data-action="memory-add"]');
+        assert.equal(page.calculatorState.memory[1], 16);
+        click(page, '[data-action="select-memory-slot"][data-slot="2"]');
+        assert.equal(page.calculatorState.activeMemorySlot, 2);
+    });
+});
+
+describe('keyboard', () => {
+    it('types and calculates', () => {
+        press(page, '1', '2', '+', '3', 'Enter');
+        assert.equal(page.elements.result.textContent, '15');
+        press(page, 's', 'q', 'r', 't', '(', '4', ')', '=');
+        assert.equal(page.elements.result.textContent, '2');
+    });
+
+    it('edits with Backspace, Delete, arrows and Escape', () => {
+        press(page, '1', '2', '3', 'ArrowLeft', 'Backspace');
+        assert.equal(page.calculatorState.expression, '13');
+        press(page, 'Home', 'Delete');
+        assert.equal(page.calculatorState.expression, '3');
+        press(page, 'Escape');
+        assert.equal(page.calculatorState.expression, '');
+    });
+
+    it('has shortcuts for the angle mode and memory', () => {
+        press(page, { key: 'a', code: 'KeyA', altKey: true });
+        assert.equal(page.settingsStore.get('angleMode'), 'GRAD');
+        press(page, '5', { key: 'm', code: 'KeyM', altKey: true }, 'Escape', { key: 'r', code: 'KeyR', altKey: true });
+        assert.equal(page.calculatorState.expression, '5');
+        press(page, { key: 'n', code: 'KeyN', altKey: true });
+        assert.equal(page.calculatorState.activeMemorySlot, 2);
+    });
+
+    it('leaves Alt+1 to Alt+9 to switch browser tabs', () => {
+        const event = new page.window.KeyboardEvent('keydown', { key: '2', code: 'Digit2', altKey: true, bubbles: true, cancelable: true });
+        page.document.body.dispatchEvent(event);
+        assert.equal(event.defaultPrevented, false);
+        assert.equal(page.calculatorState.activeMemorySlot, 1);
+    });
+
+    it('leaves the browser its Ctrl shortcuts', () => {
+        ['r', 'd'].forEach(key => {
+            const event = new page.window.KeyboardEvent('keydown', { key, ctrlKey: true, bubbles: true, cancelable: true });
+            page.document.body.dispatchEvent(event);
+            assert.equal(event.defaultPrevented, false, `Ctrl+${key}`);
+        });
+        assert.equal(page.settingsStore.get('angleMode'), 'RAD');
+    });
+
+    it('leaves typing in form fields alone', () => {
+        const search = page.elements.historySearch;
+        search.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: '7', bubbles: true }));
+        assert.equal(page.calculatorState.expression, '');
+    });
+});